@@ -4,9 +4,12 @@ var bodyParser = require('body-parser');
 var express = require('express');
 var schedule = require('node-schedule');
 
+var staleIssue = require('./lib/staleIssue');
 var stalePullRequest = require('./lib/stalePullRequest');
 var checkWebHook = require('./lib/checkWebHook');
+var claSigners = require('./lib/claSigners');
 var dateLog = require('./lib/dateLog');
+var DeliveryQueue = require('./lib/DeliveryQueue');
 var postToGitHub = require('./lib/postToGitHub');
 var Settings = require('./lib/Settings');
 var SlackBot = require('./lib/SlackBot');
@@ -16,8 +19,18 @@ Settings.loadRepositoriesSettings('./config.json')
     .then(function () {
         dateLog('Loaded settings successfully');
 
+        var deliveryQueue = new DeliveryQueue({
+            directory: Settings.deliveryQueuePath,
+            maxAttempts: Settings.maxDeliveryAttempts,
+            process: postToGitHub.processDelivery
+        });
+        deliveryQueue.start();
+        postToGitHub.deliveryQueue = deliveryQueue;
+
+        claSigners.start(Settings.repositories);
+
         var app = express();
-        app.post(Settings.listenPath, bodyParser.json(), checkWebHook, postToGitHub);
+        app.post(Settings.listenPath, bodyParser.json({verify: checkWebHook.saveRawBody}), checkWebHook, postToGitHub);
 
         // Start server on port specified by env.PORT
         app.listen(Settings.port, function () {
@@ -27,6 +40,9 @@ Settings.loadRepositoriesSettings('./config.json')
         // Run every night.
         schedule.scheduleJob('0 22 * * *', function () {
             stalePullRequest(Settings.repositories)
+                .then(function () {
+                    return staleIssue(Settings.repositories);
+                })
                 .catch(function (err) {
                     console.error(err);
                 });
@@ -0,0 +1,292 @@
+'use strict';
+
+var Cesium = require('cesium');
+var fsExtra = require('fs-extra');
+var Promise = require('bluebird');
+
+var dateLog = require('./dateLog');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+var RuntimeError = Cesium.RuntimeError;
+
+var defaultRefreshInterval = 60 * 60 * 1000;
+
+/**
+ * An in-memory index of the GitHub usernames, emails and corporate email domains covered by a CLA, so that checking a pull request
+ * doesn't read the whole list of signers. The index is refreshed periodically and saved to a snapshot on disk,
+ * which is used when the list of signers can't be loaded, for example when Google Sheets is unreachable.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Function} options.load Function returning a Promise that resolves with the CLA signers, either an object with arrays of
+ * `userNames`, `emails` and `domains`, or an array of usernames.
+ * @param {String} [options.snapshotPath] The file in which to save the last list of signers that was loaded.
+ * @param {Number} [options.refreshInterval=3600000] The time in milliseconds between refreshes.
+ * @constructor
+ */
+function ClaSignerIndex(options) {
+    Check.typeOf.object('options', options);
+    Check.typeOf.func('options.load', options.load);
+
+    this._load = options.load;
+    this._snapshotPath = options.snapshotPath;
+
+    /**
+     * Gets the time in milliseconds between refreshes.
+     * @type {Number}
+     */
+    this.refreshInterval = defaultValue(options.refreshInterval, defaultRefreshInterval);
+
+    this._signers = undefined;
+    this._signerCount = 0;
+    this._emailCount = 0;
+    this._domainCount = 0;
+    this._refreshedAt = undefined;
+    this._refreshing = undefined;
+    this._lastError = undefined;
+    this._refreshCount = 0;
+    this._failedRefreshCount = 0;
+    this._loadedFromSnapshot = false;
+    this._interval = undefined;
+}
+
+Object.defineProperties(ClaSignerIndex.prototype, {
+    /**
+     * Gets whether a list of signers has been loaded, either from the source or from the snapshot.
+     * @type {Boolean}
+     */
+    ready: {
+        get: function () {
+            return defined(this._signers);
+        }
+    },
+
+    /**
+     * Gets the state of the index, for monitoring how out of date it is. It is logged after every refresh.
+     * @type {Object}
+     */
+    metrics: {
+        get: function () {
+            var refreshedAt = this._refreshedAt;
+            return {
+                signerCount: this._signerCount,
+                emailCount: this._emailCount,
+                domainCount: this._domainCount,
+                refreshedAt: defined(refreshedAt) ? new Date(refreshedAt).toISOString() : undefined,
+                refreshAge: defined(refreshedAt) ? Date.now() - refreshedAt : undefined,
+                loadedFromSnapshot: this._loadedFromSnapshot,
+                refreshCount: this._refreshCount,
+                failedRefreshCount: this._failedRefreshCount,
+                lastError: defined(this._lastError) ? String(this._lastError) : undefined
+            };
+        }
+    }
+});
+
+/**
+ * Loads the snapshot saved by a previous run, if any, then refreshes the index now and every `refreshInterval`.
+ *
+ * @returns {Promise} A Promise that resolves when the first refresh is complete, even if it fails.
+ */
+ClaSignerIndex.prototype.start = function () {
+    this._readSnapshot();
+
+    var that = this;
+    clearInterval(this._interval);
+    this._interval = setInterval(function () {
+        that.refresh().catch(ignoreError);
+    }, this.refreshInterval);
+    // Don't keep the process alive just to refresh the index
+    this._interval.unref();
+
+    return this.refresh().catch(ignoreError);
+};
+
+/**
+ * Stops refreshing the index.
+ *
+ * @returns {undefined}
+ */
+ClaSignerIndex.prototype.stop = function () {
+    clearInterval(this._interval);
+    this._interval = undefined;
+};
+
+/**
+ * Loads the list of signers again. If it fails, the index keeps the signers it already has.
+ * Calls made while a refresh is in progress share that refresh.
+ *
+ * @returns {Promise<ClaSignerIndex>} A Promise that resolves with the index once it is refreshed.
+ */
+ClaSignerIndex.prototype.refresh = function () {
+    if (defined(this._refreshing)) {
+        return this._refreshing;
+    }
+
+    var that = this;
+    this._refreshing = Promise.try(function () {
+            return that._load();
+        })
+        .then(function (signers) {
+            that._setSigners(signers, Date.now());
+            that._loadedFromSnapshot = false;
+            that._lastError = undefined;
+            that._refreshCount++;
+            that._writeSnapshot(signers);
+            dateLog('Refreshed the CLA signer index with ' + that._signerCount + ' signers, ' + that._emailCount + ' emails and ' + that._domainCount + ' domains. Metrics: ' + JSON.stringify(that.metrics));
+            return that;
+        })
+        .catch(function (error) {
+            that._lastError = error;
+            that._failedRefreshCount++;
+            var message = 'Could not refresh the CLA signer index: ' + error;
+            if (that.ready) {
+                message += '. Using the signers from ' + Math.round(that.metrics.refreshAge / 60000) + ' minutes ago';
+            }
+            dateLog(message + '. Metrics: ' + JSON.stringify(that.metrics));
+            return Promise.reject(error);
+        })
+        .finally(function () {
+            that._refreshing = undefined;
+        });
+    return this._refreshing;
+};
+
+/**
+ * Checks whether someone is covered by a CLA, either because their GitHub username or their email is in the list
+ * of signers, or because the domain of their email is covered by a corporate CLA. If no list of signers has been
+ * loaded yet, one is loaded first.
+ *
+ * @param {Object} identity Object with the following properties:
+ * @param {String} [identity.userName] The GitHub username.
+ * @param {String} [identity.email] The email, for example the author email of a commit.
+ * @returns {Promise<Boolean>} A Promise that resolves with true if the identity is covered by a CLA,
+ * or rejects if no list of signers could be loaded.
+ */
+ClaSignerIndex.prototype.isCovered = function (identity) {
+    Check.typeOf.object('identity', identity);
+
+    var that = this;
+    var ready = this.ready ? Promise.resolve() : this.refresh();
+    return ready
+        .catch(function (error) {
+            return Promise.reject(new RuntimeError('The list of CLA signers is not available: ' + error));
+        })
+        .then(function () {
+            var signers = that._signers;
+            if (defined(identity.userName) && signers.userNames.hasOwnProperty(ClaSignerIndex.normalize(identity.userName))) {
+                return true;
+            }
+            if (!defined(identity.email)) {
+                return false;
+            }
+            var email = ClaSignerIndex.normalizeEmail(identity.email);
+            var domain = email.slice(email.lastIndexOf('@') + 1);
+            return signers.emails.hasOwnProperty(email) || signers.domains.hasOwnProperty(domain);
+        });
+};
+
+/**
+ * Normalizes a GitHub username for lookups, since usernames are case insensitive and are sometimes written with a leading `@`.
+ *
+ * @param {String} userName The username.
+ * @returns {String} The normalized username.
+ */
+ClaSignerIndex.normalize = function (userName) {
+    return userName.trim().replace(/^@/, '').toLowerCase();
+};
+
+/**
+ * Normalizes an email for lookups, since emails are compared case insensitively.
+ *
+ * @param {String} email The email.
+ * @returns {String} The normalized email.
+ */
+ClaSignerIndex.normalizeEmail = function (email) {
+    return email.trim().toLowerCase();
+};
+
+/**
+ * Normalizes a corporate email domain for lookups, since it is sometimes written as `@example.com` or `*@example.com`.
+ *
+ * @param {String} domain The domain.
+ * @returns {String} The normalized domain.
+ */
+ClaSignerIndex.normalizeDomain = function (domain) {
+    return domain.trim().replace(/^\*?@/, '').toLowerCase();
+};
+
+ClaSignerIndex.prototype._setSigners = function (signers, refreshedAt) {
+    // Older snapshots and providers only list usernames
+    if (Array.isArray(signers)) {
+        signers = {
+            userNames: signers
+        };
+    }
+    var userNames = createLookup(signers.userNames, ClaSignerIndex.normalize);
+    var emails = createLookup(signers.emails, ClaSignerIndex.normalizeEmail);
+    var domains = createLookup(signers.domains, ClaSignerIndex.normalizeDomain);
+    this._signers = {
+        userNames: userNames.values,
+        emails: emails.values,
+        domains: domains.values
+    };
+    this._signerCount = userNames.count;
+    this._emailCount = emails.count;
+    this._domainCount = domains.count;
+    this._refreshedAt = refreshedAt;
+};
+
+ClaSignerIndex.prototype._readSnapshot = function () {
+    if (!defined(this._snapshotPath) || !fsExtra.existsSync(this._snapshotPath)) {
+        return;
+    }
+    try {
+        var snapshot = fsExtra.readJsonSync(this._snapshotPath);
+        this._setSigners(snapshot.signers, snapshot.refreshedAt);
+        this._loadedFromSnapshot = true;
+        dateLog('Loaded ' + this._signerCount + ' CLA signers from ' + this._snapshotPath);
+    } catch (error) {
+        dateLog('Could not read the CLA signer snapshot: ' + error);
+    }
+};
+
+ClaSignerIndex.prototype._writeSnapshot = function (signers) {
+    if (!defined(this._snapshotPath)) {
+        return;
+    }
+    try {
+        var temporaryPath = this._snapshotPath + '.tmp';
+        fsExtra.outputJsonSync(temporaryPath, {
+            refreshedAt: this._refreshedAt,
+            signers: signers
+        });
+        fsExtra.renameSync(temporaryPath, this._snapshotPath);
+    } catch (error) {
+        // The index is still up to date in memory, so this is not worth failing the refresh for
+        dateLog('Could not save the CLA signer snapshot: ' + error);
+    }
+};
+
+function createLookup(values, normalize) {
+    var lookup = {};
+    var count = 0;
+    defaultValue(values, []).forEach(function (value) {
+        var normalized = normalize(value);
+        if (normalized.length > 0 && !lookup.hasOwnProperty(normalized)) {
+            lookup[normalized] = true;
+            count++;
+        }
+    });
+    return {
+        values: lookup,
+        count: count
+    };
+}
+
+function ignoreError() {
+    // refresh already logs its errors
+}
+
+module.exports = ClaSignerIndex;
@@ -0,0 +1,313 @@
+'use strict';
+
+var Cesium = require('cesium');
+var fsExtra = require('fs-extra');
+var path = require('path');
+var Promise = require('bluebird');
+
+var dateLog = require('./dateLog');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+
+var defaultMaxAttempts = 5;
+var defaultRetryDelay = 60 * 1000;
+var defaultMaxProcessed = 1000;
+
+/**
+ * A queue of GitHub webhook deliveries that is persisted to disk, so that accepted deliveries survive a restart.
+ * Deliveries are handled one at a time. When handling fails, the delivery is retried with exponential backoff
+ * until it runs out of attempts, at which point it is moved to the dead-letter list. The IDs of handled deliveries
+ * are remembered so that a redelivery of the same event is not handled twice.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.directory The directory in which to store the queued deliveries.
+ * @param {Function} options.process Function called with each delivery. It returns a Promise that resolves when the delivery has been handled.
+ * Changes it makes to the delivery are persisted with it when it fails, so the next attempt can skip the work already done.
+ * @param {Number} [options.maxAttempts=5] The number of times to attempt a delivery before moving it to the dead-letter list.
+ * @param {Number} [options.retryDelay=60000] The delay in milliseconds before the first retry. It doubles after each failed attempt.
+ * @param {Number} [options.maxProcessed=1000] The number of handled delivery IDs to remember.
+ * @constructor
+ */
+function DeliveryQueue(options) {
+    Check.typeOf.object('options', options);
+    Check.typeOf.string('options.directory', options.directory);
+    Check.typeOf.func('options.process', options.process);
+
+    this._pendingDirectory = path.join(options.directory, 'pending');
+    this._deadLetterDirectory = path.join(options.directory, 'dead');
+    this._processedPath = path.join(options.directory, 'processed.json');
+    this._process = options.process;
+
+    /**
+     * Gets the number of times to attempt a delivery before moving it to the dead-letter list.
+     * @type {Number}
+     */
+    this.maxAttempts = defaultValue(options.maxAttempts, defaultMaxAttempts);
+
+    /**
+     * Gets the delay in milliseconds before the first retry of a failed delivery.
+     * @type {Number}
+     */
+    this.retryDelay = defaultValue(options.retryDelay, defaultRetryDelay);
+
+    /**
+     * Gets the number of handled delivery IDs to remember.
+     * @type {Number}
+     */
+    this.maxProcessed = defaultValue(options.maxProcessed, defaultMaxProcessed);
+
+    this._pending = {};
+    this._deadLetters = {};
+    this._processed = [];
+    this._started = false;
+    this._processing = false;
+    this._timeout = undefined;
+}
+
+Object.defineProperties(DeliveryQueue.prototype, {
+    /**
+     * Gets the deliveries waiting to be handled.
+     * @type {Object[]}
+     */
+    pending: {
+        get: function () {
+            return values(this._pending);
+        }
+    },
+
+    /**
+     * Gets the deliveries that failed on every attempt.
+     * @type {Object[]}
+     */
+    deadLetters: {
+        get: function () {
+            return values(this._deadLetters);
+        }
+    }
+});
+
+/**
+ * Loads the deliveries persisted by a previous run and starts handling them.
+ *
+ * @returns {undefined}
+ */
+DeliveryQueue.prototype.start = function () {
+    this._pending = readDeliveries(this._pendingDirectory);
+    this._deadLetters = readDeliveries(this._deadLetterDirectory);
+    this._processed = readProcessed(this._processedPath);
+    this._started = true;
+
+    var pendingCount = Object.keys(this._pending).length;
+    if (pendingCount > 0) {
+        dateLog('Resuming ' + pendingCount + ' queued deliveries');
+    }
+    this._schedule();
+};
+
+/**
+ * Stops handling deliveries. Queued deliveries stay on disk.
+ *
+ * @returns {undefined}
+ */
+DeliveryQueue.prototype.stop = function () {
+    this._started = false;
+    clearTimeout(this._timeout);
+    this._timeout = undefined;
+};
+
+/**
+ * Checks whether a delivery is already queued, in the dead-letter list, or has been handled.
+ *
+ * @param {String} id The `x-github-delivery` ID.
+ * @returns {Boolean} True if the delivery is known to the queue.
+ */
+DeliveryQueue.prototype.contains = function (id) {
+    return this._pending.hasOwnProperty(id) || this._deadLetters.hasOwnProperty(id) || this._processed.includes(id);
+};
+
+/**
+ * Persists a delivery and queues it for handling. Deliveries with an ID that is already known are ignored.
+ *
+ * @param {Object} delivery Object with the following properties:
+ * @param {String} delivery.id The `x-github-delivery` ID.
+ * @param {String} delivery.event The `x-github-event` name.
+ * @param {Object} delivery.body The GitHub event body.
+ * @returns {Boolean} True if the delivery was queued.
+ */
+DeliveryQueue.prototype.push = function (delivery) {
+    Check.typeOf.object('delivery', delivery);
+    Check.typeOf.string('delivery.id', delivery.id);
+    Check.typeOf.string('delivery.event', delivery.event);
+    Check.typeOf.object('delivery.body', delivery.body);
+
+    if (this.contains(delivery.id)) {
+        return false;
+    }
+
+    var entry = {
+        id: delivery.id,
+        event: delivery.event,
+        body: delivery.body,
+        receivedAt: Date.now(),
+        attempts: 0,
+        nextAttemptAt: Date.now()
+    };
+
+    // Write to disk before adding to memory, so a delivery is never acknowledged without being persisted.
+    writeDelivery(this._pendingDirectory, entry);
+    this._pending[entry.id] = entry;
+    this._schedule();
+    return true;
+};
+
+/**
+ * Handles the pending delivery that is due the soonest, if any is due.
+ *
+ * @returns {Promise<Boolean>} A promise that resolves to true if a delivery was attempted.
+ */
+DeliveryQueue.prototype.processNext = function () {
+    var entry = nextEntry(this._pending);
+    if (!defined(entry) || entry.nextAttemptAt > Date.now()) {
+        return Promise.resolve(false);
+    }
+
+    var that = this;
+    entry.attempts++;
+    return Promise.try(function () {
+            return that._process(entry);
+        })
+        .then(function () {
+            that._markProcessed(entry.id);
+            fsExtra.removeSync(deliveryPath(that._pendingDirectory, entry.id));
+            delete that._pending[entry.id];
+        })
+        .catch(function (error) {
+            entry.lastError = String(error);
+            console.error(error);
+
+            if (entry.attempts >= that.maxAttempts) {
+                dateLog('Delivery ' + entry.id + ' failed after ' + entry.attempts + ' attempts, moving it to the dead-letter list');
+                writeDelivery(that._deadLetterDirectory, entry);
+                fsExtra.removeSync(deliveryPath(that._pendingDirectory, entry.id));
+                delete that._pending[entry.id];
+                that._deadLetters[entry.id] = entry;
+                return;
+            }
+
+            var delay = that.retryDelay * Math.pow(2, entry.attempts - 1);
+            entry.nextAttemptAt = Date.now() + delay;
+            dateLog('Delivery ' + entry.id + ' failed, retrying in ' + Math.round(delay / 1000) + ' seconds');
+            writeDelivery(that._pendingDirectory, entry);
+        })
+        .catch(function (error) {
+            // The queue couldn't be updated on disk, for example when it is full. The delivery stays pending in
+            // memory, so wait before attempting it again rather than retrying it right away.
+            entry.nextAttemptAt = Date.now() + that.retryDelay;
+            dateLog('Could not update delivery ' + entry.id + ' in the queue: ' + error);
+        })
+        .then(function () {
+            return true;
+        });
+};
+
+DeliveryQueue.prototype._markProcessed = function (id) {
+    this._processed.push(id);
+    if (this._processed.length > this.maxProcessed) {
+        this._processed = this._processed.slice(this._processed.length - this.maxProcessed);
+    }
+    fsExtra.outputJsonSync(this._processedPath + '.tmp', this._processed);
+    fsExtra.renameSync(this._processedPath + '.tmp', this._processedPath);
+};
+
+DeliveryQueue.prototype._schedule = function () {
+    if (!this._started || this._processing) {
+        return;
+    }
+
+    clearTimeout(this._timeout);
+    this._timeout = undefined;
+
+    var entry = nextEntry(this._pending);
+    if (!defined(entry)) {
+        return;
+    }
+
+    var that = this;
+    var delay = Math.max(0, entry.nextAttemptAt - Date.now());
+    this._timeout = setTimeout(function () {
+        that._timeout = undefined;
+        that._processing = true;
+        that.processNext()
+            .catch(function (error) {
+                dateLog('Could not handle the next delivery: ' + error);
+            })
+            .finally(function () {
+                that._processing = false;
+                that._schedule();
+            });
+    }, delay);
+    // Don't keep the process alive just to retry deliveries
+    this._timeout.unref();
+};
+
+function values(entries) {
+    return Object.keys(entries).map(function (id) {
+        return entries[id];
+    });
+}
+
+function nextEntry(entries) {
+    var next;
+    for (var id in entries) {
+        if (entries.hasOwnProperty(id) && (!defined(next) || entries[id].nextAttemptAt < next.nextAttemptAt)) {
+            next = entries[id];
+        }
+    }
+    return next;
+}
+
+function deliveryPath(directory, id) {
+    // Delivery IDs are GUIDs, but they come from a request header so don't trust them as file names
+    return path.join(directory, id.replace(/[^\w-]/g, '_') + '.json');
+}
+
+function writeDelivery(directory, entry) {
+    var filePath = deliveryPath(directory, entry.id);
+    var temporaryPath = filePath + '.tmp';
+    fsExtra.outputJsonSync(temporaryPath, entry);
+    fsExtra.renameSync(temporaryPath, filePath);
+}
+
+function readDeliveries(directory) {
+    fsExtra.ensureDirSync(directory);
+
+    var entries = {};
+    fsExtra.readdirSync(directory).forEach(function (fileName) {
+        if (path.extname(fileName) !== '.json') {
+            return;
+        }
+        try {
+            var entry = fsExtra.readJsonSync(path.join(directory, fileName));
+            entries[entry.id] = entry;
+        } catch (error) {
+            dateLog('Could not read queued delivery ' + fileName + ': ' + error);
+        }
+    });
+    return entries;
+}
+
+function readProcessed(filePath) {
+    if (!fsExtra.existsSync(filePath)) {
+        return [];
+    }
+    try {
+        return fsExtra.readJsonSync(filePath);
+    } catch (error) {
+        dateLog('Could not read processed deliveries: ' + error);
+        return [];
+    }
+}
+
+module.exports = DeliveryQueue;
@@ -0,0 +1,91 @@
+'use strict';
+
+var Cesium = require('cesium');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+var DeveloperError = Cesium.DeveloperError;
+
+/**
+ * Keeps track of the functions that handle GitHub webhook events.
+ *
+ * A handler is a function taking the GitHub event body and the {@link RepositorySettings}, and returning a Promise.
+ * It declares the events it handles in its `events` property, as `event.action` pairs like `pull_request.opened`,
+ * or just the event name, like `push`, to handle every action.
+ *
+ * @constructor
+ */
+function EventHandlerRegistry() {
+    this._handlers = [];
+}
+
+/**
+ * Adds a handler to the registry.
+ *
+ * @param {String} name The name of the handler, used to enable or disable it in the `handlers` repository setting.
+ * @param {Function} handler The handler function, with an `events` property listing the events it handles.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Boolean} [options.enabledByDefault=true] Whether the handler runs for repositories which don't mention it in their `handlers` setting.
+ * @returns {undefined}
+ */
+EventHandlerRegistry.prototype.register = function (name, handler, options) {
+    Check.typeOf.string('name', name);
+    Check.typeOf.func('handler', handler);
+    if (!Array.isArray(handler.events)) {
+        throw new DeveloperError('handler ' + name + ' must declare the events it handles');
+    }
+    if (defined(this.getHandler(name))) {
+        throw new DeveloperError('handler ' + name + ' is already registered');
+    }
+
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    this._handlers.push({
+        name: name,
+        handler: handler,
+        enabledByDefault: defaultValue(options.enabledByDefault, true)
+    });
+};
+
+/**
+ * Gets a registered handler by name.
+ *
+ * @param {String} name The name of the handler.
+ * @returns {Function|undefined} The handler, or undefined if none is registered with that name.
+ */
+EventHandlerRegistry.prototype.getHandler = function (name) {
+    for (var i = 0; i < this._handlers.length; i++) {
+        if (this._handlers[i].name === name) {
+            return this._handlers[i].handler;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Gets the names of the handlers for an event which are enabled for a repository, in the order they were registered.
+ *
+ * @param {String} event The `x-github-event` name.
+ * @param {String} [action] The `action` of the event body, if any.
+ * @param {RepositorySettings} repositorySettings The settings of the repository the event is for.
+ * @returns {String[]} The names of the handlers to call.
+ */
+EventHandlerRegistry.prototype.getHandlerNames = function (event, action, repositorySettings) {
+    Check.typeOf.string('event', event);
+    Check.typeOf.object('repositorySettings', repositorySettings);
+
+    var eventAction = event + '.' + action;
+    return this._handlers
+        .filter(function (entry) {
+            var events = entry.handler.events;
+            if (!events.includes(event) && !events.includes(eventAction)) {
+                return false;
+            }
+            return repositorySettings.isHandlerEnabled(entry.name, entry.enabledByDefault);
+        })
+        .map(function (entry) {
+            return entry.name;
+        });
+};
+
+module.exports = EventHandlerRegistry;
@@ -5,15 +5,24 @@ var fs = require('fs');
 var handlebars = require('handlebars');
 var path = require('path');
 
+var findCommentWithMarker = require('./findCommentWithMarker');
 var loadRepoConfig = require('./loadRepoConfig');
+var parseBoolean = require('./parseBoolean');
 
 var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
 
 var defaultStalePullRequest = fs.readFileSync(path.join(__dirname, 'templates', 'stalePullRequest.hbs')).toString();
+var defaultStalePullRequestReminder = fs.readFileSync(path.join(__dirname, 'templates', 'stalePullRequestReminder.hbs')).toString();
+var defaultStalePullRequestWarning = fs.readFileSync(path.join(__dirname, 'templates', 'stalePullRequestWarning.hbs')).toString();
+var defaultStalePullRequestClosed = fs.readFileSync(path.join(__dirname, 'templates', 'stalePullRequestClosed.hbs')).toString();
+var defaultStaleIssue = fs.readFileSync(path.join(__dirname, 'templates', 'staleIssue.hbs')).toString();
 var defaultIssueClosed = fs.readFileSync(path.join(__dirname, 'templates', 'issueClosed.hbs')).toString();
 var defaultPullRequestOpened = fs.readFileSync(path.join(__dirname, 'templates', 'pullRequestOpened.hbs')).toString();
+var defaultCommandReply = fs.readFileSync(path.join(__dirname, 'templates', 'commandReply.hbs')).toString();
 var defaultSignatureTemplate = fs.readFileSync(path.join(__dirname, 'templates', 'signature.hbs')).toString();
 var defaultMaxDaysSinceUpdate = 30;
+var defaultFirstContributionCc = ['OmarShehata', 'Slchow'];
 
 /**
  * Encapsulate available options for each repository.
@@ -35,6 +44,11 @@ function RepositorySettings(options) {
     this.issueClosedTemplate = defaultValue(options.issueClosedTemplate, defaultIssueClosed);
     this.pullRequestOpenedTemplate = defaultValue(options.pullRequestOpenedTemplate, defaultPullRequestOpened);
     this.stalePullRequestTemplate = defaultValue(options.stalePullRequestTemplate, defaultStalePullRequest);
+    this.stalePullRequestReminderTemplate = defaultValue(options.stalePullRequestReminderTemplate, defaultStalePullRequestReminder);
+    this.stalePullRequestWarningTemplate = defaultValue(options.stalePullRequestWarningTemplate, defaultStalePullRequestWarning);
+    this.stalePullRequestClosedTemplate = defaultValue(options.stalePullRequestClosedTemplate, defaultStalePullRequestClosed);
+    this.staleIssueTemplate = defaultValue(options.staleIssueTemplate, defaultStaleIssue);
+    this.commandReplyTemplate = defaultValue(options.commandReplyTemplate, defaultCommandReply);
 
     /**
      * Gets the raw template for the signature at the bottom of each comment template.
@@ -47,16 +61,114 @@ function RepositorySettings(options) {
      */
     this.contributorsPath = options.contributorsPath;
 
+    /**
+     * Gets the GitHub usernames to CC when someone makes their first contribution.
+     * @type {String[]}
+     */
+    this.firstContributionCc = defaultValue(options.firstContributionCc, defaultFirstContributionCc).map(function (userName) {
+        return userName.replace(/^@/, '');
+    });
+
     /**
      * Gets the amount of days before a pull request is considered stale.
      */
     this.maxDaysSinceUpdate = defaultValue(options.maxDaysSinceUpdate, defaultMaxDaysSinceUpdate);
 
+    /**
+     * Gets the escalation stages of stale pull requests, see {@link stalePullRequest.getStages}.
+     * When undefined, stale pull requests are bumped, then labeled `stale` with a reminder to their reviewers.
+     * @type {Object[]}
+     */
+    this.staleStages = options.staleStages;
+
+    /**
+     * Gets the globs of the base branches whose pull requests are checked for staleness besides the default branch,
+     * with their own `maxDaysSinceUpdate`. See {@link stalePullRequest.getBaseBranch}.
+     * @type {Array<String|Object>}
+     */
+    this.staleBaseBranches = defaultValue(options.staleBaseBranches, []);
+
+    /**
+     * Gets which pull requests are never stale, like drafts. See {@link stalePullRequest.getExemptions}.
+     * @type {Object}
+     */
+    this.stalePullRequest = options.stalePullRequest;
+
+    /**
+     * Gets whether and how to comment on, label and close stale issues. See {@link staleIssue}.
+     * @type {Boolean|Object}
+     */
+    this.staleIssue = options.staleIssue;
+
     /**
      * Gets the relative path to the directory containing the unit tests.
      */
     this.unitTestPath = options.unitTestPath;
 
+    /**
+     * Gets how to map the source files of this repository to their specs. See {@link testMapping}.
+     * @type {Object}
+     */
+    this.testMapping = options.testMapping;
+
+    /**
+     * Gets the rules of the pull request checklist for this repository, in addition to the default rules.
+     * See {@link pullRequestRules}.
+     * @type {Object[]}
+     */
+    this.pullRequestRules = options.pullRequestRules;
+
+    /**
+     * Gets whether to ask the owners of the files changed by a new pull request to review it. See {@link requestReviewers}.
+     * @type {Boolean}
+     */
+    this.requestReviews = parseBoolean(options.requestReviews);
+
+    /**
+     * Gets the owners of the files of this repository, as a map of globs to owners like `@boomerJones` or
+     * `@AnalyticalGraphicsInc/cesium-team`. When undefined, the `CODEOWNERS` file of the repository is used.
+     * @type {Object}
+     */
+    this.reviewers = options.reviewers;
+
+    /**
+     * Gets the rules labeling issues and pull requests by their changed files, title or body. See {@link applyLabelRules}.
+     * @type {Object[]}
+     */
+    this.labelRules = options.labelRules;
+
+    /**
+     * Gets whether and how to label pull requests with their size, from `size/XS` to `size/XL`. See {@link pullRequestSize}.
+     * @type {Boolean|Object}
+     */
+    this.pullRequestSize = options.pullRequestSize;
+
+    /**
+     * Gets whether and how to check the entries a pull request adds to `CHANGES.md`. See {@link checkChanges}.
+     * @type {Boolean|Object}
+     */
+    this.changesFormat = options.changesFormat;
+
+    /**
+     * Gets the relative path to the license file listing the third party libraries. See {@link checkThirdPartyLicenses}.
+     * @type {String}
+     */
+    this.licensePath = defaultValue(options.licensePath, 'LICENSE.md');
+
+    /**
+     * Gets the sources of CLA signers for this repository, see {@link claSigners}. When undefined, the
+     * Google Sheets from the global settings are used. An empty array disables CLA checking.
+     * @type {Object[]}
+     */
+    this.claSources = options.claSources;
+
+    /**
+     * Gets the event handlers to enable or disable for this repository, keyed by handler name.
+     * Handlers which are not listed use their default.
+     * @type {Object}
+     */
+    this.handlers = defaultValue(options.handlers, {});
+
     // Exposed for testing
     this._loadRepoConfig = loadRepoConfig;
 }
@@ -125,7 +237,7 @@ Object.defineProperties(RepositorySettings.prototype, {
      */
     issueClosedTemplate: {
         get: function () {
-            return handlebars.compile(this._issueClosedTemplate + this.signatureTemplate);
+            return compileTemplate('issueClosed', this._issueClosedTemplate, this.signatureTemplate);
         },
         set: function (value) {
             this._issueClosedTemplate = value;
@@ -138,7 +250,7 @@ Object.defineProperties(RepositorySettings.prototype, {
      */
     pullRequestOpenedTemplate: {
         get: function () {
-            return handlebars.compile(this._pullRequestOpenedTemplate + this.signatureTemplate);
+            return compileTemplate('pullRequestOpened', this._pullRequestOpenedTemplate, this.signatureTemplate);
         },
         set: function (value) {
             this._pullRequestOpenedTemplate = value;
@@ -151,14 +263,114 @@ Object.defineProperties(RepositorySettings.prototype, {
      */
     stalePullRequestTemplate: {
         get: function () {
-            return handlebars.compile(this._stalePullRequestTemplate + this.signatureTemplate);
+            return compileTemplate('stalePullRequest', this._stalePullRequestTemplate, this.signatureTemplate);
         },
         set: function (value) {
             this._stalePullRequestTemplate = value;
         }
+    },
+
+    /**
+     * Gets the handlebars template to use when labeling a stale pull request and reminding its reviewers.
+     * @type {String}
+     */
+    stalePullRequestReminderTemplate: {
+        get: function () {
+            return compileTemplate('stalePullRequestReminder', this._stalePullRequestReminderTemplate, this.signatureTemplate);
+        },
+        set: function (value) {
+            this._stalePullRequestReminderTemplate = value;
+        }
+    },
+
+    /**
+     * Gets the handlebars template to use when warning that a stale pull request is about to be closed.
+     * @type {String}
+     */
+    stalePullRequestWarningTemplate: {
+        get: function () {
+            return compileTemplate('stalePullRequestWarning', this._stalePullRequestWarningTemplate, this.signatureTemplate);
+        },
+        set: function (value) {
+            this._stalePullRequestWarningTemplate = value;
+        }
+    },
+
+    /**
+     * Gets the handlebars template to use when closing a stale pull request.
+     * @type {String}
+     */
+    stalePullRequestClosedTemplate: {
+        get: function () {
+            return compileTemplate('stalePullRequestClosed', this._stalePullRequestClosedTemplate, this.signatureTemplate);
+        },
+        set: function (value) {
+            this._stalePullRequestClosedTemplate = value;
+        }
+    },
+
+    /**
+     * Gets the handlebars template to use when commenting on a stale issue.
+     * @type {String}
+     */
+    staleIssueTemplate: {
+        get: function () {
+            return compileTemplate('staleIssue', this._staleIssueTemplate, this.signatureTemplate);
+        },
+        set: function (value) {
+            this._staleIssueTemplate = value;
+        }
+    },
+
+    /**
+     * Gets the handlebars template to use when replying to commands in a comment.
+     * @type {String}
+     */
+    commandReplyTemplate: {
+        get: function () {
+            return compileTemplate('commandReply', this._commandReplyTemplate, this.signatureTemplate);
+        },
+        set: function (value) {
+            this._commandReplyTemplate = value;
+        }
     }
 });
 
+// Every comment ends with the signature, followed by a hidden marker so that concierge can find its own comments.
+function compileTemplate(templateName, template, signatureTemplate) {
+    return handlebars.compile(template + signatureTemplate + '\n' + findCommentWithMarker.createMarker(templateName));
+}
+
+/**
+ * Gets a comment template by name, like `stalePullRequest`. Besides the built-in templates, this includes any other
+ * template in the `.concierge/templates` directory of the repository.
+ *
+ * @param {String} name The name of the template, which is its file name without the `.hbs` extension.
+ * @returns {Function|undefined} The compiled template, or undefined if there is no such template.
+ */
+RepositorySettings.prototype.getTemplate = function (name) {
+    var template = this[name + 'Template'];
+    if (typeof template === 'string') {
+        return compileTemplate(name, template, this.signatureTemplate);
+    }
+    return template;
+};
+
+/**
+ * Checks whether an event handler should run for this repository.
+ *
+ * @param {String} name The name the handler is registered with.
+ * @param {Boolean} [enabledByDefault=true] Whether the handler runs when the `handlers` setting doesn't mention it.
+ * @returns {Boolean} True if the handler is enabled.
+ */
+RepositorySettings.prototype.isHandlerEnabled = function (name, enabledByDefault) {
+    var enabled = defined(this.handlers) ? this.handlers[name] : undefined;
+    if (!defined(enabled)) {
+        return defaultValue(enabledByDefault, true);
+    }
+    return parseBoolean(enabled);
+};
+
 /**
  * Requests the latest version of the configuration settings from the repository.
  * @returns {Promise<Object|String>} A Promise that resolves with the new configuration, or the error message if the Promise fails.
@@ -7,6 +7,7 @@ var fsExtra = require('fs-extra');
 var googleapis = require('googleapis');
 
 var loadRepoConfig = require('./loadRepoConfig');
+var parseBoolean = require('./parseBoolean');
 var RepositorySettings = require('./RepositorySettings');
 
 var defined = Cesium.defined;
@@ -27,7 +28,12 @@ Settings.loadRepositoriesSettings = function (configPath) {
         })
         .defaults({
             port: 5000,
-            listenPath: '/'
+            listenPath: '/',
+            deliveryQueuePath: 'deliveries',
+            maxDeliveryAttempts: 5,
+            claSnapshotDirectory: 'claSigners',
+            claRefreshMinutes: 60,
+            allowSha1Signatures: false
         });
 
     var repositoryNames;
@@ -109,6 +115,59 @@ Object.defineProperties(Settings, {
             return parseInt(nconf.get('port'));
         }
     },
+    /** Directory in which accepted GitHub deliveries are stored until they have been handled
+     * @memberOf Settings
+     * @type {String}
+     */
+    deliveryQueuePath: {
+        get: function () {
+            return nconf.get('deliveryQueuePath');
+        }
+    },
+    /** Number of times to attempt handling a GitHub delivery before moving it to the dead-letter list
+     * @memberOf Settings
+     * @type {Number}
+     */
+    maxDeliveryAttempts: {
+        get: function () {
+            return parseInt(nconf.get('maxDeliveryAttempts'));
+        }
+    },
+    /** Directory in which the lists of CLA signers are saved, to fall back on when they can't be loaded
+     * @memberOf Settings
+     * @type {String}
+     */
+    claSnapshotDirectory: {
+        get: function () {
+            return nconf.get('claSnapshotDirectory');
+        }
+    },
+    /** Number of minutes between refreshes of the list of CLA signers
+     * @memberOf Settings
+     * @type {Number}
+     */
+    claRefreshMinutes: {
+        get: function () {
+            return parseFloat(nconf.get('claRefreshMinutes'));
+        }
+    },
+    /**
+     * The headers to send to `http` CLA sources, keyed by the name a source gives in its `credentials`,
+     * so secrets stay out of the public repository settings.
+     * @memberOf Settings
+     * @type {Object}
+     */
+    claHttpCredentials: {
+        get: function () {
+            // An object from a config JSON file, or a JSON string from an environment variable
+            var credentials = nconf.get('claHttpCredentials');
+            if (typeof credentials === 'string') {
+                return JSON.parse(credentials);
+            }
+            return credentials;
+        },
+        configurable: true
+    },
     /** Array of repository settings objects
      * @memberOf Settings
      * @type {Object[]}
@@ -127,6 +186,37 @@ Object.defineProperties(Settings, {
             return nconf.get('secret');
         }
     },
+    /** All shared secrets accepted when verifying incoming GitHub requests. `secret` may be an array or a
+     * comma-separated string, so a new secret can be added before the old one is removed.
+     * @memberOf Settings
+     * @type {String[]}
+     */
+    secrets: {
+        get: function () {
+            var secret = nconf.get('secret');
+            if (!defined(secret) || secret === '') {
+                return [];
+            }
+            if (typeof secret === 'string') {
+                secret = secret.split(',');
+            }
+            return secret.map(function (value) {
+                return value.trim();
+            }).filter(function (value) {
+                return value.length > 0;
+            });
+        }
+    },
+    /** Whether to accept requests signed only with the legacy SHA-1 `X-Hub-Signature` header, when GitHub
+     * doesn't send the SHA-256 one.
+     * @memberOf Settings
+     * @type {Boolean}
+     */
+    allowSha1Signatures: {
+        get: function () {
+            return parseBoolean(nconf.get('allowSha1Signatures'));
+        }
+    },
     /** Slack access token. If defined, concierge will post reminders and
      * fun stats to the Slack team.
      * @memberOf Settings
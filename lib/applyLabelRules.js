@@ -0,0 +1,209 @@
+'use strict';
+var Cesium = require('cesium');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var dateLog = require('./dateLog');
+var matchesGlob = require('./matchesGlob');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+
+module.exports = applyLabelRules;
+
+/**
+ * Labels a newly opened issue with the `labelRules` of the repository settings whose title or body patterns match.
+ * Pull requests are labeled by {@link commentOnOpenedPullRequest}, which also knows the changed files.
+ *
+ * @param {Object} body The GitHub event body.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<Object>} A Promise that resolves with the `added` and `removed` labels.
+ */
+function applyLabelRules(body, repositorySettings) {
+    Check.typeOf.object('body', body);
+    Check.typeOf.object('repositorySettings', repositorySettings);
+
+    var issue = body.issue;
+    return repositorySettings.fetchSettings()
+        .then(function () {
+            return applyLabelRules._implementation({
+                issueUrl: issue.url,
+                title: issue.title,
+                body: issue.body,
+                labels: getLabelNames(issue.labels)
+            }, repositorySettings);
+        });
+}
+
+/**
+ * The events handled by {@link applyLabelRules}.
+ * @type {String[]}
+ */
+applyLabelRules.events = ['issues.opened', 'issues.edited'];
+
+/**
+ * Gets the valid label rules of the repository. A rule needs a `label` and at least one of `files`, `title` or `body`.
+ * Invalid rules are logged and ignored.
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Object[]} The rules, with their `title` and `body` patterns compiled to regular expressions.
+ */
+applyLabelRules.getRules = function (repositorySettings) {
+    var rules = [];
+    defaultValue(repositorySettings.labelRules, []).forEach(function (rule) {
+        if (!defined(rule.label) || (!defined(rule.files) && !defined(rule.title) && !defined(rule.body))) {
+            dateLog('Ignoring label rule without a label or anything to match: ' + JSON.stringify(rule));
+            return;
+        }
+
+        var flags = defaultValue(rule.caseSensitive, true) ? '' : 'i';
+        try {
+            rules.push({
+                label: rule.label,
+                files: rule.files,
+                title: defined(rule.title) ? new RegExp(rule.title, flags) : undefined,
+                body: defined(rule.body) ? new RegExp(rule.body, flags) : undefined,
+                caseSensitive: defaultValue(rule.caseSensitive, true)
+            });
+        } catch (error) {
+            dateLog('Ignoring label rule ' + rule.label + ': ' + error);
+        }
+    });
+    return rules;
+};
+
+/**
+ * Gets the labels of the rules which match an issue or pull request. A rule matches when any of its changed file
+ * globs, title pattern or body pattern matches.
+ *
+ * @param {Object[]} rules The rules, see {@link applyLabelRules.getRules}.
+ * @param {Object} options Object with the following properties:
+ * @param {String} [options.title] The title of the issue or pull request.
+ * @param {String} [options.body] The body of the issue or pull request.
+ * @param {String[]} [options.files] The names of the files changed by the pull request.
+ * @returns {String[]} The labels of the matching rules.
+ */
+applyLabelRules.getMatchingLabels = function (rules, options) {
+    var files = defaultValue(options.files, []);
+    var labels = [];
+    rules.forEach(function (rule) {
+        if (indexOfLabel(labels, rule.label) !== -1) {
+            return;
+        }
+        var matches = (defined(rule.title) && rule.title.test(defaultValue(options.title, ''))) ||
+            (defined(rule.body) && rule.body.test(defaultValue(options.body, ''))) ||
+            (defined(rule.files) && files.some(function (file) {
+                return matchesGlob(file, rule.files, {caseSensitive: rule.caseSensitive});
+            }));
+        if (matches) {
+            labels.push(rule.label);
+        }
+    });
+    return labels;
+};
+
+applyLabelRules._implementation = function (options, repositorySettings) {
+    var rules = applyLabelRules.getRules(repositorySettings);
+    if (rules.length === 0) {
+        return Promise.resolve({
+            added: [],
+            removed: []
+        });
+    }
+
+    return applyLabelRules.updateLabels({
+        issueUrl: options.issueUrl,
+        labels: options.labels,
+        managedLabels: rules.map(function (rule) {
+            return rule.label;
+        }),
+        matchingLabels: applyLabelRules.getMatchingLabels(rules, options)
+    }, repositorySettings);
+};
+
+/**
+ * Adds the matching labels missing from an issue or pull request, and removes its managed labels which no longer match.
+ * Labels are compared case insensitively, like on GitHub.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.issueUrl The GitHub API URL of the issue or pull request, as an issue.
+ * @param {String[]} [options.labels] The names of the current labels of the issue or pull request.
+ * @param {String[]} options.managedLabels The labels which are added and removed automatically.
+ * @param {String[]} options.matchingLabels The managed labels which should be there.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<Object>} A Promise that resolves with the `added` and `removed` labels.
+ */
+applyLabelRules.updateLabels = function (options, repositorySettings) {
+    Check.typeOf.object('options', options);
+    Check.typeOf.string('options.issueUrl', options.issueUrl);
+    Check.typeOf.object('options.managedLabels', options.managedLabels);
+    Check.typeOf.object('options.matchingLabels', options.matchingLabels);
+
+    var labels = defaultValue(options.labels, []);
+    var result = {
+        added: options.matchingLabels.filter(function (label) {
+            return indexOfLabel(labels, label) === -1;
+        }),
+        removed: []
+    };
+    // Only managed labels are removed, under the name they have on the issue
+    options.managedLabels.forEach(function (label) {
+        var index = indexOfLabel(labels, label);
+        if (index !== -1 && indexOfLabel(options.matchingLabels, label) === -1 && indexOfLabel(result.removed, label) === -1) {
+            result.removed.push(labels[index]);
+        }
+    });
+
+    var labelsUrl = options.issueUrl + '/labels';
+    return Promise.resolve()
+        .then(function () {
+            if (result.added.length > 0) {
+                return requestPromise.post({
+                    url: labelsUrl,
+                    headers: repositorySettings.headers,
+                    body: {
+                        labels: result.added
+                    },
+                    json: true
+                });
+            }
+        })
+        .then(function () {
+            return Promise.each(result.removed, function (label) {
+                return requestPromise.delete({
+                    url: labelsUrl + '/' + encodeURIComponent(label),
+                    headers: repositorySettings.headers,
+                    json: true
+                });
+            });
+        })
+        .then(function () {
+            return result;
+        });
+};
+
+/**
+ * Gets the names of the labels of an issue or pull request from the GitHub API.
+ *
+ * @param {Object[]} [labels] The labels from the GitHub API.
+ * @returns {String[]} The names of the labels.
+ */
+applyLabelRules.getLabelNames = getLabelNames;
+
+function getLabelNames(labels) {
+    return defaultValue(labels, []).map(function (label) {
+        return label.name;
+    });
+}
+
+// GitHub labels are case insensitive
+function indexOfLabel(labels, label) {
+    var lowerCaseLabel = label.toLowerCase();
+    for (var i = 0; i < labels.length; i++) {
+        if (labels[i].toLowerCase() === lowerCaseLabel) {
+            return i;
+        }
+    }
+    return -1;
+}
@@ -0,0 +1,256 @@
+'use strict';
+var Cesium = require('cesium');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+
+module.exports = checkChanges;
+
+/**
+ * Checks the entries a pull request adds to `CHANGES.md`. Each new entry should be under the latest version heading,
+ * which is the unreleased version, under one of the sections of the version, with the section matching how the entry
+ * starts, like `Fixed` under `Fixes`, and link to the pull request or an issue referenced in its description.
+ *
+ * The `changesFormat` of the repository settings is `true`, or an object with the following properties:
+ * <ul>
+ * <li>`sections` - The sections of a version, mapped to the first words of the entries which belong there.</li>
+ * <li>`requireReference` - Whether entries must link to the pull request or an issue. Defaults to true.</li>
+ * </ul>
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Object} options.changesFile The `CHANGES.md` file from the changed files of the pull request, with its `patch`.
+ * @param {String} options.headApiUrl The GitHub API URL of the repository of the head branch.
+ * @param {String} options.headBranch The head branch of the pull request.
+ * @param {Number} [options.number] The number of the pull request.
+ * @param {String} [options.body] The description of the pull request, which may reference issues.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<Object[]>} A Promise that resolves with the problems, with the `line` of the entry and a `message`.
+ */
+function checkChanges(options, repositorySettings) {
+    Check.typeOf.object('options', options);
+    Check.typeOf.object('options.changesFile', options.changesFile);
+    Check.typeOf.object('repositorySettings', repositorySettings);
+
+    var format = checkChanges.getFormat(repositorySettings);
+    // GitHub leaves out the patch of very large diffs
+    if (!defined(format) || !defined(options.changesFile.patch)) {
+        return Promise.resolve([]);
+    }
+
+    var url = options.headApiUrl + '/contents/' + options.changesFile.filename + '?ref=' + options.headBranch;
+    return Promise.resolve(requestPromise.get({
+            url: url,
+            headers: repositorySettings.headers,
+            json: true
+        }))
+        .then(function (response) {
+            var content = Buffer.from(response.content, 'base64').toString();
+            var references = checkChanges.getReferences(options.body);
+            if (defined(options.number)) {
+                references.unshift(options.number);
+            }
+            return checkChanges.getProblems(content, checkChanges.getAddedLines(options.changesFile.patch), {
+                sections: format.sections,
+                requireReference: format.requireReference,
+                references: references
+            });
+        });
+}
+
+/**
+ * The sections of a version in `CHANGES.md`, mapped to the first words of the entries which belong there.
+ * @type {Object}
+ */
+checkChanges.defaultSections = {
+    'Breaking Changes': ['Removed', 'Renamed'],
+    'Deprecated': ['Deprecated'],
+    'Additions': ['Added'],
+    'Fixes': ['Fixed']
+};
+
+/**
+ * Gets the format of `CHANGES.md` for a repository.
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Object|undefined} The `sections` and whether to `requireReference`, or undefined if the repository
+ * doesn't check the content of `CHANGES.md`.
+ */
+checkChanges.getFormat = function (repositorySettings) {
+    var settings = repositorySettings.changesFormat;
+    if (!defined(settings) || settings === false) {
+        return undefined;
+    }
+    if (typeof settings !== 'object') {
+        settings = {};
+    }
+    return {
+        sections: defaultValue(settings.sections, checkChanges.defaultSections),
+        requireReference: defaultValue(settings.requireReference, true)
+    };
+};
+
+/**
+ * Gets the lines added by a unified diff.
+ *
+ * @param {String} patch The patch of a file from the GitHub API.
+ * @returns {Object[]} The added lines, with their 1-based `line` number in the new file and their `text`.
+ */
+checkChanges.getAddedLines = function (patch) {
+    var addedLines = [];
+    var lineNumber = 0;
+    patch.split(/\r?\n/).forEach(function (line) {
+        var hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+        if (hunk !== null) {
+            lineNumber = parseInt(hunk[1]);
+        } else if (line.startsWith('+')) {
+            addedLines.push({
+                line: lineNumber,
+                text: line.substring(1)
+            });
+            lineNumber++;
+        } else if (line.startsWith(' ') || line.length === 0) {
+            lineNumber++;
+        }
+        // Removed lines and `\ No newline at end of file` don't exist in the new file
+    });
+    return addedLines;
+};
+
+/**
+ * Gets the issue and pull request numbers referenced by a text, like `#123` or a link to `/issues/123`.
+ *
+ * @param {String} [text] The text.
+ * @returns {Number[]} The numbers.
+ */
+checkChanges.getReferences = function (text) {
+    var references = [];
+    var regex = /#(\d+)|\/(?:issues|pull)\/(\d+)/g;
+    var match;
+    while ((match = regex.exec(defaultValue(text, ''))) !== null) {
+        var number = parseInt(defaultValue(match[1], match[2]));
+        if (references.indexOf(number) === -1) {
+            references.push(number);
+        }
+    }
+    return references;
+};
+
+/**
+ * Finds the problems of the entries added to `CHANGES.md`. Only top-level bullets are entries, nested bullets belong
+ * to the entry above them.
+ *
+ * @param {String} content The content of `CHANGES.md` with the changes of the pull request.
+ * @param {Object[]} addedLines The added lines, see {@link checkChanges.getAddedLines}.
+ * @param {Object} options Object with the following properties:
+ * @param {Object} options.sections The sections of a version, see {@link checkChanges.defaultSections}.
+ * @param {Boolean} options.requireReference Whether entries must reference one of the `references`.
+ * @param {Number[]} options.references The numbers of the pull request and the issues it references.
+ * @returns {Object[]} The problems, with the `line` of the entry and a `message`.
+ */
+checkChanges.getProblems = function (content, addedLines, options) {
+    var sectionNames = Object.keys(options.sections);
+    var headings = getHeadings(content.split(/\r?\n/), sectionNames);
+    var problems = [];
+    addedLines.forEach(function (addedLine) {
+        var entry = /^[*-]\s+(.*)/.exec(addedLine.text);
+        if (entry === null) {
+            return;
+        }
+
+        function addProblem(message) {
+            problems.push({
+                line: addedLine.line,
+                message: message
+            });
+        }
+
+        // The content may be from a newer commit than the patch
+        var heading = defaultValue(headings.lines[addedLine.line - 1], {});
+        if (!defined(heading.version) || heading.versionIndex > 0) {
+            var latestVersion = defined(headings.latestVersion) ? ', ' + headings.latestVersion : '';
+            addProblem('is not under the latest version' + latestVersion + '.');
+        }
+
+        var sectionName = findSection(entry[1], options.sections);
+        if (!defined(heading.section)) {
+            addProblem('is not under one of the sections ' + sectionNames.join(', ') + '.');
+        } else if (defined(sectionName) && sectionName !== heading.section) {
+            addProblem('is under ' + heading.section + ' but looks like it belongs under ' + sectionName + '.');
+        }
+
+        var references = checkChanges.getReferences(entry[1]);
+        var referenced = references.some(function (number) {
+            return options.references.indexOf(number) !== -1;
+        });
+        if (options.requireReference && !referenced) {
+            var expected = options.references.map(function (number) {
+                return '#' + number;
+            }).join(', ');
+            addProblem('doesn\'t link to ' + (expected.length > 0 ? expected : 'the pull request or an issue') + '.');
+        }
+    });
+    return problems;
+};
+
+// The version and section each line is under. A version heading starts with a version number or "Unreleased",
+// the first one is the latest version.
+function getHeadings(lines, sectionNames) {
+    var headings = {
+        lines: [],
+        latestVersion: undefined
+    };
+    var version;
+    var versionIndex = -1;
+    var section;
+    lines.forEach(function (line) {
+        var heading = /^#+\s*(.*?)\s*#*$/.exec(line);
+        if (heading !== null) {
+            var text = heading[1];
+            if (/^(v?\d+\.\d+|unreleased)/i.test(text)) {
+                version = text;
+                versionIndex++;
+                section = undefined;
+                if (versionIndex === 0) {
+                    headings.latestVersion = text;
+                }
+            } else if (defined(version)) {
+                section = matchSectionName(text, sectionNames);
+            }
+        }
+
+        headings.lines.push({
+            version: version,
+            versionIndex: versionIndex,
+            section: section
+        });
+    });
+    return headings;
+}
+
+// Headings may have emoji, like "Additions :tada:"
+function matchSectionName(text, sectionNames) {
+    var name = text.replace(/:[a-z0-9_+-]+:/gi, '').trim().toLowerCase();
+    for (var i = 0; i < sectionNames.length; i++) {
+        if (name.startsWith(sectionNames[i].toLowerCase())) {
+            return sectionNames[i];
+        }
+    }
+    return undefined;
+}
+
+function findSection(entry, sections) {
+    var text = entry.toLowerCase();
+    var names = Object.keys(sections);
+    for (var i = 0; i < names.length; i++) {
+        var prefixes = [].concat(sections[names[i]]);
+        for (var j = 0; j < prefixes.length; j++) {
+            if (text.startsWith(prefixes[j].toLowerCase())) {
+                return names[i];
+            }
+        }
+    }
+    return undefined;
+}
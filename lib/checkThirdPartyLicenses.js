@@ -0,0 +1,189 @@
+'use strict';
+var Cesium = require('cesium');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+
+module.exports = checkThirdPartyLicenses;
+
+/**
+ * Finds the third party libraries a pull request adds or modifies, and checks that the `LICENSE.md` of its head branch
+ * has a section for each of them. A library is a directory or file directly inside one of the `thirdPartyFolders`,
+ * or a dependency newly added to the `dependencies` of a `package.json`. A section is a Markdown heading naming the library.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Object[]} options.changedFiles The changed files of the pull request from the GitHub API, with their `filename` and `status`.
+ * @param {String} options.headApiUrl The GitHub API URL of the repository of the head branch.
+ * @param {String} options.headBranch The head branch of the pull request.
+ * @param {String} options.baseBranch The branch the pull request is opened against.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<Object>} A Promise that resolves with the `libraries`, each with its `name`, `path`, `status` and
+ * whether it `hasLicense`, and the names of the libraries `missingLicenses`.
+ */
+function checkThirdPartyLicenses(options, repositorySettings) {
+    Check.typeOf.object('options', options);
+    Check.typeOf.object('options.changedFiles', options.changedFiles);
+    Check.typeOf.object('repositorySettings', repositorySettings);
+
+    var libraries = checkThirdPartyLicenses.getLibraries(options.changedFiles, defaultValue(repositorySettings.thirdPartyFolders, []));
+    var packageFiles = options.changedFiles.filter(function (file) {
+        return /(^|\/)package\.json$/.test(file.filename) && file.filename.indexOf('node_modules/') === -1 && file.status !== 'removed';
+    });
+
+    return Promise.each(packageFiles, function (file) {
+            return checkThirdPartyLicenses._getNewDependencies(file, options, repositorySettings)
+                .then(function (dependencies) {
+                    dependencies.forEach(function (name) {
+                        libraries.push({
+                            name: name,
+                            path: file.filename,
+                            status: 'added'
+                        });
+                    });
+                });
+        })
+        .then(function () {
+            if (libraries.length === 0) {
+                return [];
+            }
+            var licensePath = defaultValue(repositorySettings.licensePath, 'LICENSE.md');
+            return getContent(options.headApiUrl + '/contents/' + licensePath + '?ref=' + options.headBranch, repositorySettings)
+                .then(checkThirdPartyLicenses.getLicenseSections);
+        })
+        .then(function (sections) {
+            libraries.forEach(function (library) {
+                library.hasLicense = checkThirdPartyLicenses.hasLicense(sections, library.name);
+            });
+            return {
+                libraries: libraries,
+                missingLicenses: libraries.filter(function (library) {
+                    return !library.hasLicense;
+                }).map(function (library) {
+                    return library.name;
+                })
+            };
+        });
+}
+
+/**
+ * Gets the libraries changed inside the third party folders. A library is added if all of its changed files are.
+ *
+ * @param {Object[]} changedFiles The changed files from the GitHub API, with their `filename` and `status`.
+ * @param {String[]} thirdPartyFolders The third party folders of the repository.
+ * @returns {Object[]} The libraries with their `name`, `path` and `status`.
+ */
+checkThirdPartyLicenses.getLibraries = function (changedFiles, thirdPartyFolders) {
+    var folders = thirdPartyFolders.map(function (folder) {
+        return folder.replace(/^\/+|\/+$/g, '') + '/';
+    });
+    var libraries = [];
+    changedFiles.forEach(function (file) {
+        var folder = folders.find(function (folder) {
+            return file.filename.startsWith(folder);
+        });
+        if (!defined(folder) || file.status === 'removed') {
+            return;
+        }
+
+        var entry = file.filename.substring(folder.length).split('/')[0];
+        var path = folder + entry;
+        var library = libraries.find(function (library) {
+            return library.path === path;
+        });
+        if (!defined(library)) {
+            library = {
+                name: getLibraryName(entry),
+                path: path,
+                status: file.status
+            };
+            libraries.push(library);
+        } else if (file.status !== 'added') {
+            library.status = 'modified';
+        }
+    });
+    return libraries;
+};
+
+/**
+ * Gets the headings of a `LICENSE.md`, which name the libraries it covers.
+ *
+ * @param {String} content The content of `LICENSE.md`.
+ * @returns {String[]} The text of the headings.
+ */
+checkThirdPartyLicenses.getLicenseSections = function (content) {
+    var sections = [];
+    var regex = /^#+\s*(.*?)\s*#*$/gm;
+    var match;
+    while ((match = regex.exec(content)) !== null) {
+        // Headings often link to the library, like ### [Knockout](http://knockoutjs.com/)
+        sections.push(match[1].replace(/\[([^\]]*)\]\([^)]*\)/g, '$1'));
+    }
+    return sections;
+};
+
+/**
+ * Checks whether a library has a section. The names are compared ignoring case and punctuation, and a section may
+ * name the library as one of its words, like `Draco 3D Data Compression` for `draco`.
+ *
+ * @param {String[]} sections The sections, see {@link checkThirdPartyLicenses.getLicenseSections}.
+ * @param {String} name The name of the library, like `knockout` or `@turf/boolean-contains`.
+ * @returns {Boolean} True if a section names the library.
+ */
+checkThirdPartyLicenses.hasLicense = function (sections, name) {
+    var names = [normalize(name), normalize(name.split('/').pop())];
+    return sections.some(function (section) {
+        var words = section.toLowerCase().split(/\s+/).map(normalize);
+        words.push(normalize(section));
+        return names.some(function (name) {
+            return name.length > 0 && words.indexOf(name) !== -1;
+        });
+    });
+};
+
+/**
+ * Gets the dependencies a pull request adds to the `dependencies` of a `package.json`, by comparing it with the
+ * `package.json` of the base branch.
+ *
+ * @param {Object} file The changed `package.json` from the GitHub API.
+ * @param {Object} options The options of {@link checkThirdPartyLicenses}.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<String[]>} A Promise that resolves with the names of the new dependencies.
+ */
+checkThirdPartyLicenses._getNewDependencies = function (file, options, repositorySettings) {
+    var headUrl = options.headApiUrl + '/contents/' + file.filename + '?ref=' + options.headBranch;
+    var baseUrl = 'https://api.github.com/repos/' + repositorySettings.name + '/contents/' + file.filename + '?ref=' + options.baseBranch;
+    return Promise.all([
+            getContent(headUrl, repositorySettings),
+            file.status === 'added' ? '{}' : getContent(baseUrl, repositorySettings)
+        ])
+        .then(function (contents) {
+            var headDependencies = defaultValue(JSON.parse(contents[0]).dependencies, {});
+            var baseDependencies = defaultValue(JSON.parse(contents[1]).dependencies, {});
+            return Object.keys(headDependencies).filter(function (name) {
+                return !baseDependencies.hasOwnProperty(name);
+            });
+        });
+};
+
+function getContent(url, repositorySettings) {
+    return Promise.resolve(requestPromise.get({
+            url: url,
+            headers: repositorySettings.headers,
+            json: true
+        }))
+        .then(function (response) {
+            return Buffer.from(response.content, 'base64').toString();
+        });
+}
+
+// A library file like `knockout-3.4.2.min.js` is named `knockout`
+function getLibraryName(entry) {
+    return entry.replace(/(\.min)?\.[a-z]+$/i, '').replace(/[-_.]?v?\d+(\.\d+)+.*$/, '');
+}
+
+function normalize(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
@@ -22,8 +22,16 @@ function checkWebHook(req, res, next) { // eslint-disable-line no-unused-vars
         return;
     }
 
-    var sign = req.headers['x-hub-signature'] || '';
-    if (Settings.secret && !sign) {
+    // Anyone can strip the SHA-256 signature, so the legacy SHA-1 signature is only used when explicitly allowed
+    var secrets = Settings.secrets;
+    var sign = req.headers['x-hub-signature-256'];
+    var algorithm = 'sha256';
+    if (!defined(sign) && defined(req.headers['x-hub-signature']) && Settings.allowSha1Signatures) {
+        sign = req.headers['x-hub-signature'];
+        algorithm = 'sha1';
+    }
+    sign = defined(sign) ? sign : '';
+    if (secrets.length > 0 && !sign) {
         next(new Error('No signature found in the request'));
         return;
     }
@@ -33,18 +41,82 @@ function checkWebHook(req, res, next) { // eslint-disable-line no-unused-vars
         return;
     }
 
-    // verify signature (if any)
-    if (Settings.secret && !checkWebHook.verifySignature(Settings.secret, JSON.stringify(req.body), sign)) {
+    if (secrets.length === 0) {
+        next();
+        return;
+    }
+
+    // The signature is computed over the exact bytes GitHub sent, so it must be checked against the raw body
+    if (!defined(req.rawBody)) {
+        next(new Error('Expected req.rawBody to be defined'));
+        return;
+    }
+
+    // verify signature
+    if (!checkWebHook.verifySignature(secrets, req.rawBody, sign, algorithm)) {
         next(new Error('Failed to verify signature'));
         return;
     }
     next();
 }
 
-checkWebHook.signData = function (secret, data) {
-    return 'sha1=' + crypto.createHmac('sha1', secret).update(data).digest('hex');
+/**
+ * `verify` callback for `bodyParser.json` which keeps the unparsed request body on `req.rawBody`
+ * so the signature can be verified against it.
+ *
+ * @param {Object} req The incoming request.
+ * @param {Object} res The response.
+ * @param {Buffer} buffer The raw request body.
+ * @returns {undefined}
+ */
+checkWebHook.saveRawBody = function (req, res, buffer) { // eslint-disable-line no-unused-vars
+    req.rawBody = buffer;
 };
 
-checkWebHook.verifySignature = function (secret, data, signature) {
-    return signature === checkWebHook.signData(secret, data);
+/**
+ * Signs data with the given secret in the format of the GitHub signature headers.
+ *
+ * @param {String} secret The shared secret.
+ * @param {String|Buffer} data The data to sign.
+ * @param {String} [algorithm='sha256'] The hash algorithm, either `sha256` or `sha1`.
+ * @returns {String} The signature, for example `sha256=<hex digest>`.
+ */
+checkWebHook.signData = function (secret, data, algorithm) {
+    algorithm = defined(algorithm) ? algorithm : 'sha256';
+    return algorithm + '=' + crypto.createHmac(algorithm, secret).update(data).digest('hex');
+};
+
+/**
+ * Checks a signature against the data signed with any of the given secrets. Comparisons are made in constant time.
+ *
+ * @param {String|String[]} secrets The shared secret, or a list of secrets to allow rotating them.
+ * @param {String|Buffer} data The signed data.
+ * @param {String} signature The signature from the `x-hub-signature-256` or `x-hub-signature` header.
+ * @param {String} [expectedAlgorithm] The algorithm the signature must use, either `sha256` or `sha1`. Any of them if undefined.
+ * @returns {Boolean} True if the signature matches one of the secrets.
+ */
+checkWebHook.verifySignature = function (secrets, data, signature, expectedAlgorithm) {
+    if (typeof signature !== 'string') {
+        return false;
+    }
+
+    var algorithm = signature.split('=')[0];
+    if (algorithm !== 'sha256' && algorithm !== 'sha1') {
+        return false;
+    }
+    if (defined(expectedAlgorithm) && algorithm !== expectedAlgorithm) {
+        return false;
+    }
+
+    secrets = Array.isArray(secrets) ? secrets : [secrets];
+    var signatureBuffer = Buffer.from(signature);
+    var verified = false;
+    secrets.forEach(function (secret) {
+        var expectedBuffer = Buffer.from(checkWebHook.signData(secret, data, algorithm));
+        // timingSafeEqual throws on buffers of different lengths
+        if (expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+            verified = true;
+        }
+    });
+    return verified;
 };
@@ -0,0 +1,202 @@
+'use strict';
+var crypto = require('crypto');
+var path = require('path');
+
+var Cesium = require('cesium');
+var Promise = require('bluebird');
+
+var ClaSignerIndex = require('./ClaSignerIndex');
+var dateLog = require('./dateLog');
+var loadFileClaSigners = require('./loadFileClaSigners');
+var loadGoogleSheetsClaSigners = require('./loadGoogleSheetsClaSigners');
+var loadHttpClaSigners = require('./loadHttpClaSigners');
+var Settings = require('./Settings');
+
+var defined = Cesium.defined;
+var RuntimeError = Cesium.RuntimeError;
+
+/**
+ * Looks up CLA signers in the sources configured for each repository. Every source is read by a provider
+ * and cached in a {@link ClaSignerIndex}, which is shared by the repositories using the same source.
+ *
+ * @exports claSigners
+ */
+var claSigners = {};
+
+/**
+ * The functions reading the signers from each type of source, keyed by the `type` of the source.
+ * A provider is called with the source and the {@link RepositorySettings}, and returns a Promise
+ * that resolves with the signers, see {@link parseClaSigners}.
+ * @type {Object}
+ */
+claSigners.providers = {
+    googleSheets: function (source) {
+        if (!defined(Settings.googleSheetsApi)) {
+            return Promise.reject(new RuntimeError('The Google Sheets API is not configured, set googleApiConfig to read CLA signers from Google Sheets'));
+        }
+        return loadGoogleSheetsClaSigners(Settings.googleSheetsApi, source);
+    },
+    file: loadFileClaSigners,
+    http: loadHttpClaSigners
+};
+
+var indexes = {};
+
+/**
+ * Gets the CLA sources of a repository. Repositories which don't configure `claSources` use the individual
+ * and corporate CLA Google Sheets from the global settings, if Google Sheets is configured.
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Object[]} The sources, empty if CLA checking is disabled.
+ */
+claSigners.getSources = function (repositorySettings) {
+    if (defined(repositorySettings.claSources)) {
+        return repositorySettings.claSources;
+    }
+    if (!defined(Settings.googleSheetsApi)) {
+        return [];
+    }
+    return [{
+        type: 'googleSheets',
+        spreadsheetId: Settings.individualClaSheetID,
+        column: 'D'
+    }, {
+        type: 'googleSheets',
+        spreadsheetId: Settings.corporateClaSheetID,
+        column: 'H',
+        freeText: true
+    }];
+};
+
+/**
+ * Checks whether CLA checking is enabled for a repository.
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Boolean} True if the repository has at least one CLA source.
+ */
+claSigners.isEnabled = function (repositorySettings) {
+    return claSigners.getSources(repositorySettings).length > 0;
+};
+
+/**
+ * Checks whether someone is covered by a CLA according to any of the sources of a repository,
+ * see {@link ClaSignerIndex#isCovered}.
+ *
+ * @param {Object} identity Object with the following properties:
+ * @param {String} [identity.userName] The GitHub username.
+ * @param {String} [identity.email] The email.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<Boolean>} A Promise that resolves with true if the identity is covered by a source. It rejects if
+ * the identity is not covered and a source could not be read.
+ */
+claSigners.isCovered = function (identity, repositorySettings) {
+    var error;
+    return Promise.map(claSigners.getSources(repositorySettings), function (source) {
+            return claSigners._getIndex(source, repositorySettings).isCovered(identity)
+                .catch(function (indexError) {
+                    if (!defined(error)) {
+                        error = indexError;
+                    }
+                    return false;
+                });
+        })
+        .then(function (results) {
+            if (results.includes(true)) {
+                return true;
+            }
+            if (defined(error)) {
+                return Promise.reject(error);
+            }
+            return false;
+        });
+};
+
+/**
+ * Reads the signers from every source of a repository again.
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise} A Promise that resolves when every source is refreshed, or rejects with the first error.
+ */
+claSigners.refresh = function (repositorySettings) {
+    return Promise.map(claSigners.getSources(repositorySettings), function (source) {
+        return claSigners._getIndex(source, repositorySettings).refresh();
+    });
+};
+
+/**
+ * Starts refreshing the sources of the given repositories, so the signers are loaded before the first pull request.
+ * Sources added to a repository later are started when they are first used.
+ *
+ * @param {Object} repositories The {@link RepositorySettings} keyed by repository name.
+ * @returns {undefined}
+ */
+claSigners.start = function (repositories) {
+    Object.keys(repositories).forEach(function (name) {
+        var repositorySettings = repositories[name];
+        claSigners.getSources(repositorySettings).forEach(function (source) {
+            try {
+                claSigners._getIndex(source, repositorySettings);
+            } catch (error) {
+                dateLog('Could not start the CLA source of ' + name + ': ' + error);
+            }
+        });
+    });
+};
+
+/**
+ * Stops refreshing every source and forgets the signers.
+ *
+ * @returns {undefined}
+ */
+claSigners.stop = function () {
+    Object.keys(indexes).forEach(function (key) {
+        indexes[key].stop();
+    });
+    indexes = {};
+};
+
+claSigners._getIndex = function (source, repositorySettings) {
+    var provider = claSigners.providers[source.type];
+    if (!defined(provider)) {
+        throw new RuntimeError('Unknown CLA source type ' + source.type + ', expected one of ' + Object.keys(claSigners.providers).join(', '));
+    }
+
+    var key = JSON.stringify(source);
+    // Files are read from the repository itself, so the same source in another repository is another file
+    if (source.type === 'file') {
+        key = repositorySettings.name + ':' + key;
+    }
+
+    var index = indexes[key];
+    if (!defined(index)) {
+        index = new ClaSignerIndex({
+            load: function () {
+                return provider(source, repositorySettings);
+            },
+            snapshotPath: getSnapshotPath(key),
+            refreshInterval: getRefreshInterval()
+        });
+        indexes[key] = index;
+        index.start();
+    }
+    return index;
+};
+
+function getRefreshInterval() {
+    var minutes = Settings.claRefreshMinutes;
+    if (!defined(minutes) || isNaN(minutes)) {
+        return undefined;
+    }
+    return minutes * 60 * 1000;
+}
+
+function getSnapshotPath(key) {
+    var directory = Settings.claSnapshotDirectory;
+    if (!defined(directory)) {
+        return undefined;
+    }
+    var hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(directory, hash.slice(0, 16) + '.json');
+}
+
+module.exports = claSigners;
@@ -3,7 +3,11 @@ var Cesium = require('cesium');
 var Promise = require('bluebird');
 var requestPromise = require('request-promise');
 
+var dateLog = require('./dateLog');
+var findCommentWithMarker = require('./findCommentWithMarker');
+var getAllPages = require('./getAllPages');
 var getUniqueMatch = require('./getUniqueMatch');
+var isFirstContribution = require('./isFirstContribution');
 
 var Check = Cesium.Check;
 var defined = Cesium.defined;
@@ -13,7 +17,8 @@ module.exports = commentOnClosedIssue;
 
 /**
  * Post a comment on an issue/pull request that just closed, reminding the users to update Google Group forum links (if there
- * were any linked in the comments) or congratulating them if this is their first contribution.
+ * were any linked in the comments) or congratulating them if this is their first contribution, which is when the pull request
+ * was merged and its author has no other merged pull request. See {@link isFirstContribution}.
  *
  * @param {Object} body The GitHub event body.
  * @param {Object} repositorySettings Headers to use for making additional GitHub requests.
@@ -32,6 +37,7 @@ function commentOnClosedIssue(body, repositorySettings) {
         options.isPullRequest = true;
         options.commentsUrl = pullRequest.comments_url;
         options.userName = pullRequest.user.login;
+        options.number = pullRequest.number;
     } else if (defined(issue)) {
         options.url = issue.url;
         options.isPullRequest = false;
@@ -45,6 +51,12 @@ function commentOnClosedIssue(body, repositorySettings) {
     return commentOnClosedIssue._implementation(options);
 }
 
+/**
+ * The events handled by {@link commentOnClosedIssue}.
+ * @type {String[]}
+ */
+commentOnClosedIssue.events = ['issues.closed', 'pull_request.closed'];
+
 commentOnClosedIssue._implementation = function (options) {
     var issueUrl = options.url;
     var commentsUrl = options.commentsUrl;
@@ -54,6 +66,7 @@ commentOnClosedIssue._implementation = function (options) {
 
     var comments = [];
     var issueHtmlUrl;
+    var firstContribution = false;
 
     return repositorySettings.fetchSettings()
         .then(function () {
@@ -75,27 +88,45 @@ commentOnClosedIssue._implementation = function (options) {
             // Check if this PR was merged, since the GitHub API returns "closed" for BOTH merged or closed.
             // This returns an error if the PR was NOT merged.
             return requestPromise.get({
-                url: issueUrl + '/merge',
-                headers: repositorySettings.headers,
-                json: true
-            });
+                    url: issueUrl + '/merge',
+                    headers: repositorySettings.headers,
+                    json: true
+                })
+                .then(function () {
+                    return isFirstContribution(userName, options.number, repositorySettings)
+                        .catch(function (error) {
+                            dateLog('Could not check whether ' + userName + ' contributed before: ' + error);
+                            return false;
+                        });
+                });
         })
-        .then(function () {
-            return requestPromise.get({
-                url: commentsUrl,
-                headers: repositorySettings.headers,
-                json: true
-            });
+        .then(function (result) {
+            firstContribution = result;
+            // Every page is needed for the forum links and to find an earlier reminder
+            return getAllPages(commentsUrl, repositorySettings.headers);
         })
         .then(function (commentsJsonResponse) {
+            var marker = findCommentWithMarker.createMarker('issueClosed');
+            var alreadyCommented = false;
             commentsJsonResponse.forEach(function (commentJson) {
+                if (!defined(commentJson.body)) {
+                    return;
+                }
+                if (commentJson.body.indexOf(marker) !== -1) {
+                    alreadyCommented = true;
+                }
                 comments.push(commentJson.body);
             });
 
+            // GitHub may deliver the same event again, only ever post one reminder
+            if (alreadyCommented) {
+                return Promise.resolve();
+            }
+
             var forum_links = getUniqueMatch(comments, commentOnClosedIssue._googleLinkRegex);
             var foundForumLinks = forum_links.length !== 0;
 
-            if (!foundForumLinks) {
+            if (!foundForumLinks && !firstContribution) {
                 return Promise.resolve();
             }
 
@@ -107,6 +138,8 @@ commentOnClosedIssue._implementation = function (options) {
                         html_url: issueHtmlUrl,
                         forum_links: forum_links,
                         foundForumLinks: foundForumLinks,
+                        isFirstContribution: firstContribution,
+                        firstContributionCc: repositorySettings.firstContributionCc,
                         userName: userName
                     })
                 },
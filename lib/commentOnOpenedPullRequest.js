@@ -3,117 +3,359 @@ var Cesium = require('cesium');
 var Promise = require('bluebird');
 var requestPromise = require('request-promise');
 
-var Settings = require('./Settings');
+var applyLabelRules = require('./applyLabelRules');
+var checkChanges = require('./checkChanges');
+var checkThirdPartyLicenses = require('./checkThirdPartyLicenses');
+var claSigners = require('./claSigners');
+var dateLog = require('./dateLog');
+var findCommentWithMarker = require('./findCommentWithMarker');
+var getAllPages = require('./getAllPages');
+var isFirstContribution = require('./isFirstContribution');
+var pullRequestRules = require('./pullRequestRules');
+var pullRequestSize = require('./pullRequestSize');
+var requestReviewers = require('./requestReviewers');
+var testMapping = require('./testMapping');
 
 var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
 var defined = Cesium.defined;
 
 module.exports = commentOnOpenedPullRequest;
 
 /**
- * Comments on a newly opened pull request.
+ * Comments on a newly opened pull request with a checklist, welcoming the author if it's their first contribution, and sets the `concierge/cla` commit status on its head commit.
+ * The CLA check covers the pull request author, every commit author and every co-author of its commits.
+ * If the repository has `requestReviews` on, the owners of the changed files are asked to review, see {@link requestReviewers}.
+ * The pull request is also labeled with the `labelRules` of the repository, see {@link applyLabelRules}, and with its
+ * size if the repository has `pullRequestSize` on, see {@link pullRequestSize}. With `changesFormat` on, the new entries
+ * of `CHANGES.md` are checked too, see {@link checkChanges}. Third party libraries the pull request adds or modifies are
+ * checked for a section in `LICENSE.md`, see {@link checkThirdPartyLicenses}. With a `testMapping`, the checklist lists
+ * the changed source files whose specs were not changed, see {@link testMapping}.
+ * When new commits are pushed or the pull request is edited, for example to change its base branch, the checklist is
+ * checked again, including the CLA, and the original comment, found by its hidden marker, is updated in place.
  *
  * @param {Object} body The GitHub event body.
  * @param {Object} repositorySettings Headers to use for making additional GitHub requests.
- * @returns {Promise} A Promise that resolves when processing is complete.
+ * @returns {Promise<Object|undefined>} A Promise that resolves with the checklist comment when processing is complete.
  */
 function commentOnOpenedPullRequest(body, repositorySettings) {
     Check.typeOf.object('body', body);
     Check.typeOf.object('repositorySettings', repositorySettings);
 
     var pullRequest = body.pull_request;
-    var filesUrl = pullRequest.url + '/files';
-    var commentsUrl = pullRequest.comments_url;
-    var userName = pullRequest.user.login;
-    var baseBranch = pullRequest.base.ref;
-    var headBranch = pullRequest.head.ref;
-    var headHtmlUrl = pullRequest.head.repo.html_url;
-    var headApiUrl = pullRequest.head.repo.url;
-
-    var repository = body.repository;
-    var repositoryUrl = repository.html_url;
-
-    return commentOnOpenedPullRequest._implementation(filesUrl, commentsUrl, repositorySettings, userName, repositoryUrl, baseBranch, headBranch, headHtmlUrl, headApiUrl);
+    return commentOnOpenedPullRequest._implementation({
+        filesUrl: pullRequest.url + '/files',
+        commentsUrl: pullRequest.comments_url,
+        statusesUrl: pullRequest.statuses_url,
+        commitsUrl: pullRequest.commits_url,
+        reviewersUrl: pullRequest.url + '/requested_reviewers',
+        issueUrl: pullRequest.issue_url,
+        number: pullRequest.number,
+        userName: pullRequest.user.login,
+        repositoryUrl: body.repository.html_url,
+        baseBranch: pullRequest.base.ref,
+        headBranch: pullRequest.head.ref,
+        headHtmlUrl: pullRequest.head.repo.html_url,
+        headApiUrl: pullRequest.head.repo.url,
+        title: pullRequest.title,
+        body: pullRequest.body,
+        labels: applyLabelRules.getLabelNames(pullRequest.labels),
+        updateExisting: body.action !== 'opened'
+    }, repositorySettings);
 }
 
-commentOnOpenedPullRequest._implementation = function (pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, userName, repositoryUrl, baseBranch, headBranch, headHtmlUrl, headApiUrl) {
-    // The google sheets API will fail to initialize if any of the required settings are missing.
-    var claEnabled = defined(Settings.googleSheetsApi);
+/**
+ * The events handled by {@link commentOnOpenedPullRequest}.
+ * @type {String[]}
+ */
+commentOnOpenedPullRequest.events = ['pull_request.opened', 'pull_request.synchronize', 'pull_request.edited'];
+
+/**
+ * The context of the commit status reporting whether the pull request author signed the CLA.
+ * @type {String}
+ */
+commentOnOpenedPullRequest.claStatusContext = 'concierge/cla';
+
+/**
+ * How long to remember whether a pull request is the first contribution of its author, in milliseconds. The checklist
+ * is updated whenever the pull request is pushed to or edited, and the search API only allows 30 requests per minute.
+ * @type {Number}
+ */
+commentOnOpenedPullRequest.firstContributionCacheDuration = 60 * 60 * 1000;
+
+commentOnOpenedPullRequest._firstContributions = {};
+
+commentOnOpenedPullRequest._isFirstContribution = function (userName, number, repositorySettings) {
+    var now = Date.now();
+    var cache = commentOnOpenedPullRequest._firstContributions;
+    Object.keys(cache).forEach(function (key) {
+        if (cache[key].expires <= now) {
+            delete cache[key];
+        }
+    });
+
+    var key = (repositorySettings.name + ':' + userName + ':' + number).toLowerCase();
+    if (defined(cache[key])) {
+        return Promise.resolve(cache[key].result);
+    }
+    return isFirstContribution(userName, number, repositorySettings)
+        .then(function (result) {
+            cache[key] = {
+                result: result,
+                expires: now + commentOnOpenedPullRequest.firstContributionCacheDuration
+            };
+            return result;
+        });
+};
+
+commentOnOpenedPullRequest._implementation = function (options, repositorySettings) {
+    var userName = options.userName;
+    var headBranch = options.headBranch;
+    var claEnabled = claSigners.isEnabled(repositorySettings);
     var askForCla = false;
+    var unsignedPeople = [];
     var askAboutContributors = false;
+    var firstContribution = false;
     var errorCla;
     return repositorySettings.fetchSettings()
         .then(function () {
-            return commentOnOpenedPullRequest._askForCla(userName);
-        })
-        .then(function (result) {
-            askForCla = result;
-        })
-        .catch(function(error) {
-            errorCla = error.toString();
-        })
-        .then(function () {
-            return commentOnOpenedPullRequest._askAboutContributors(userName, repositorySettings, headApiUrl, headBranch);
-        })
-        .then(function (result) {
-            askAboutContributors = result;
-        })
-        .then(function () {
-            return requestPromise.get({
-                url: pullRequestFilesUrl,
-                headers: repositorySettings.headers,
-                json: true
-            });
+            return findCommentWithMarker(options.commentsUrl, findCommentWithMarker.createMarker('pullRequestOpened'), repositorySettings.headers);
         })
-        .then(function (filesJsonResponse) {
-            var files = filesJsonResponse.map(function (file) {
-                return file.filename;
-            });
-
-            var askAboutChanges = commentOnOpenedPullRequest._askAboutChanges(files, baseBranch);
-            var askAboutThirdParty = commentOnOpenedPullRequest._askAboutThirdParty(files, repositorySettings.thirdPartyFolders);
-            var askAboutTests = commentOnOpenedPullRequest._askAboutTests(files, repositorySettings.unitTestPath);
-            var contributorsUrl;
-            if (defined(repositorySettings.contributorsPath)) {
-                contributorsUrl = headHtmlUrl + '/blob/' + headBranch + '/' + repositorySettings.contributorsPath;
+        .then(function (existingComment) {
+            // GitHub may deliver the same event again, only ever post one checklist
+            if (defined(existingComment) && !options.updateExisting) {
+                dateLog('Already commented on ' + options.commentsUrl);
+                return;
             }
+            return createChecklist()
+                .then(function (message) {
+                    if (!defined(existingComment)) {
+                        return requestPromise.post({
+                            url: options.commentsUrl,
+                            headers: repositorySettings.headers,
+                            body: {
+                                body: message
+                            },
+                            json: true
+                        });
+                    }
+                    if (existingComment.body === message) {
+                        return existingComment;
+                    }
+                    return requestPromise.patch({
+                        url: existingComment.url,
+                        headers: repositorySettings.headers,
+                        body: {
+                            body: message
+                        },
+                        json: true
+                    });
+                });
+        });
 
-            var message = repositorySettings.pullRequestOpenedTemplate({
-                userName: userName,
-                repository_url: repositoryUrl,
-                claEnabled: claEnabled,
-                askForCla: askForCla,
-                errorCla: errorCla,
-                askAboutChanges: askAboutChanges,
-                askAboutContributors: askAboutContributors,
-                contributorsUrl: contributorsUrl,
-                askAboutThirdParty: askAboutThirdParty,
-                thirdPartyFolders: repositorySettings.thirdPartyFolders.join(', '),
-                headBranch: headBranch,
-                askAboutTests: askAboutTests
-            });
+    function createChecklist() {
+        var changedFiles;
+        var files;
+        var size;
+        var rules;
+        var changesProblems;
+        return commentOnOpenedPullRequest._askForCla(userName, options.commitsUrl, repositorySettings)
+            .then(function (result) {
+                askForCla = result.askForCla;
+                unsignedPeople = result.unsignedPeople;
+            })
+            .catch(function(error) {
+                errorCla = error.toString();
+            })
+            .then(function () {
+                // Set the status before commenting, so a retry after a failed comment sets it again
+                if (claEnabled && defined(options.statusesUrl)) {
+                    return commentOnOpenedPullRequest._postClaStatus(options.statusesUrl, askForCla, unsignedPeople, errorCla, repositorySettings.headers);
+                }
+            })
+            .then(function () {
+                return commentOnOpenedPullRequest._askAboutContributors(userName, repositorySettings, options.headApiUrl, headBranch);
+            })
+            .then(function (result) {
+                askAboutContributors = result;
+                return commentOnOpenedPullRequest._isFirstContribution(userName, options.number, repositorySettings)
+                    .catch(function (error) {
+                        dateLog('Could not check whether ' + userName + ' contributed before: ' + error);
+                        return false;
+                    });
+            })
+            .then(function (result) {
+                firstContribution = result;
+            })
+            .then(function () {
+                return getAllPages(options.filesUrl, repositorySettings.headers);
+            })
+            .then(function (filesJsonResponse) {
+                changedFiles = filesJsonResponse;
+                files = filesJsonResponse.map(function (file) {
+                    return file.filename;
+                });
 
-            return requestPromise.post({
-                url: pullRequestCommentsUrl,
-                headers: repositorySettings.headers,
-                body: {
-                    body: message
-                },
-                json: true
+                // Only ask for reviews when the pull request is opened, reviewers may have been changed since
+                if (!options.updateExisting && repositorySettings.requestReviews && defined(options.reviewersUrl)) {
+                    return requestReviewers({
+                        reviewersUrl: options.reviewersUrl,
+                        userName: userName,
+                        baseBranch: options.baseBranch,
+                        files: files
+                    }, repositorySettings)
+                        .catch(function (error) {
+                            dateLog('Could not request reviewers on ' + options.reviewersUrl + ': ' + error);
+                        });
+                }
+            })
+            .then(function () {
+                var sizeOptions = pullRequestSize.getOptions(repositorySettings);
+                if (defined(sizeOptions)) {
+                    size = pullRequestSize.measure(changedFiles, sizeOptions);
+                }
+                if (defined(options.issueUrl)) {
+                    return applyLabelRules._implementation({
+                        issueUrl: options.issueUrl,
+                        title: options.title,
+                        body: options.body,
+                        labels: options.labels,
+                        files: files
+                    }, repositorySettings)
+                        .then(function () {
+                            if (defined(size)) {
+                                return applyLabelRules.updateLabels({
+                                    issueUrl: options.issueUrl,
+                                    labels: options.labels,
+                                    managedLabels: pullRequestSize.sizes.map(pullRequestSize.getLabel),
+                                    matchingLabels: [size.label]
+                                }, repositorySettings);
+                            }
+                        })
+                        .catch(function (error) {
+                            dateLog('Could not label ' + options.issueUrl + ': ' + error);
+                        });
+                }
+            })
+            .then(function () {
+                rules = pullRequestRules.evaluate(pullRequestRules.getRules(repositorySettings), {
+                    files: files,
+                    baseBranch: options.baseBranch
+                });
+                var changesFile = changedFiles.find(function (file) {
+                    return file.filename === 'CHANGES.md';
+                });
+                if (!defined(rules.changes) || !rules.changes.applies || !defined(changesFile)) {
+                    return [];
+                }
+                return checkChanges({
+                    changesFile: changesFile,
+                    headApiUrl: options.headApiUrl,
+                    headBranch: headBranch,
+                    number: options.number,
+                    body: options.body
+                }, repositorySettings)
+                    .catch(function (error) {
+                        dateLog('Could not check CHANGES.md of ' + options.commentsUrl + ': ' + error);
+                        return [];
+                    });
+            })
+            .then(function (problems) {
+                changesProblems = problems;
+                // A repository can turn off the third party check by disabling its rule
+                var thirdPartyDisabled = repositorySettings.thirdPartyFolders.length > 0 && !defined(rules.thirdParty);
+                var packageChanged = files.some(function (file) {
+                    return /(^|\/)package\.json$/.test(file);
+                });
+                if (thirdPartyDisabled || (!isBuiltInRuleFailed(rules.thirdParty) && !packageChanged)) {
+                    return;
+                }
+                return checkThirdPartyLicenses({
+                    changedFiles: changedFiles,
+                    headApiUrl: options.headApiUrl,
+                    headBranch: headBranch,
+                    baseBranch: options.baseBranch
+                }, repositorySettings)
+                    .catch(function (error) {
+                        dateLog('Could not check the third party licenses of ' + options.commentsUrl + ': ' + error);
+                    });
+            })
+            .then(function (licenses) {
+                var thirdPartyLibraries = defined(licenses) ? licenses.libraries : [];
+                // A test mapping replaces the tests rule with the files missing tests
+                var testOptions = testMapping.getOptions(repositorySettings);
+                var untestedFiles = defined(testOptions) ? testMapping.findUntestedFiles(changedFiles, testOptions) : [];
+                var failedRules = Object.keys(rules).map(function (name) {
+                    return rules[name];
+                }).filter(function (rule) {
+                    return rule.failed && defined(rule.message);
+                });
+                var contributorsUrl;
+                if (defined(repositorySettings.contributorsPath)) {
+                    contributorsUrl = options.headHtmlUrl + '/blob/' + headBranch + '/' + repositorySettings.contributorsPath;
+                }
+
+                return repositorySettings.pullRequestOpenedTemplate({
+                    userName: userName,
+                    repository_url: options.repositoryUrl,
+                    claEnabled: claEnabled,
+                    askForCla: askForCla,
+                    unsignedPeople: unsignedPeople,
+                    errorCla: errorCla,
+                    askAboutChanges: isBuiltInRuleFailed(rules.changes),
+                    changesProblems: changesProblems,
+                    askAboutContributors: askAboutContributors,
+                    isFirstContribution: firstContribution,
+                    firstContributionCc: repositorySettings.firstContributionCc,
+                    contributorsUrl: contributorsUrl,
+                    askAboutThirdParty: isBuiltInRuleFailed(rules.thirdParty) || thirdPartyLibraries.length > 0,
+                    thirdPartyLibraries: thirdPartyLibraries,
+                    missingLicenses: defined(licenses) ? licenses.missingLicenses : [],
+                    licensePath: repositorySettings.licensePath,
+                    thirdPartyFolders: repositorySettings.thirdPartyFolders.join(', '),
+                    headBranch: headBranch,
+                    askAboutTests: !defined(testOptions) && isBuiltInRuleFailed(rules.tests),
+                    untestedFiles: untestedFiles,
+                    askAboutSplitting: defined(size) && size.split,
+                    size: size,
+                    rules: rules,
+                    failedRules: failedRules
+                });
             });
-        });
+    }
 };
 
-commentOnOpenedPullRequest._askAboutChanges = function (files, baseBranch) {
-    if (baseBranch !== 'master') {
-        return false;
-    }
-    for (var i = 0; i < files.length; i++) {
-        if (/^CHANGES\.md$/.test(files[i])) {
-            return false;
+commentOnOpenedPullRequest._postClaStatus = function (statusesUrl, askForCla, unsignedPeople, errorCla, headers) {
+    var state = 'success';
+    var description = 'Signed CLA found.';
+    if (defined(errorCla)) {
+        state = 'error';
+        description = 'Error checking the CLA: ' + errorCla;
+    } else if (askForCla) {
+        state = 'failure';
+        description = 'Missing CLA.';
+        if (unsignedPeople.length > 0) {
+            description = 'Missing CLA for ' + unsignedPeople.map(function (person) {
+                return defined(person.userName) ? '@' + person.userName : defaultValue(person.name, person.email);
+            }).join(', ') + '.';
         }
     }
-    return true;
+
+    // GitHub rejects descriptions longer than 140 characters
+    if (description.length > 140) {
+        description = description.slice(0, 137) + '...';
+    }
+
+    return requestPromise.post({
+        url: statusesUrl,
+        headers: headers,
+        body: {
+            state: state,
+            description: description,
+            context: commentOnOpenedPullRequest.claStatusContext
+        },
+        json: true
+    });
 };
 
 commentOnOpenedPullRequest._askAboutContributors = function (userName, repositorySettings, headApiUrl, headBranch) {
@@ -134,85 +376,154 @@ commentOnOpenedPullRequest._askAboutContributors = function (userName, repositor
     });
 };
 
-commentOnOpenedPullRequest._askAboutThirdParty = function (files, thirdPartyFolders) {
-    if (!defined(thirdPartyFolders) || thirdPartyFolders.length === 0) {
-        return false;
-    }
-    for (var i = 0; i < files.length; i++) {
-        for (var j = 0; j < thirdPartyFolders.length; j++) {
-            var folder = thirdPartyFolders[j];
-            if (files[i].startsWith(folder)) {
-                return true;
-            }
-        }
+/**
+ * Checks whether everyone who contributed to the pull request is covered by a CLA: its author, the author of every
+ * commit and everyone credited with a `Co-authored-by:` trailer. Someone is covered if their GitHub username or their
+ * email is found in a CLA source, or if their email belongs to a corporate email domain covered by a CLA.
+ *
+ * @param {String} userName The GitHub username of the pull request author.
+ * @param {String} [commitsUrl] The GitHub API URL of the commits of the pull request. If undefined, only the author is checked.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<Object>} A Promise that resolves with `askForCla`, and the `unsignedPeople` with their `userName`,
+ * `name`, `email` and the `commits` they contributed to, with their `sha`, `shortSha` and `url`.
+ */
+commentOnOpenedPullRequest._askForCla = function (userName, commitsUrl, repositorySettings) {
+    if (!claSigners.isEnabled(repositorySettings)) {
+        return Promise.resolve({
+            askForCla: false,
+            unsignedPeople: []
+        });
     }
-    return false;
+
+    var loadCommits = defined(commitsUrl) ? getAllPages(commitsUrl, repositorySettings.headers) : [];
+    return Promise.resolve(loadCommits)
+        .then(function (commits) {
+            var people = commentOnOpenedPullRequest._getContributors(userName, commits);
+            return Promise.filter(people, function (person) {
+                return isCovered(person, repositorySettings)
+                    .then(function (covered) {
+                        return !covered;
+                    });
+            }, {concurrency: 1});
+        })
+        .then(function (unsignedPeople) {
+            return {
+                askForCla: unsignedPeople.length > 0,
+                unsignedPeople: unsignedPeople.map(function (person) {
+                    return {
+                        userName: person.userName,
+                        name: person.name,
+                        email: person.email,
+                        commits: person.commits
+                    };
+                })
+            };
+        });
 };
 
-commentOnOpenedPullRequest._askAboutTests = function (files, unitTestPath) {
-    if (!defined(unitTestPath)) {
-        return false;
-    }
-    for (var i = 0; i < files.length; i++) {
-        var regex = new RegExp('^' + unitTestPath, 'i');
-        if (regex.test(files[i])) {
-            return false;
+/**
+ * Lists everyone who contributed to a pull request: its author, the author of every commit and everyone
+ * credited with a `Co-authored-by:` trailer. Someone who contributed to several commits is listed once.
+ *
+ * @param {String} userName The GitHub username of the pull request author.
+ * @param {Object[]} commits The commits of the pull request, from the GitHub API.
+ * @returns {Object[]} The people, with their `userName`, `name`, `email`, the `identities` to check against the
+ * CLA sources and the `commits` they contributed to.
+ */
+commentOnOpenedPullRequest._getContributors = function (userName, commits) {
+    var people = [];
+    var peopleByKey = {};
+
+    function addPerson(person, identities, commit) {
+        var key = defined(person.userName) ? '@' + person.userName.toLowerCase() : defaultValue(person.email, person.name).toLowerCase();
+        var existing = peopleByKey[key];
+        if (!defined(existing)) {
+            existing = {
+                userName: person.userName,
+                name: person.name,
+                email: person.email,
+                identities: [],
+                commits: []
+            };
+            peopleByKey[key] = existing;
+            people.push(existing);
+        }
+        existing.name = defaultValue(existing.name, person.name);
+        existing.email = defaultValue(existing.email, person.email);
+        existing.identities = existing.identities.concat(identities);
+        if (defined(commit) && existing.commits.indexOf(commit) === -1) {
+            existing.commits.push(commit);
         }
     }
-    return true;
+
+    addPerson({
+        userName: userName
+    }, [{
+        userName: userName
+    }]);
+
+    commits.forEach(function (commit) {
+        var commitSummary = {
+            sha: commit.sha,
+            shortSha: commit.sha.slice(0, 7),
+            url: commit.html_url
+        };
+        var author = commit.commit.author;
+        // The author is null when the commit email is not linked to a GitHub account
+        var authorUserName = defined(commit.author) ? commit.author.login : getNoReplyUserName(author.email);
+        addPerson({
+            userName: authorUserName,
+            name: author.name,
+            email: author.email
+        }, [{
+            userName: authorUserName,
+            email: author.email
+        }], commitSummary);
+
+        getCoAuthors(commit.commit.message).forEach(function (coAuthor) {
+            coAuthor.userName = getNoReplyUserName(coAuthor.email);
+            addPerson(coAuthor, [{
+                userName: coAuthor.userName,
+                email: coAuthor.email
+            }], commitSummary);
+        });
+    });
+    return people;
 };
 
-commentOnOpenedPullRequest._askForCla = function (userName) {
-    if (!defined(Settings.googleSheetsApi)) {
-        return Promise.resolve(false);
+function getCoAuthors(message) {
+    var coAuthors = [];
+    var regex = /^co-authored-by:\s*(.*?)\s*<([^>\s]+)>\s*$/gim;
+    var match = regex.exec(defaultValue(message, ''));
+    while (match !== null) {
+        coAuthors.push({
+            name: match[1],
+            email: match[2]
+        });
+        match = regex.exec(message);
     }
+    return coAuthors;
+}
 
-    var foundIndividualCLA = false;
-    var foundCorporateCLA = false;
-    // Check individual CLA sheet.
-    return Settings.googleSheetsApi.spreadsheets.values.get({
-        spreadsheetId: Settings.individualClaSheetID,
-        range: 'D2:D'
-    })
-    .then(function(response) {
-        var rows = response.data.values;
+// People who keep their email private commit with an address like 12345+userName@users.noreply.github.com
+function getNoReplyUserName(email) {
+    var match = /^(?:\d+\+)?([^@+]+)@users\.noreply\.github\.com$/i.exec(defaultValue(email, ''));
+    return match !== null ? match[1] : undefined;
+}
 
-        for (var i = 0; i < rows.length; i++) {
-            if(rows[i].length === 0) {
-                continue;
-            }
-            var rowUserName = rows[i][0].toLowerCase();
-            if (userName.toLowerCase() === rowUserName) {
-                foundIndividualCLA = true;
-                break;
+function isCovered(person, repositorySettings) {
+    return Promise.mapSeries(person.identities, function (identity) {
+            if (!defined(identity.userName) && !defined(identity.email)) {
+                return false;
             }
-        }
-
-        // Now check corporate CLA sheet.
-        return Settings.googleSheetsApi.spreadsheets.values.get({
-            spreadsheetId: Settings.corporateClaSheetID,
-            range: 'H2:H'
+            return claSigners.isCovered(identity, repositorySettings);
+        })
+        .then(function (results) {
+            return results.includes(true);
         });
-    })
-    .then(function(response) {
-        var rows = response.data.values;
-        for (var i = 0; i < rows.length; i++) {
-            if(rows[i].length === 0) {
-                continue;
-            }
-            var rowScheduleA = rows[i][0].toLowerCase();
-            // We're a little more lenient with the ScheduleA userName check, since it's an unformatted text field.
-            // We split the ScheduleA field by whitespace see if we can find the GitHub username in there.
-            rowScheduleA = rowScheduleA.replace(/\n/g, ' ');
-            var words = rowScheduleA.split(' ');
-            for (var j = 0; j < words.length; j++) {
-                if (userName.toLowerCase() === words[j].trim()) {
-                    foundCorporateCLA = true;
-                    break;
-                }
-            }
-        }
+}
 
-        return !foundIndividualCLA && !foundCorporateCLA;
-    });
-};
+// The default rules have their message in the template, unless a repository replaced them with its own
+function isBuiltInRuleFailed(rule) {
+    return defined(rule) && rule.failed && !defined(rule.message);
+}
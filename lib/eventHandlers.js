@@ -0,0 +1,22 @@
+'use strict';
+
+var applyLabelRules = require('./applyLabelRules');
+var commentOnClosedIssue = require('./commentOnClosedIssue');
+var commentOnOpenedPullRequest = require('./commentOnOpenedPullRequest');
+var EventHandlerRegistry = require('./EventHandlerRegistry');
+var respondToCommand = require('./respondToCommand');
+
+/**
+ * The handlers called for incoming GitHub events. A new handler only needs to declare its `events`
+ * and be registered here.
+ *
+ * @type {EventHandlerRegistry}
+ */
+var eventHandlers = new EventHandlerRegistry();
+
+eventHandlers.register('applyLabelRules', applyLabelRules);
+eventHandlers.register('commentOnClosedIssue', commentOnClosedIssue);
+eventHandlers.register('commentOnOpenedPullRequest', commentOnOpenedPullRequest);
+eventHandlers.register('respondToCommand', respondToCommand);
+
+module.exports = eventHandlers;
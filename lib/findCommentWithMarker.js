@@ -0,0 +1,66 @@
+'use strict';
+var Cesium = require('cesium');
+var parseLink = require('parse-link-header');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var Check = Cesium.Check;
+var defined = Cesium.defined;
+
+module.exports = findCommentWithMarker;
+
+/**
+ * Finds the first comment on an issue or pull request that contains the given hidden marker,
+ * requesting every page of comments until one is found.
+ *
+ * @param {String} commentsUrl The GitHub API URL of the issue or pull request comments.
+ * @param {String} marker The marker to look for, see {@link findCommentWithMarker.createMarker}.
+ * @param {Object} headers The headers to supply to the request.
+ * @returns {Promise<Object|undefined>} A Promise that resolves with the comment, or undefined if there is none.
+ */
+function findCommentWithMarker(commentsUrl, marker, headers) {
+    Check.typeOf.string('commentsUrl', commentsUrl);
+    Check.typeOf.string('marker', marker);
+    Check.typeOf.object('headers', headers);
+
+    function processPage(response) {
+        var comments = defined(response.body) ? response.body : [];
+        for (var i = 0; i < comments.length; i++) {
+            if (defined(comments[i].body) && comments[i].body.indexOf(marker) !== -1) {
+                return comments[i];
+            }
+        }
+
+        var linkData = parseLink(response.headers.link);
+        if (!defined(linkData) || !defined(linkData.next)) {
+            return undefined;
+        }
+        return requestPromise.get({
+            url: linkData.next.url,
+            headers: headers,
+            json: true,
+            resolveWithFullResponse: true
+        }).then(processPage);
+    }
+
+    return Promise.resolve(requestPromise.get({
+        url: commentsUrl,
+        qs: {
+            per_page: 100
+        },
+        headers: headers,
+        json: true,
+        resolveWithFullResponse: true
+    })).then(processPage);
+}
+
+/**
+ * Creates the hidden marker which concierge adds to the comments it posts from a template,
+ * so that it can recognize them later.
+ *
+ * @param {String} templateName The name of the template, for example `pullRequestOpened`.
+ * @returns {String} The marker, an HTML comment which GitHub does not render.
+ */
+findCommentWithMarker.createMarker = function (templateName) {
+    return '<!-- cesium-concierge:' + templateName + ' -->';
+};
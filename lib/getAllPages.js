@@ -0,0 +1,50 @@
+'use strict';
+var Cesium = require('cesium');
+var parseLink = require('parse-link-header');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var Check = Cesium.Check;
+var defined = Cesium.defined;
+
+module.exports = getAllPages;
+
+/**
+ * Requests every page of a paginated GitHub API list, following the `link` header.
+ *
+ * @param {String} url The GitHub API URL of the list.
+ * @param {Object} headers The headers to supply to the request.
+ * @returns {Promise<Object[]>} A Promise that resolves with the items of every page.
+ */
+function getAllPages(url, headers) {
+    Check.typeOf.string('url', url);
+    Check.typeOf.object('headers', headers);
+
+    var items = [];
+    function processPage(response) {
+        if (defined(response.body)) {
+            items = items.concat(response.body);
+        }
+
+        var linkData = parseLink(response.headers.link);
+        if (!defined(linkData) || !defined(linkData.next)) {
+            return items;
+        }
+        return requestPromise.get({
+            url: linkData.next.url,
+            headers: headers,
+            json: true,
+            resolveWithFullResponse: true
+        }).then(processPage);
+    }
+
+    return Promise.resolve(requestPromise.get({
+        url: url,
+        qs: {
+            per_page: 100
+        },
+        headers: headers,
+        json: true,
+        resolveWithFullResponse: true
+    })).then(processPage);
+}
@@ -0,0 +1,46 @@
+'use strict';
+var Cesium = require('cesium');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var Check = Cesium.Check;
+var defined = Cesium.defined;
+
+module.exports = isFirstContribution;
+
+/**
+ * Checks whether a pull request is the first contribution of its author to the repository, that is whether none of
+ * the author's other pull requests were merged, using the GitHub search API.
+ *
+ * @param {String} userName The GitHub username of the pull request author.
+ * @param {Number} [number] The number of the pull request, which doesn't count as an earlier contribution once merged.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<Boolean>} A Promise that resolves with true if the author has no other merged pull request.
+ */
+function isFirstContribution(userName, number, repositorySettings) {
+    Check.typeOf.string('userName', userName);
+    Check.typeOf.object('repositorySettings', repositorySettings);
+
+    return Promise.resolve(requestPromise.get({
+            url: isFirstContribution.searchUrl,
+            qs: {
+                q: 'repo:' + repositorySettings.name + ' type:pr is:merged author:' + userName,
+                per_page: 100
+            },
+            headers: repositorySettings.headers,
+            json: true
+        }))
+        .then(function (response) {
+            // The search index may not include a pull request that was just merged yet
+            var includesPullRequest = defined(number) && response.items.some(function (item) {
+                return item.number === number;
+            });
+            return response.total_count - (includesPullRequest ? 1 : 0) === 0;
+        });
+}
+
+/**
+ * The GitHub API URL for searching issues and pull requests.
+ * @type {String}
+ */
+isFirstContribution.searchUrl = 'https://api.github.com/search/issues';
@@ -0,0 +1,46 @@
+'use strict';
+var path = require('path');
+var url = require('url');
+
+var Cesium = require('cesium');
+var requestPromise = require('request-promise');
+
+var loadRepoConfig = require('./loadRepoConfig');
+var parseClaSigners = require('./parseClaSigners');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+
+module.exports = loadFileClaSigners;
+
+/**
+ * Reads the CLA signers from a JSON or CSV file in the `.concierge` directory of the repository.
+ * See {@link parseClaSigners} for the format of the file.
+ *
+ * @param {Object} source Object with the following properties:
+ * @param {String} source.path The path of the file, relative to the `.concierge` directory.
+ * @param {String} [source.format] The format of the file, `json` or `csv`. Defaults to the file extension.
+ * @param {String} [source.field='gitHub'] The name of the property or column holding the GitHub usernames.
+ * @param {String} [source.emailField='email'] The name of the property or column holding the emails.
+ * @param {String} [source.domainField='domain'] The name of the property or column holding corporate email domains.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<Object>} A Promise that resolves with the signers, see {@link parseClaSigners}.
+ */
+function loadFileClaSigners(source, repositorySettings) {
+    Check.typeOf.object('source', source);
+    Check.typeOf.string('source.path', source.path);
+    Check.typeOf.object('repositorySettings', repositorySettings);
+
+    var fileUrl = url.resolve('https://api.github.com/repos/', path.posix.join(repositorySettings.name, 'contents', loadRepoConfig._configDirectory, source.path));
+    var format = defaultValue(source.format, path.extname(source.path).slice(1).toLowerCase());
+
+    return requestPromise.get({
+            url: fileUrl,
+            headers: repositorySettings.headers,
+            json: true
+        })
+        .then(function (response) {
+            var content = Buffer.from(response.content, 'base64').toString();
+            return parseClaSigners(content, format, source);
+        });
+}
@@ -0,0 +1,90 @@
+'use strict';
+var Cesium = require('cesium');
+var Promise = require('bluebird');
+
+var parseClaSigners = require('./parseClaSigners');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+
+module.exports = loadGoogleSheetsClaSigners;
+
+/**
+ * Reads the CLA signers from the columns of a Google Sheet.
+ *
+ * @param {Object} googleSheetsApi The Google Sheets API client.
+ * @param {Object} source Object with the following properties:
+ * @param {String} source.spreadsheetId The ID of the spreadsheet.
+ * @param {String} [source.sheet] The name of the sheet in the spreadsheet. Defaults to the first sheet.
+ * @param {String} [source.column] The column holding the GitHub usernames. Defaults to `D` if neither
+ * `emailColumn` nor `domainColumn` is set.
+ * @param {String} [source.emailColumn] The column holding the emails of the signers.
+ * @param {String} [source.domainColumn] The column holding corporate email domains, which cover every email of that domain.
+ * @param {Number} [source.firstRow=2] The first row holding a signer, after any header rows.
+ * @param {Boolean} [source.freeText=false] Whether the cells of `column` are free text, like the Schedule A of a corporate CLA,
+ * in which case every word of a cell could be a username or an email.
+ * @returns {Promise<Object>} A Promise that resolves with the signers, see {@link parseClaSigners}.
+ */
+function loadGoogleSheetsClaSigners(googleSheetsApi, source) {
+    Check.typeOf.object('googleSheetsApi', googleSheetsApi);
+    Check.typeOf.object('source', source);
+    Check.typeOf.string('source.spreadsheetId', source.spreadsheetId);
+
+    var columns = {
+        userNames: source.column,
+        emails: source.emailColumn,
+        domains: source.domainColumn
+    };
+    if (!defined(columns.userNames) && !defined(columns.emails) && !defined(columns.domains)) {
+        columns.userNames = 'D';
+    }
+
+    var signers = parseClaSigners.createSigners();
+    return Promise.each(Object.keys(columns), function (kind) {
+            var column = columns[kind];
+            if (!defined(column)) {
+                return;
+            }
+            return getColumn(googleSheetsApi, source, column)
+                .then(function (values) {
+                    values.forEach(function (value) {
+                        if (kind === 'userNames' && source.freeText) {
+                            // We're a little more lenient with free text, like the ScheduleA of a corporate CLA.
+                            // Every word of it could be the GitHub username or the email of an employee.
+                            value.split(/\s+/).forEach(function (word) {
+                                parseClaSigners.addUserNameOrEmail(signers, word);
+                            });
+                        } else {
+                            signers[kind].push(value);
+                        }
+                    });
+                });
+        })
+        .then(function () {
+            return signers;
+        });
+}
+
+function getColumn(googleSheetsApi, source, column) {
+    var range = column + defaultValue(source.firstRow, 2) + ':' + column;
+    if (defined(source.sheet)) {
+        range = '\'' + source.sheet.replace(/'/g, '\'\'') + '\'!' + range;
+    }
+
+    return Promise.resolve(googleSheetsApi.spreadsheets.values.get({
+            spreadsheetId: source.spreadsheetId,
+            range: range
+        }))
+        .then(function (response) {
+            // The API leaves out values when the range is empty, and the spreadsheet may have empty rows
+            var rows = defaultValue(response.data.values, []);
+            var values = [];
+            rows.forEach(function (row) {
+                if (row.length > 0 && row[0].trim().length > 0) {
+                    values.push(row[0]);
+                }
+            });
+            return values;
+        });
+}
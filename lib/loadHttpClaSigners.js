@@ -0,0 +1,51 @@
+'use strict';
+var Cesium = require('cesium');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var parseClaSigners = require('./parseClaSigners');
+var Settings = require('./Settings');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+var RuntimeError = Cesium.RuntimeError;
+
+module.exports = loadHttpClaSigners;
+
+/**
+ * Reads the CLA signers from an HTTP endpoint returning a JSON or CSV list.
+ * See {@link parseClaSigners} for the format of the list.
+ *
+ * @param {Object} source Object with the following properties:
+ * @param {String} source.url The URL of the list.
+ * @param {String} [source.credentials] The name of the headers to send from the `claHttpCredentials` of the server settings, for example for authentication.
+ * @param {Object} [source.headers] Additional headers to send. Since the repository settings are public, they must not hold secrets.
+ * @param {String} [source.format='json'] The format of the list, `json` or `csv`.
+ * @param {String} [source.field='gitHub'] The name of the property or column holding the GitHub usernames.
+ * @param {String} [source.emailField='email'] The name of the property or column holding the emails.
+ * @param {String} [source.domainField='domain'] The name of the property or column holding corporate email domains.
+ * @returns {Promise<Object>} A Promise that resolves with the signers, see {@link parseClaSigners}.
+ */
+function loadHttpClaSigners(source) {
+    Check.typeOf.object('source', source);
+    Check.typeOf.string('source.url', source.url);
+
+    var credentials;
+    if (defined(source.credentials)) {
+        credentials = defaultValue(Settings.claHttpCredentials, {})[source.credentials];
+        if (!defined(credentials)) {
+            return Promise.reject(new RuntimeError('No claHttpCredentials named ' + source.credentials + ' are configured'));
+        }
+    }
+
+    return Promise.resolve(requestPromise.get({
+            url: source.url,
+            headers: Object.assign({
+                'User-Agent': 'cesium-concierge'
+            }, source.headers, credentials)
+        }))
+        .then(function (content) {
+            return parseClaSigners(content, defaultValue(source.format, 'json'), source);
+        });
+}
@@ -0,0 +1,32 @@
+'use strict';
+var Cesium = require('cesium');
+var minimatch = require('minimatch');
+
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+
+module.exports = matchesGlob;
+
+/**
+ * Checks whether a path, such as the name of a changed file or of a branch, matches any of the given globs.
+ * Globs also match files starting with a dot, like `.github/CODEOWNERS`.
+ *
+ * @param {String} path The path to check.
+ * @param {String|String[]} globs The glob or globs, for example `Source/**\/*.js`.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Boolean} [options.caseSensitive=true] Whether the globs are case sensitive.
+ * @returns {Boolean} True if the path matches at least one of the globs.
+ */
+function matchesGlob(path, globs, options) {
+    if (!defined(path) || !defined(globs)) {
+        return false;
+    }
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    var minimatchOptions = {
+        dot: true,
+        nocase: !defaultValue(options.caseSensitive, true)
+    };
+    return [].concat(globs).some(function (glob) {
+        return minimatch(path, glob, minimatchOptions);
+    });
+}
@@ -0,0 +1,174 @@
+'use strict';
+var Cesium = require('cesium');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+var RuntimeError = Cesium.RuntimeError;
+
+module.exports = parseClaSigners;
+
+/**
+ * Reads the CLA signers from the content of a JSON or CSV list.
+ *
+ * A JSON list is an array of usernames or emails, or of objects with a username in `field`, an email in `emailField`
+ * and a corporate email domain in `domainField`. It may also be an object with the array in a `signers` property.
+ * A CSV list has a header row naming its columns, which include at least one of those fields.
+ *
+ * @param {String} content The content of the list.
+ * @param {String} format The format of the list, either `json` or `csv`.
+ * @param {Object} [options] Object with the following properties:
+ * @param {String} [options.field='gitHub'] The name of the property or column holding the GitHub usernames.
+ * @param {String} [options.emailField='email'] The name of the property or column holding the emails.
+ * @param {String} [options.domainField='domain'] The name of the property or column holding corporate email domains, which cover every email of that domain.
+ * @returns {Object} The signers, with arrays of `userNames`, `emails` and `domains`.
+ */
+function parseClaSigners(content, format, options) {
+    Check.typeOf.string('content', content);
+    Check.typeOf.string('format', format);
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+    var fields = {
+        userNames: defaultValue(options.field, 'gitHub'),
+        emails: defaultValue(options.emailField, 'email'),
+        domains: defaultValue(options.domainField, 'domain')
+    };
+
+    if (format === 'json') {
+        return parseClaSigners._parseJson(JSON.parse(content), fields);
+    }
+    if (format === 'csv') {
+        return parseClaSigners._parseCsv(content, fields);
+    }
+    throw new RuntimeError('Unknown CLA signer list format ' + format + ', expected json or csv');
+}
+
+/**
+ * Creates an empty list of signers.
+ *
+ * @returns {Object} The signers, with empty arrays of `userNames`, `emails` and `domains`.
+ */
+parseClaSigners.createSigners = function () {
+    return {
+        userNames: [],
+        emails: [],
+        domains: []
+    };
+};
+
+/**
+ * Adds a word which is either a GitHub username or an email to a list of signers.
+ *
+ * @param {Object} signers The list of signers, see {@link parseClaSigners.createSigners}.
+ * @param {String} word The username or email. Punctuation around it, like in `<name@example.com>,`, is ignored.
+ * @returns {undefined}
+ */
+parseClaSigners.addUserNameOrEmail = function (signers, word) {
+    word = word.trim().replace(/^[<(\["',;]+|[>)\]"',;.]+$/g, '');
+    if (word.length === 0) {
+        return;
+    }
+    if (parseClaSigners.isEmail(word)) {
+        signers.emails.push(word);
+    } else {
+        signers.userNames.push(word);
+    }
+};
+
+/**
+ * Checks whether a string looks like an email.
+ *
+ * @param {String} value The string.
+ * @returns {Boolean} True if it looks like an email.
+ */
+parseClaSigners.isEmail = function (value) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+};
+
+parseClaSigners._parseJson = function (json, fields) {
+    var records = Array.isArray(json) ? json : json.signers;
+    if (!Array.isArray(records)) {
+        throw new RuntimeError('Expected the CLA signer list to be an array or to have a signers array');
+    }
+
+    var signers = parseClaSigners.createSigners();
+    records.forEach(function (record) {
+        if (typeof record === 'string') {
+            parseClaSigners.addUserNameOrEmail(signers, record);
+            return;
+        }
+        Object.keys(fields).forEach(function (kind) {
+            // A record may list several emails or domains
+            [].concat(defaultValue(record[fields[kind]], [])).forEach(function (value) {
+                if (typeof value === 'string' && value.trim().length > 0) {
+                    signers[kind].push(value);
+                }
+            });
+        });
+    });
+    return signers;
+};
+
+parseClaSigners._parseCsv = function (content, fields) {
+    var signers = parseClaSigners.createSigners();
+    var rows = content.split(/\r?\n/).filter(function (line) {
+        return line.trim().length > 0;
+    }).map(parseClaSigners._parseCsvLine);
+    if (rows.length === 0) {
+        return signers;
+    }
+
+    var header = rows[0].map(function (name) {
+        return name.trim().toLowerCase();
+    });
+    var columns = {};
+    Object.keys(fields).forEach(function (kind) {
+        var column = header.indexOf(fields[kind].toLowerCase());
+        if (column !== -1) {
+            columns[kind] = column;
+        }
+    });
+    if (Object.keys(columns).length === 0) {
+        throw new RuntimeError('The CLA signer list has none of the ' + Object.keys(fields).map(function (kind) {
+            return fields[kind];
+        }).join(', ') + ' columns');
+    }
+
+    rows.slice(1).forEach(function (row) {
+        Object.keys(columns).forEach(function (kind) {
+            var value = row[columns[kind]];
+            if (defined(value) && value.trim().length > 0) {
+                signers[kind].push(value);
+            }
+        });
+    });
+    return signers;
+};
+
+parseClaSigners._parseCsvLine = function (line) {
+    var values = [];
+    var value = '';
+    var quoted = false;
+    for (var i = 0; i < line.length; i++) {
+        var character = line[i];
+        if (quoted) {
+            if (character === '"' && line[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (character === '"') {
+                quoted = false;
+            } else {
+                value += character;
+            }
+        } else if (character === '"') {
+            quoted = true;
+        } else if (character === ',') {
+            values.push(value);
+            value = '';
+        } else {
+            value += character;
+        }
+    }
+    values.push(value);
+    return values;
+};
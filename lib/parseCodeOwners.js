@@ -0,0 +1,74 @@
+'use strict';
+var Cesium = require('cesium');
+
+var matchesGlob = require('./matchesGlob');
+
+var Check = Cesium.Check;
+
+module.exports = parseCodeOwners;
+
+/**
+ * Reads the rules of a `CODEOWNERS` file. Each line has a pattern, in the format of `.gitignore`, followed by the owners
+ * of the matching files, which are GitHub users like `@boomerJones`, teams like `@AnalyticalGraphicsInc/cesium-team` or emails.
+ *
+ * @param {String} content The content of the file.
+ * @returns {Object[]} The rules in the order of the file, with their `pattern`, the `globs` it matches and the `owners`.
+ */
+function parseCodeOwners(content) {
+    Check.typeOf.string('content', content);
+
+    var rules = [];
+    content.split(/\r?\n/).forEach(function (line) {
+        line = line.replace(/(^|\s)#.*$/, '').trim();
+        if (line.length === 0) {
+            return;
+        }
+        var words = line.split(/\s+/);
+        rules.push({
+            pattern: words[0],
+            globs: parseCodeOwners.getGlobs(words[0]),
+            owners: words.slice(1)
+        });
+    });
+    return rules;
+}
+
+/**
+ * Converts a pattern in the format of `.gitignore` into globs matching the same files. Patterns without a slash,
+ * or with only a trailing slash, match at any depth, and patterns naming a directory match everything inside it.
+ *
+ * @param {String} pattern The pattern, for example `/Source/Scene/` or `*.glsl`.
+ * @returns {String[]} The globs.
+ */
+parseCodeOwners.getGlobs = function (pattern) {
+    var glob = pattern;
+    var anchored = glob.replace(/\/$/, '').indexOf('/') !== -1;
+    glob = glob.replace(/^\//, '');
+    if (!anchored) {
+        glob = '**/' + glob;
+    }
+    if (glob.endsWith('/')) {
+        return [glob + '**'];
+    }
+    if (glob.endsWith('/**')) {
+        return [glob];
+    }
+    return [glob, glob + '/**'];
+};
+
+/**
+ * Finds the owners of a file. Like GitHub, the last rule matching the file wins.
+ *
+ * @param {Object[]} rules The rules, see {@link parseCodeOwners}.
+ * @param {String} file The path of the file.
+ * @returns {String[]} The owners of the file, empty if it has none.
+ */
+parseCodeOwners.getOwners = function (rules, file) {
+    var owners = [];
+    rules.forEach(function (rule) {
+        if (matchesGlob(file, rule.globs)) {
+            owners = rule.owners;
+        }
+    });
+    return owners;
+};
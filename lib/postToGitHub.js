@@ -1,13 +1,28 @@
 'use strict';
 
+var Cesium = require('cesium');
 var Promise = require('bluebird');
 
-var commentOnClosedIssue = require('./commentOnClosedIssue');
-var commentOnOpenedPullRequest = require('./commentOnOpenedPullRequest');
+var dateLog = require('./dateLog');
+var eventHandlers = require('./eventHandlers');
 var Settings = require('./Settings');
 
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+var RuntimeError = Cesium.RuntimeError;
+
 module.exports = postToGitHub;
 
+/**
+ * Accepts a GitHub webhook delivery by adding it to `postToGitHub.deliveryQueue`. The delivery is handled
+ * later by {@link postToGitHub.processDelivery}, so GitHub gets an answer without waiting on any API calls.
+ * Deliveries the queue has already seen are acknowledged without being queued again.
+ *
+ * @param {Object} req The incoming request.
+ * @param {Object} res The response.
+ * @param {Function} next The next middleware.
+ * @returns {undefined}
+ */
 function postToGitHub(req, res, next) {
     var repositoryName = req.body.repository.full_name;
     var repositoryNames = Object.keys(Settings.repositories);
@@ -16,30 +31,84 @@ function postToGitHub(req, res, next) {
         return;
     }
 
-    var action = req.body.action;
-    var event = req.headers['x-github-event'];
-    var repositorySettings = Settings.repositories[repositoryName];
+    var id = req.headers['x-github-delivery'];
+    var queued;
+    try {
+        queued = postToGitHub.deliveryQueue.push({
+            id: id,
+            event: req.headers['x-github-event'],
+            body: req.body
+        });
+    } catch (error) {
+        next(error);
+        return;
+    }
 
-    var promise;
-    if ((event === 'issues' || event === 'pull_request') && action === 'closed') {
-        promise = postToGitHub._commentOnClosedIssue(req.body, repositorySettings);
-    } else if (event === 'pull_request' && action === 'opened') {
-        promise = postToGitHub._commentOnOpenedPullRequest(req.body, repositorySettings);
-    } else {
-        promise = Promise.resolve();
+    if (!queued) {
+        // GitHub redelivered an event we already have, don't handle it twice
+        dateLog('Ignoring duplicate delivery ' + id);
+        res.status(200).end();
+        next();
+        return;
     }
 
-    return promise
+    res.status(202).end();
+    next();
+}
+
+/**
+ * The {@link DeliveryQueue} accepted deliveries are added to.
+ * @type {DeliveryQueue}
+ */
+postToGitHub.deliveryQueue = undefined;
+
+/**
+ * Handles a queued GitHub webhook delivery by calling each handler in {@link eventHandlers} which is registered
+ * for the event and enabled for the repository. The names of the handlers which succeeded are added to the
+ * `completedHandlers` of the delivery, so a retry of the delivery only calls the handlers which failed.
+ *
+ * @param {Object} delivery The delivery, with the `event` name, the event `body` and the `completedHandlers` of earlier attempts.
+ * @returns {Promise} A Promise that resolves when the delivery has been handled.
+ */
+postToGitHub.processDelivery = function (delivery) {
+    var body = delivery.body;
+    var repositoryName = body.repository.full_name;
+    var repositorySettings = Settings.repositories[repositoryName];
+    if (!defined(repositorySettings)) {
+        return Promise.reject(new RuntimeError(repositoryName + ' is not a configured repository.'));
+    }
+
+    var action = body.action;
+    var event = delivery.event;
+    var errors = [];
+    var completedHandlers = defaultValue(delivery.completedHandlers, []);
+    delivery.completedHandlers = completedHandlers;
+
+    return repositorySettings.fetchSettings()
         .then(function () {
-            res.status(204).end();
-            next();
+            var registry = postToGitHub._eventHandlers;
+            var names = registry.getHandlerNames(event, action, repositorySettings).filter(function (name) {
+                return !completedHandlers.includes(name);
+            });
+            // Run every handler even if one fails, only the failed ones are run again when the delivery is retried
+            return Promise.each(names, function (name) {
+                return Promise.try(function () {
+                        return registry.getHandler(name)(body, repositorySettings);
+                    })
+                    .then(function () {
+                        completedHandlers.push(name);
+                    })
+                    .catch(function (error) {
+                        errors.push(error);
+                    });
+            });
         })
-        .catch(function (error) {
-            next(error);
-            return Promise.reject(error);
+        .then(function () {
+            if (errors.length > 0) {
+                return Promise.reject(errors[0]);
+            }
         });
-}
+};
 
 //Exposed for testing
-postToGitHub._commentOnClosedIssue = commentOnClosedIssue;
-postToGitHub._commentOnOpenedPullRequest = commentOnOpenedPullRequest;
+postToGitHub._eventHandlers = eventHandlers;
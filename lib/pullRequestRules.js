@@ -0,0 +1,153 @@
+'use strict';
+var Cesium = require('cesium');
+
+var dateLog = require('./dateLog');
+var matchesGlob = require('./matchesGlob');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+
+/**
+ * Evaluates the rules of the pull request checklist. A rule applies to a pull request when it targets one of its
+ * `baseBranches` and changes a file matching its `files`, and fails when none of the changed files match its
+ * `requireFiles`. A rule without `requireFiles` fails whenever it applies, which makes it a warning.
+ *
+ * A rule is an object with the following properties:
+ * <ul>
+ * <li>`name` - The name of the rule, under which its result is passed to the `pullRequestOpened` template.</li>
+ * <li>`message` - The Markdown listed in the checklist when the rule fails.</li>
+ * <li>`baseBranches` - Globs of the base branches the rule applies to. Defaults to every branch.</li>
+ * <li>`files` - Globs of the changed files the rule applies to. Defaults to every pull request.</li>
+ * <li>`requireFiles` - Globs of the files which must also be changed.</li>
+ * <li>`caseSensitive` - Whether the globs are case sensitive. Defaults to true.</li>
+ * <li>`enabled` - Set to false to turn off a rule, including a default rule.</li>
+ * </ul>
+ *
+ * @exports pullRequestRules
+ */
+var pullRequestRules = {};
+
+/**
+ * Gets the built-in rules of the checklist for a repository. Their messages are part of the
+ * `pullRequestOpened` template, which shows them when `askAboutChanges`, `askAboutThirdParty` or `askAboutTests` is true.
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Object[]} The rules named `changes`, `thirdParty` and `tests`.
+ */
+pullRequestRules.getDefaultRules = function (repositorySettings) {
+    var rules = [{
+        name: 'changes',
+        baseBranches: ['master'],
+        requireFiles: ['CHANGES.md']
+    }];
+
+    var thirdPartyFolders = defaultValue(repositorySettings.thirdPartyFolders, []);
+    if (thirdPartyFolders.length > 0) {
+        rules.push({
+            name: 'thirdParty',
+            files: thirdPartyFolders.map(getFolderGlob)
+        });
+    }
+
+    if (defined(repositorySettings.unitTestPath)) {
+        rules.push({
+            name: 'tests',
+            requireFiles: [getFolderGlob(repositorySettings.unitTestPath)],
+            caseSensitive: false
+        });
+    }
+    return rules;
+};
+
+/**
+ * Gets the rules of the checklist for a repository: the default rules, followed by the `pullRequestRules` of the
+ * repository. A rule of the repository with the name of a default rule replaces it, and rules without a name are ignored.
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Object[]} The enabled rules.
+ */
+pullRequestRules.getRules = function (repositorySettings) {
+    var rules = pullRequestRules.getDefaultRules(repositorySettings);
+    defaultValue(repositorySettings.pullRequestRules, []).forEach(function (rule) {
+        if (typeof rule.name !== 'string') {
+            dateLog('Ignoring a pull request rule of ' + repositorySettings.name + ' without a name: ' + JSON.stringify(rule));
+            return;
+        }
+        var index = rules.findIndex(function (defaultRule) {
+            return defaultRule.name === rule.name;
+        });
+        if (index === -1) {
+            rules.push(rule);
+        } else {
+            rules[index] = rule;
+        }
+    });
+    return rules.filter(function (rule) {
+        return rule.enabled !== false;
+    });
+};
+
+/**
+ * Evaluates rules against a pull request.
+ *
+ * @param {Object[]} rules The rules, see {@link pullRequestRules.getRules}.
+ * @param {Object} pullRequest Object with the following properties:
+ * @param {String[]} pullRequest.files The names of the files changed by the pull request.
+ * @param {String} pullRequest.baseBranch The branch the pull request is opened against.
+ * @returns {Object} The result of each rule keyed by rule name, with its `name`, `message`, whether it `applies` and
+ * `failed`, and the changed `files` it applies to.
+ */
+pullRequestRules.evaluate = function (rules, pullRequest) {
+    Check.typeOf.object('rules', rules);
+    Check.typeOf.object('pullRequest', pullRequest);
+    Check.typeOf.object('pullRequest.files', pullRequest.files);
+
+    var results = {};
+    rules.forEach(function (rule) {
+        var options = {
+            caseSensitive: rule.caseSensitive
+        };
+        var files = pullRequest.files;
+        if (defined(rule.files)) {
+            files = files.filter(function (file) {
+                return matchesGlob(file, rule.files, options);
+            });
+        }
+
+        var applies = files.length > 0 || !defined(rule.files);
+        if (defined(rule.baseBranches) && !matchesGlob(pullRequest.baseBranch, rule.baseBranches)) {
+            applies = false;
+        }
+
+        var failed = applies;
+        if (applies && defined(rule.requireFiles)) {
+            failed = !pullRequest.files.some(function (file) {
+                return matchesGlob(file, rule.requireFiles, options);
+            });
+        }
+
+        results[rule.name] = {
+            name: rule.name,
+            message: rule.message,
+            applies: applies,
+            failed: failed,
+            files: applies ? files : []
+        };
+    });
+    return results;
+};
+
+/**
+ * Gets the glob covering every file inside a folder like `ThirdParty` or `/ThirdParty/`.
+ *
+ * @param {String} folder The folder, relative to the root of the repository.
+ * @returns {String} The glob, like `ThirdParty/**`.
+ */
+pullRequestRules.getFolderGlob = getFolderGlob;
+
+function getFolderGlob(folder) {
+    return folder.replace(/^\/+|\/+$/g, '') + '/**';
+}
+
+module.exports = pullRequestRules;
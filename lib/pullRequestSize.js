@@ -0,0 +1,150 @@
+'use strict';
+var Cesium = require('cesium');
+
+var matchesGlob = require('./matchesGlob');
+var pullRequestRules = require('./pullRequestRules');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+
+/**
+ * Classifies pull requests from `XS` to `XL` by the lines and files they change, leaving out third party and
+ * generated files. A pull request takes the smallest size whose thresholds cover both its changed lines and its
+ * changed files, or `XL` when none do.
+ *
+ * The `pullRequestSize` of the repository settings is `true`, or an object with the following properties:
+ * <ul>
+ * <li>`thresholds` - The most changed `lines` and `files` of each size from `XS` to `L`, merged with the defaults.</li>
+ * <li>`excludeFiles` - Globs of generated files which don't count. Replaces the defaults. Files in `thirdPartyFolders` never count.</li>
+ * <li>`splitSize` - The size from which the checklist suggests splitting the pull request. Defaults to `XL`.</li>
+ * </ul>
+ *
+ * @exports pullRequestSize
+ */
+var pullRequestSize = {};
+
+/**
+ * The sizes, from smallest to largest.
+ * @type {String[]}
+ */
+pullRequestSize.sizes = ['XS', 'S', 'M', 'L', 'XL'];
+
+/**
+ * The most changed lines and files of each size but the largest.
+ * @type {Object}
+ */
+pullRequestSize.defaultThresholds = {
+    XS: {
+        lines: 9,
+        files: 2
+    },
+    S: {
+        lines: 49,
+        files: 5
+    },
+    M: {
+        lines: 249,
+        files: 15
+    },
+    L: {
+        lines: 999,
+        files: 40
+    }
+};
+
+/**
+ * The globs of generated files which don't count towards the size by default.
+ * @type {String[]}
+ */
+pullRequestSize.defaultExcludeFiles = ['package-lock.json', 'yarn.lock', '**/*.min.js', '**/*.map'];
+
+/**
+ * Gets the size label of a size.
+ *
+ * @param {String} size The size, like `M`.
+ * @returns {String} The label, like `size/M`.
+ */
+pullRequestSize.getLabel = function (size) {
+    return 'size/' + size;
+};
+
+/**
+ * Gets the options of the size classification of a repository.
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Object|undefined} The `thresholds`, `excludeFiles` and `splitSize`, or undefined if the repository
+ * doesn't classify pull requests by size.
+ */
+pullRequestSize.getOptions = function (repositorySettings) {
+    var settings = repositorySettings.pullRequestSize;
+    if (!defined(settings) || settings === false) {
+        return undefined;
+    }
+    if (typeof settings !== 'object') {
+        settings = {};
+    }
+
+    var thresholds = {};
+    var customThresholds = defaultValue(settings.thresholds, {});
+    Object.keys(pullRequestSize.defaultThresholds).forEach(function (size) {
+        thresholds[size] = Object.assign({}, pullRequestSize.defaultThresholds[size], customThresholds[size]);
+    });
+
+    var excludeFiles = defaultValue(settings.excludeFiles, pullRequestSize.defaultExcludeFiles);
+    excludeFiles = excludeFiles.concat(defaultValue(repositorySettings.thirdPartyFolders, []).map(pullRequestRules.getFolderGlob));
+
+    return {
+        thresholds: thresholds,
+        excludeFiles: excludeFiles,
+        splitSize: defaultValue(settings.splitSize, 'XL')
+    };
+};
+
+/**
+ * Measures the size of a pull request.
+ *
+ * @param {Object[]} files The changed files of the pull request from the GitHub API, with their `filename`,
+ * `additions` and `deletions`.
+ * @param {Object} options The options of the repository, see {@link pullRequestSize.getOptions}.
+ * @returns {Object} The `size`, its `label`, the counted `additions`, `deletions`, `lines` and `files`, the
+ * `excludedFiles`, and whether to suggest to `split` the pull request.
+ */
+pullRequestSize.measure = function (files, options) {
+    Check.typeOf.object('files', files);
+    Check.typeOf.object('options', options);
+
+    var result = {
+        additions: 0,
+        deletions: 0,
+        lines: 0,
+        files: 0,
+        excludedFiles: []
+    };
+    files.forEach(function (file) {
+        if (matchesGlob(file.filename, options.excludeFiles)) {
+            result.excludedFiles.push(file.filename);
+            return;
+        }
+        result.additions += defaultValue(file.additions, 0);
+        result.deletions += defaultValue(file.deletions, 0);
+        result.files++;
+    });
+    result.lines = result.additions + result.deletions;
+
+    var sizes = pullRequestSize.sizes;
+    result.size = sizes[sizes.length - 1];
+    for (var i = 0; i < sizes.length - 1; i++) {
+        var threshold = options.thresholds[sizes[i]];
+        if (result.lines <= threshold.lines && result.files <= threshold.files) {
+            result.size = sizes[i];
+            break;
+        }
+    }
+    result.label = pullRequestSize.getLabel(result.size);
+    var splitIndex = sizes.indexOf(options.splitSize);
+    result.split = splitIndex !== -1 && sizes.indexOf(result.size) >= splitIndex;
+    return result;
+};
+
+module.exports = pullRequestSize;
@@ -0,0 +1,215 @@
+'use strict';
+var Cesium = require('cesium');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var dateLog = require('./dateLog');
+var getAllPages = require('./getAllPages');
+var parseCodeOwners = require('./parseCodeOwners');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+
+module.exports = requestReviewers;
+
+/**
+ * Requests reviews of a pull request from the owners of the files it changes. The owners come from the `reviewers`
+ * of the repository settings, or else from the `CODEOWNERS` file of the base branch, with or without a leading `@`.
+ * When a team owns a file, the member of the team with the fewest pending review requests in the repository is
+ * asked to review.
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.reviewersUrl The GitHub API URL of the requested reviewers of the pull request.
+ * @param {String} options.userName The GitHub username of the pull request author, who is never asked to review.
+ * @param {String} options.baseBranch The branch the pull request is opened against.
+ * @param {String[]} options.files The names of the files changed by the pull request.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<String[]>} A Promise that resolves with the usernames of the requested reviewers.
+ */
+function requestReviewers(options, repositorySettings) {
+    Check.typeOf.object('options', options);
+    Check.typeOf.string('options.reviewersUrl', options.reviewersUrl);
+    Check.typeOf.object('options.files', options.files);
+    Check.typeOf.object('repositorySettings', repositorySettings);
+
+    return requestReviewers._getRules(options.baseBranch, repositorySettings)
+        .then(function (rules) {
+            var owners = [];
+            options.files.forEach(function (file) {
+                parseCodeOwners.getOwners(rules, file).forEach(function (owner) {
+                    var name = owner.replace(/^@/, '');
+                    // Emails can't be asked to review
+                    if (name.indexOf('@') !== -1) {
+                        return;
+                    }
+                    owner = '@' + name;
+                    if (owners.indexOf(owner) === -1) {
+                        owners.push(owner);
+                    }
+                });
+            });
+            return requestReviewers._pickReviewers(owners, options.userName, repositorySettings);
+        })
+        .then(function (reviewers) {
+            if (reviewers.length === 0) {
+                return reviewers;
+            }
+            return requestPromise.post({
+                    url: options.reviewersUrl,
+                    headers: repositorySettings.headers,
+                    body: {
+                        reviewers: reviewers
+                    },
+                    json: true
+                })
+                .then(function () {
+                    return reviewers;
+                });
+        });
+}
+
+/**
+ * The paths at which GitHub looks for a `CODEOWNERS` file, in order.
+ * @type {String[]}
+ */
+requestReviewers.codeOwnersPaths = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Gets the rules assigning owners to files, from the `reviewers` of the repository settings, which map globs to
+ * owners, or else from the `CODEOWNERS` file of the base branch.
+ *
+ * @param {String} baseBranch The branch to read `CODEOWNERS` from.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<Object[]>} A Promise that resolves with the rules, see {@link parseCodeOwners}.
+ */
+requestReviewers._getRules = function (baseBranch, repositorySettings) {
+    var reviewers = repositorySettings.reviewers;
+    if (defined(reviewers)) {
+        return Promise.resolve(Object.keys(reviewers).map(function (glob) {
+            return {
+                pattern: glob,
+                globs: [glob],
+                owners: [].concat(reviewers[glob])
+            };
+        }));
+    }
+
+    var repositoryUrl = 'https://api.github.com/repos/' + repositorySettings.name;
+    var paths = requestReviewers.codeOwnersPaths;
+    function readCodeOwners(index) {
+        if (index === paths.length) {
+            return Promise.resolve([]);
+        }
+        return Promise.resolve(requestPromise.get({
+                url: repositoryUrl + '/contents/' + paths[index],
+                qs: {
+                    ref: baseBranch
+                },
+                headers: repositorySettings.headers,
+                json: true
+            }))
+            .then(function (response) {
+                return parseCodeOwners(Buffer.from(response.content, 'base64').toString());
+            })
+            .catch(function (error) {
+                if (error.statusCode === 404) {
+                    return readCodeOwners(index + 1);
+                }
+                return Promise.reject(error);
+            });
+    }
+    return readCodeOwners(0);
+};
+
+/**
+ * Picks the reviewers among the owners: users are picked as they are, and for each team, the member with the
+ * fewest pending review requests on the open pull requests of the repository.
+ *
+ * @param {String[]} owners The owners, like `@boomerJones` or `@AnalyticalGraphicsInc/cesium-team`.
+ * @param {String} userName The GitHub username of the pull request author, who is never picked.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<String[]>} A Promise that resolves with the usernames of the reviewers.
+ */
+requestReviewers._pickReviewers = function (owners, userName, repositorySettings) {
+    var reviewers = [];
+    var teams = [];
+
+    function isAuthor(login) {
+        return defined(userName) && login.toLowerCase() === userName.toLowerCase();
+    }
+
+    function isReviewer(login) {
+        return reviewers.some(function (reviewer) {
+            return reviewer.toLowerCase() === login.toLowerCase();
+        });
+    }
+
+    owners.forEach(function (owner) {
+        var name = owner.slice(1);
+        if (name.indexOf('/') !== -1) {
+            teams.push(name);
+        } else if (!isAuthor(name) && !isReviewer(name)) {
+            reviewers.push(name);
+        }
+    });
+
+    if (teams.length === 0) {
+        return Promise.resolve(reviewers);
+    }
+
+    return requestReviewers._getPendingReviewCounts(repositorySettings)
+        .then(function (pendingReviewCounts) {
+            return Promise.each(teams, function (team) {
+                var parts = team.split('/');
+                return getAllPages('https://api.github.com/orgs/' + parts[0] + '/teams/' + parts[1] + '/members', repositorySettings.headers)
+                    .then(function (members) {
+                        var candidates = members.map(function (member) {
+                            return member.login;
+                        }).filter(function (login) {
+                            return !isAuthor(login);
+                        });
+                        // A member who is already a reviewer covers the team
+                        if (candidates.length === 0 || candidates.some(isReviewer)) {
+                            return;
+                        }
+                        var reviewer = candidates.reduce(function (best, login) {
+                            return getCount(pendingReviewCounts, login) < getCount(pendingReviewCounts, best) ? login : best;
+                        });
+                        pendingReviewCounts[reviewer.toLowerCase()] = getCount(pendingReviewCounts, reviewer) + 1;
+                        reviewers.push(reviewer);
+                    })
+                    .catch(function (error) {
+                        dateLog('Could not read the members of ' + team + ': ' + error);
+                    });
+            });
+        })
+        .then(function () {
+            return reviewers;
+        });
+};
+
+/**
+ * Counts the pending review requests of each user on the open pull requests of the repository.
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Promise<Object>} A Promise that resolves with the counts keyed by lower case username.
+ */
+requestReviewers._getPendingReviewCounts = function (repositorySettings) {
+    return getAllPages('https://api.github.com/repos/' + repositorySettings.name + '/pulls?state=open', repositorySettings.headers)
+        .then(function (pullRequests) {
+            var counts = {};
+            pullRequests.forEach(function (pullRequest) {
+                defaultValue(pullRequest.requested_reviewers, []).forEach(function (reviewer) {
+                    var login = reviewer.login.toLowerCase();
+                    counts[login] = getCount(counts, login) + 1;
+                });
+            });
+            return counts;
+        });
+};
+
+function getCount(counts, login) {
+    var count = counts[login.toLowerCase()];
+    return defined(count) ? count : 0;
+}
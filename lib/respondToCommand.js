@@ -0,0 +1,281 @@
+'use strict';
+var Cesium = require('cesium');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var claSigners = require('./claSigners');
+var commentOnOpenedPullRequest = require('./commentOnOpenedPullRequest');
+var findCommentWithMarker = require('./findCommentWithMarker');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+var DeveloperError = Cesium.DeveloperError;
+
+module.exports = respondToCommand;
+
+/**
+ * Runs the `@cesium-concierge <command> [args]` commands found in a new issue or pull request comment,
+ * then replies with their results. Each comment gets at most one reply, even if GitHub delivers it again.
+ *
+ * @param {Object} body The GitHub event body.
+ * @param {Object} repositorySettings The settings for the repository the comment was made on.
+ * @returns {Promise} A Promise that resolves when processing is complete.
+ */
+function respondToCommand(body, repositorySettings) {
+    Check.typeOf.object('body', body);
+    Check.typeOf.object('repositorySettings', repositorySettings);
+
+    var comment = body.comment;
+    var userName = comment.user.login;
+    // Don't respond to our own comments, which explain the commands
+    if (userName === 'cesium-concierge' || comment.user.type === 'Bot') {
+        return Promise.resolve();
+    }
+
+    var commands = respondToCommand._parseCommands(comment.body);
+    if (commands.length === 0) {
+        return Promise.resolve();
+    }
+
+    var context = {
+        body: body,
+        repositorySettings: repositorySettings,
+        userName: userName
+    };
+
+    var marker = respondToCommand._createMarker(comment);
+    return findCommentWithMarker(body.issue.comments_url, marker, repositorySettings.headers)
+        .then(function (existingReply) {
+            // Don't run the commands again if the comment was already answered
+            if (defined(existingReply)) {
+                return [];
+            }
+            return respondToCommand._getPermission(body.repository.full_name, userName, repositorySettings)
+                .then(function (permission) {
+                    context.permission = permission;
+                    return Promise.mapSeries(commands, function (command) {
+                        return respondToCommand._runCommand(command, context);
+                    });
+                });
+        })
+        .then(function (replies) {
+            replies = replies.filter(function (reply) {
+                return defined(reply) && reply.length > 0;
+            });
+            if (replies.length === 0) {
+                return;
+            }
+
+            return requestPromise.post({
+                url: body.issue.comments_url,
+                headers: repositorySettings.headers,
+                body: {
+                    body: repositorySettings.commandReplyTemplate({
+                        userName: userName,
+                        replies: replies
+                    }) + '\n' + marker
+                },
+                json: true
+            });
+        });
+}
+
+/**
+ * The events handled by {@link respondToCommand}.
+ * @type {String[]}
+ */
+respondToCommand.events = ['issue_comment.created'];
+
+/**
+ * The repository permission levels, from lowest to highest, as returned by the GitHub collaborator permission API.
+ * @type {String[]}
+ */
+respondToCommand.permissionLevels = ['none', 'read', 'write', 'admin'];
+
+respondToCommand._commands = {};
+
+/**
+ * Adds a command that can be run by mentioning concierge in a comment.
+ *
+ * @param {String} name The name of the command, as typed after `@cesium-concierge`.
+ * @param {Object} command Object with the following properties:
+ * @param {String} command.description A short description of the command, listed by `help`.
+ * @param {String} [command.usage] The arguments the command takes, for example `[user]`.
+ * @param {String} [command.permission='read'] The repository permission needed to run the command, one of {@link respondToCommand.permissionLevels}.
+ * @param {String} [command.authorPermission] The permission needed when the commenter opened the issue or pull request. Defaults to `command.permission`.
+ * @param {Function} command.run Function called with the context of the comment and the array of arguments.
+ * It returns a reply, or a Promise resolving to the reply, or undefined to not reply.
+ * @returns {undefined}
+ */
+respondToCommand.register = function (name, command) {
+    Check.typeOf.string('name', name);
+    Check.typeOf.object('command', command);
+    Check.typeOf.string('command.description', command.description);
+    Check.typeOf.func('command.run', command.run);
+
+    var permission = defaultValue(command.permission, 'read');
+    var authorPermission = defaultValue(command.authorPermission, permission);
+    [permission, authorPermission].forEach(function (level) {
+        if (!respondToCommand.permissionLevels.includes(level)) {
+            throw new DeveloperError('command ' + name + ' has an unknown permission level ' + level);
+        }
+    });
+
+    respondToCommand._commands[name.toLowerCase()] = {
+        name: name.toLowerCase(),
+        description: command.description,
+        usage: defaultValue(command.usage, ''),
+        permission: permission,
+        authorPermission: authorPermission,
+        run: command.run
+    };
+};
+
+/**
+ * Finds every `@cesium-concierge <command> [args]` line in a comment. Quoted lines are ignored.
+ *
+ * @param {String} text The comment body.
+ * @returns {Object[]} The commands found, each with a lowercase `name` and an array of `args`.
+ */
+respondToCommand._parseCommands = function (text) {
+    if (!defined(text)) {
+        return [];
+    }
+
+    var commands = [];
+    text.split(/\r?\n/).forEach(function (line) {
+        if (/^\s*>/.test(line)) {
+            return;
+        }
+        var match = /(?:^|\s)@cesium-concierge\s+([a-z][\w-]*)(.*)$/i.exec(line);
+        if (match === null) {
+            return;
+        }
+        commands.push({
+            name: match[1].toLowerCase(),
+            args: match[2].trim().split(/\s+/).filter(function (arg) {
+                return arg.length > 0;
+            })
+        });
+    });
+    return commands;
+};
+
+/**
+ * Creates the hidden marker added to the reply to a comment, so that the comment is only answered once.
+ *
+ * @param {Object} comment The comment with the commands.
+ * @returns {String} The marker.
+ */
+respondToCommand._createMarker = function (comment) {
+    return findCommentWithMarker.createMarker('commandReply-' + comment.id);
+};
+
+respondToCommand._getPermission = function (repositoryName, userName, repositorySettings) {
+    return requestPromise.get({
+            url: 'https://api.github.com/repos/' + repositoryName + '/collaborators/' + userName + '/permission',
+            headers: repositorySettings.headers,
+            json: true
+        })
+        .then(function (response) {
+            return response.permission;
+        })
+        .catch(function (error) {
+            // Users without any access to a private repository are not found
+            if (error.statusCode === 404) {
+                return 'none';
+            }
+            return Promise.reject(error);
+        });
+};
+
+respondToCommand._hasPermission = function (permission, requiredPermission) {
+    var levels = respondToCommand.permissionLevels;
+    return levels.indexOf(permission) >= levels.indexOf(requiredPermission);
+};
+
+respondToCommand._runCommand = function (parsedCommand, context) {
+    var command = respondToCommand._commands[parsedCommand.name];
+    if (!defined(command)) {
+        return 'I don\'t know the command `' + parsedCommand.name + '`.\n\n' + respondToCommand._usage();
+    }
+
+    var issueUser = context.body.issue.user;
+    var isAuthor = defined(issueUser) && issueUser.login.toLowerCase() === context.userName.toLowerCase();
+    var requiredPermission = isAuthor ? command.authorPermission : command.permission;
+    if (!respondToCommand._hasPermission(context.permission, requiredPermission)) {
+        return 'Sorry, you need `' + requiredPermission + '` access to this repository to use `' + command.name + '`.';
+    }
+
+    return Promise.try(function () {
+        return command.run(context, parsedCommand.args);
+    });
+};
+
+respondToCommand._usage = function () {
+    var lines = Object.keys(respondToCommand._commands).sort().map(function (name) {
+        var command = respondToCommand._commands[name];
+        var usage = command.usage.length > 0 ? ' ' + command.usage : '';
+        return '* `@cesium-concierge ' + name + usage + '` - ' + command.description;
+    });
+    return 'Here are the commands I understand:\n\n' + lines.join('\n');
+};
+
+respondToCommand.register('help', {
+    description: 'List the commands I understand.',
+    run: function () {
+        return respondToCommand._usage();
+    }
+});
+
+respondToCommand.register('stop', {
+    description: 'Stop bumping this pull request when it goes stale.',
+    run: function () {
+        return 'Okay, I won\'t bump this pull request anymore. Comment with `@cesium-concierge start` if you change your mind.';
+    }
+});
+
+respondToCommand.register('start', {
+    description: 'Start bumping this pull request again when it goes stale.',
+    run: function () {
+        return 'Okay, I\'ll bump this pull request again when it goes stale.';
+    }
+});
+
+respondToCommand.register('recheck-cla', {
+    description: 'Check the CLA of this pull request again, for example after the contributor sent one in, and update the checklist.',
+    // Reading the CLA signers is expensive, so only the pull request author and maintainers can ask for it
+    permission: 'write',
+    authorPermission: 'read',
+    run: function (context) {
+        var body = context.body;
+        if (!defined(body.issue.pull_request)) {
+            return 'I can only check the CLA of a pull request.';
+        }
+
+        var repositorySettings = context.repositorySettings;
+        // The contributor probably just signed, so don't wait for the next scheduled refresh
+        return claSigners.refresh(repositorySettings)
+            .catch(function () {
+                // Fall back on the signers that are already known, the checklist explains if that fails too
+            })
+            .then(function () {
+                return requestPromise.get({
+                    url: body.issue.pull_request.url,
+                    headers: repositorySettings.headers,
+                    json: true
+                });
+            })
+            .then(function (pullRequest) {
+                return commentOnOpenedPullRequest({
+                    action: 'recheck',
+                    pull_request: pullRequest,
+                    repository: body.repository
+                }, repositorySettings);
+            })
+            .then(function (comment) {
+                return 'I checked the CLA again and updated the [checklist](' + comment.html_url + ').';
+            });
+    }
+});
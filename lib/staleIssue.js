@@ -0,0 +1,212 @@
+'use strict';
+
+var Cesium = require('cesium');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+var moment = require('moment');
+
+var applyLabelRules = require('./applyLabelRules');
+var dateLog = require('./dateLog');
+var findCommentWithMarker = require('./findCommentWithMarker');
+var getAllPages = require('./getAllPages');
+var stalePullRequest = require('./stalePullRequest');
+
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+
+module.exports = staleIssue;
+
+/**
+ * Comments on and labels stale issues for all configured repositories, and closes them when no one updates them
+ * during a grace period.
+ *
+ * The `staleIssue` of the repository settings is `true`, or an object with the following properties:
+ * <ul>
+ * <li>`days` - The days without update before an issue is stale. Defaults to 180.</li>
+ * <li>`label` - The label of stale issues. Defaults to `stale`.</li>
+ * <li>`closeDays` - The days without update after the comment before closing the issue. Stale issues aren't closed if undefined.</li>
+ * <li>`exemptLabels` - Labels of issues which are never stale, like `priority - next release`.</li>
+ * <li>`exemptMilestones` - Titles of milestones whose issues are never stale, or `true` to exempt every issue with a milestone.</li>
+ * </ul>
+ *
+ * @param {Object} repositories The Settings.repositories object.
+ * @returns {Promise} A promise that resolves when the process is complete.
+ */
+function staleIssue(repositories) {
+    dateLog('Initiating `staleIssue` job.');
+    return Promise.each(Object.keys(repositories), function (repositoryName) {
+        var repositorySettings = repositories[repositoryName];
+        return staleIssue._processRepository(repositoryName, repositorySettings)
+            .catch(function (error) {
+                //Eat the error here so that all repositories are processed.
+                console.error(error);
+            });
+    });
+}
+
+/**
+ * The days without update before an issue is stale by default.
+ * @type {Number}
+ */
+staleIssue.defaultDays = 180;
+
+/**
+ * Gets the options of the stale issue job for a repository.
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Object|undefined} The `days`, `label`, `closeDays`, `exemptLabels` and `exemptMilestones`, or undefined
+ * if the repository doesn't look for stale issues.
+ */
+staleIssue.getOptions = function (repositorySettings) {
+    var settings = repositorySettings.staleIssue;
+    if (!defined(settings) || settings === false) {
+        return undefined;
+    }
+    if (typeof settings !== 'object') {
+        settings = {};
+    }
+    return {
+        days: defaultValue(settings.days, staleIssue.defaultDays),
+        label: defaultValue(settings.label, 'stale'),
+        closeDays: settings.closeDays,
+        exemptLabels: defaultValue(settings.exemptLabels, []),
+        exemptMilestones: defaultValue(settings.exemptMilestones, [])
+    };
+};
+
+/**
+ * Checks whether an issue is exempt from the stale issue job because of its labels or milestone.
+ *
+ * @param {Object} issue The issue from the GitHub API.
+ * @param {Object} options The options of the repository, see {@link staleIssue.getOptions}.
+ * @returns {Boolean} True if the issue is never stale.
+ */
+staleIssue.isExempt = function (issue, options) {
+    var exemptLabels = options.exemptLabels.map(function (label) {
+        return label.toLowerCase();
+    });
+    var hasExemptLabel = applyLabelRules.getLabelNames(issue.labels).some(function (label) {
+        return exemptLabels.indexOf(label.toLowerCase()) !== -1;
+    });
+    if (hasExemptLabel || !defined(issue.milestone)) {
+        return hasExemptLabel;
+    }
+    if (options.exemptMilestones === true) {
+        return true;
+    }
+    var title = issue.milestone.title.toLowerCase();
+    return [].concat(options.exemptMilestones).some(function (milestone) {
+        return milestone.toLowerCase() === title;
+    });
+};
+
+staleIssue._processRepository = function (repositoryName, repositorySettings) {
+    return repositorySettings.fetchSettings()
+        .then(function () {
+            var options = staleIssue.getOptions(repositorySettings);
+            if (!defined(options)) {
+                return;
+            }
+
+            dateLog('Checking issues of ' + repositoryName);
+            return getAllPages('https://api.github.com/repos/' + repositoryName + '/issues?state=open', repositorySettings.headers)
+                .then(function (issues) {
+                    return Promise.each(issues, function (issue) {
+                        // The issues API also lists pull requests, which are handled by `stalePullRequest`
+                        if (defined(issue.pull_request)) {
+                            return;
+                        }
+                        // An issue that became exempt isn't stale anymore
+                        if (staleIssue.isExempt(issue, options)) {
+                            return updateLabel(issue, options, false, repositorySettings);
+                        }
+                        return staleIssue._processIssue(issue, options, repositorySettings);
+                    });
+                });
+        });
+};
+
+staleIssue._processIssue = function (issue, options, repositorySettings) {
+    // Every activity updates the issue, like comments, edits and labels. The stale comment and label do
+    // too, which starts the grace period.
+    var daysSinceUpdate = moment().startOf('day').diff(moment(issue.updated_at).startOf('day'), 'days');
+    var label = options.label.toLowerCase();
+    var isLabeled = applyLabelRules.getLabelNames(issue.labels).some(function (name) {
+        return name.toLowerCase() === label;
+    });
+    // Only issues which are stale or were labeled stale need their comments
+    if (daysSinceUpdate < options.days && !isLabeled) {
+        return Promise.resolve();
+    }
+
+    return getAllPages(issue.comments_url, repositorySettings.headers)
+        .then(function (comments) {
+            if (stalePullRequest._foundStopComment(comments)) {
+                return;
+            }
+
+            var lastComment = comments[comments.length - 1];
+            var marker = findCommentWithMarker.createMarker('staleIssue');
+            var isMarked = defined(lastComment) && defaultValue(lastComment.body, '').indexOf(marker) !== -1;
+
+            if (isMarked && !staleIssue._updatedAfter(issue, lastComment)) {
+                if (defined(options.closeDays) && daysSinceUpdate >= options.closeDays) {
+                    dateLog('Closing stale issue ' + issue.html_url);
+                    return requestPromise.patch({
+                        url: issue.url,
+                        headers: repositorySettings.headers,
+                        body: {
+                            state: 'closed'
+                        },
+                        json: true
+                    });
+                }
+                return;
+            }
+
+            var isStale = daysSinceUpdate >= options.days;
+            return Promise.resolve()
+                .then(function () {
+                    if (!isStale) {
+                        return;
+                    }
+                    return requestPromise.post({
+                        url: issue.comments_url,
+                        headers: repositorySettings.headers,
+                        body: {
+                            body: repositorySettings.staleIssueTemplate({
+                                userName: issue.user.login,
+                                daysSinceUpdate: daysSinceUpdate,
+                                label: options.label,
+                                closeDays: options.closeDays
+                            })
+                        },
+                        json: true
+                    });
+                })
+                .then(function () {
+                    // The label is removed once someone updates the issue
+                    return updateLabel(issue, options, isStale, repositorySettings);
+                });
+        });
+};
+
+/**
+ * The time in milliseconds after the stale comment within which updates of the issue are concierge's own,
+ * like adding the label right after commenting.
+ * @type {Number}
+ */
+staleIssue.updateTolerance = 60 * 1000;
+
+staleIssue._updatedAfter = function (issue, comment) {
+    return moment(issue.updated_at).diff(moment(comment.created_at)) > staleIssue.updateTolerance;
+};
+
+function updateLabel(issue, options, isStale, repositorySettings) {
+    return applyLabelRules.updateLabels({
+        issueUrl: issue.url,
+        labels: applyLabelRules.getLabelNames(issue.labels),
+        managedLabels: [options.label],
+        matchingLabels: isStale ? [options.label] : []
+    }, repositorySettings);
+}
@@ -6,7 +6,12 @@ var requestPromise = require('request-promise');
 var parseLink = require('parse-link-header');
 var moment = require('moment');
 
+var applyLabelRules = require('./applyLabelRules');
 var dateLog = require('./dateLog');
+var findCommentWithMarker = require('./findCommentWithMarker');
+var getAllPages = require('./getAllPages');
+var matchesGlob = require('./matchesGlob');
+var respondToCommand = require('./respondToCommand');
 
 module.exports = stalePullRequest;
 
@@ -45,8 +50,20 @@ stalePullRequest._processRepository = function (repositoryName, repositorySettin
         pullRequests = pullRequests.concat(response.body);
         // If we're at the last page
         if (!Cesium.defined(linkData) || !Cesium.defined(linkData.next)) {
+            var exemptions = stalePullRequest.getExemptions(repositorySettings);
             return Promise.each(pullRequests, function (pullRequest) {
-                return stalePullRequest._processPullRequest(pullRequest, repositorySettings);
+                var baseBranch = stalePullRequest.getBaseBranch(pullRequest.base.ref, pullRequest.base.repo.default_branch, repositorySettings);
+                if (!Cesium.defined(baseBranch)) {
+                    return;
+                }
+                var skipReason = stalePullRequest.getSkipReason(pullRequest, exemptions);
+                if (Cesium.defined(skipReason)) {
+                    dateLog('Skipping ' + pullRequest.html_url + ' because ' + skipReason + '.');
+                    // A pull request that became exempt isn't stale anymore
+                    var stages = stalePullRequest.getStages(repositorySettings, baseBranch.maxDaysSinceUpdate);
+                    return stalePullRequest._updateLabels(pullRequest, stages, [], repositorySettings);
+                }
+                return stalePullRequest._processPullRequest(pullRequest, repositorySettings, baseBranch.maxDaysSinceUpdate);
             });
         }
         // Otherwise, request the next page
@@ -58,107 +75,443 @@ stalePullRequest._processRepository = function (repositoryName, repositorySettin
         }).then(processPage);
     }
 
-    return requestPromise.get({
-        url: 'https://api.github.com/repos/' + repositoryName + '/pulls?state=open&base=master',
-        headers: repositorySettings.headers,
-        json: true,
-        resolveWithFullResponse: true
-    }).then(processPage);
+    // The stages and templates may be configured by the repository
+    return repositorySettings.fetchSettings()
+        .then(function () {
+            return requestPromise.get({
+                url: 'https://api.github.com/repos/' + repositoryName + '/pulls?state=open',
+                headers: repositorySettings.headers,
+                json: true,
+                resolveWithFullResponse: true
+            });
+        })
+        .then(processPage);
 };
 
-stalePullRequest._processPullRequest = function (pullRequest, repositorySettings) {
-    var commentsUrl = pullRequest.comments_url + '?sort=updated';
-    var commitsUrl = pullRequest.commits_url;
+/**
+ * Gets how to check the pull requests opened against a base branch. Pull requests opened against the default branch of
+ * the repository, or against a branch matching one of the `staleBaseBranches`, are checked.
+ *
+ * Each of the `staleBaseBranches` of the repository settings is a glob, or an object with the following properties:
+ * <ul>
+ * <li>`branch` - The glob of the branches, like `release/*`.</li>
+ * <li>`maxDaysSinceUpdate` - The days without update before pull requests opened against the branches are stale.
+ * Defaults to the `maxDaysSinceUpdate` of the repository.</li>
+ * </ul>
+ * The first entry matching the branch is used, so an entry may also override the `maxDaysSinceUpdate` of the default branch.
+ *
+ * @param {String} branch The base branch of a pull request.
+ * @param {String} defaultBranch The default branch of the repository.
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Object|undefined} The `maxDaysSinceUpdate` of the branch, or undefined if the branch isn't checked.
+ */
+stalePullRequest.getBaseBranch = function (branch, defaultBranch, repositorySettings) {
+    var entry = Cesium.defaultValue(repositorySettings.staleBaseBranches, []).find(function (entry) {
+        return matchesGlob(branch, typeof entry === 'string' ? entry : entry.branch);
+    });
+    if (!Cesium.defined(entry) && branch !== defaultBranch) {
+        return undefined;
+    }
+    var maxDaysSinceUpdate = Cesium.defined(entry) ? entry.maxDaysSinceUpdate : undefined;
+    return {
+        maxDaysSinceUpdate: Cesium.defaultValue(maxDaysSinceUpdate, repositorySettings.maxDaysSinceUpdate)
+    };
+};
+
+/**
+ * Gets which pull requests of a repository are never stale.
+ *
+ * The `stalePullRequest` of the repository settings is an object with the following properties:
+ * <ul>
+ * <li>`skipDrafts` - Whether draft pull requests are never stale. Defaults to true.</li>
+ * <li>`exemptLabels` - Labels of pull requests which are never stale, like `on hold`.</li>
+ * <li>`exemptAuthors` - GitHub usernames whose pull requests are never stale, like `dependabot`.</li>
+ * <li>`exemptMilestones` - Titles of milestones whose pull requests are never stale, or `true` to exempt every pull request with a milestone.</li>
+ * </ul>
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Object} The `skipDrafts`, `exemptLabels`, `exemptAuthors` and `exemptMilestones`.
+ */
+stalePullRequest.getExemptions = function (repositorySettings) {
+    var settings = Cesium.defaultValue(repositorySettings.stalePullRequest, {});
+    return {
+        skipDrafts: Cesium.defaultValue(settings.skipDrafts, true),
+        exemptLabels: Cesium.defaultValue(settings.exemptLabels, []),
+        exemptAuthors: Cesium.defaultValue(settings.exemptAuthors, []),
+        exemptMilestones: Cesium.defaultValue(settings.exemptMilestones, [])
+    };
+};
+
+/**
+ * Gets why a pull request is never stale.
+ *
+ * @param {Object} pullRequest The pull request from the GitHub API.
+ * @param {Object} exemptions The exemptions of the repository, see {@link stalePullRequest.getExemptions}.
+ * @returns {String|undefined} The reason, like `it has the label on hold`, or undefined if the pull request may be stale.
+ */
+stalePullRequest.getSkipReason = function (pullRequest, exemptions) {
+    if (exemptions.skipDrafts && pullRequest.draft === true) {
+        return 'it is a draft';
+    }
+
+    var label = applyLabelRules.getLabelNames(pullRequest.labels).find(function (label) {
+        return indexOfName(exemptions.exemptLabels, label) !== -1;
+    });
+    if (Cesium.defined(label)) {
+        return 'it has the label ' + label;
+    }
+
+    // Apps like Dependabot have logins like `dependabot[bot]`
+    var author = Cesium.defined(pullRequest.user) ? pullRequest.user.login : '';
+    if (indexOfName(exemptions.exemptAuthors, author) !== -1 || indexOfName(exemptions.exemptAuthors, author.replace(/\[bot\]$/, '')) !== -1) {
+        return 'its author is ' + author;
+    }
+
+    var milestone = pullRequest.milestone;
+    if (Cesium.defined(milestone) && (exemptions.exemptMilestones === true || indexOfName([].concat(exemptions.exemptMilestones), milestone.title) !== -1)) {
+        return 'it is in the milestone ' + milestone.title;
+    }
+    return undefined;
+};
+
+// Compared ignoring case, like GitHub compares labels and usernames
+function indexOfName(names, name) {
+    var lowerCaseName = name.toLowerCase();
+    return names.findIndex(function (name) {
+        return name.toLowerCase() === lowerCaseName;
+    });
+}
+
+/**
+ * The escalation stages of stale pull requests when the repository doesn't configure its own `staleStages`.
+ * @type {Object[]}
+ */
+stalePullRequest.defaultStages = [{
+    name: 'bump',
+    template: 'stalePullRequest'
+}, {
+    name: 'reminder',
+    template: 'stalePullRequestReminder',
+    label: 'stale',
+    ping: true
+}];
+
+/**
+ * Gets the escalation stages of stale pull requests for a repository. A pull request with no update for the `days`
+ * of the first stage gets its comment, and each following stage comes when no one updated the pull request in the
+ * `days` of that stage since the comment of the stage before. The last stage repeats unless it closes the pull request.
+ *
+ * A stage is an object with the following properties:
+ * <ul>
+ * <li>`name` - The name of the stage.</li>
+ * <li>`template` - The name of the template of the stage comment, which must be different for each stage. The stage
+ * of a pull request is found from the marker of the template in the last comment.</li>
+ * <li>`days` - The days without update before the stage. Defaults to `maxDaysSinceUpdate`.</li>
+ * <li>`label` - A label added to the pull request at this stage, and removed once the pull request is updated.</li>
+ * <li>`ping` - Whether to mention the requested reviewers and the assignees of the pull request.</li>
+ * <li>`close` - Whether to close the pull request at this stage.</li>
+ * </ul>
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @param {Number} [maxDaysSinceUpdate=repositorySettings.maxDaysSinceUpdate] The default `days` of the stages, see {@link stalePullRequest.getBaseBranch}.
+ * @returns {Object[]} The stages, with their defaults.
+ */
+stalePullRequest.getStages = function (repositorySettings, maxDaysSinceUpdate) {
+    maxDaysSinceUpdate = Cesium.defaultValue(maxDaysSinceUpdate, repositorySettings.maxDaysSinceUpdate);
+    var stages = Cesium.defaultValue(repositorySettings.staleStages, stalePullRequest.defaultStages);
+    return stages.map(function (stage, index) {
+        return {
+            name: Cesium.defaultValue(stage.name, 'stage' + (index + 1)),
+            template: stage.template,
+            days: Cesium.defaultValue(stage.days, maxDaysSinceUpdate),
+            label: stage.label,
+            ping: Cesium.defaultValue(stage.ping, false),
+            close: Cesium.defaultValue(stage.close, false)
+        };
+    });
+};
+
+/**
+ * The timeline events which count as an update of a pull request.
+ * @type {String[]}
+ */
+stalePullRequest.activityEvents = ['head_ref_force_pushed', 'labeled', 'unlabeled', 'renamed', 'reopened', 'ready_for_review', 'review_requested'];
+
+/**
+ * Gets the date of the last update of a pull request by someone other than concierge: a comment, a review, a review
+ * comment, a commit or one of the {@link stalePullRequest.activityEvents}. The comments of the stages and the changes
+ * of the stage labels don't count.
+ *
+ * @param {Object} pullRequest The pull request from the GitHub API.
+ * @param {Object[]} stages The stages, see {@link stalePullRequest.getStages}.
+ * @param {Object} activity Object with the following properties:
+ * @param {Object[]} activity.comments The comments of the pull request from the GitHub API.
+ * @param {Object[]} activity.commits The commits of the pull request from the GitHub API.
+ * @param {Object[]} [activity.reviews] The reviews of the pull request from the GitHub API.
+ * @param {Object[]} [activity.reviewComments] The review comments of the pull request from the GitHub API.
+ * @param {Object[]} [activity.events] The timeline events of the pull request from the GitHub API.
+ * @returns {moment} The date of the last update, which is when the pull request was created if no one updated it.
+ */
+stalePullRequest._getLastUpdate = function (pullRequest, stages, activity) {
+    var stageLabels = stages.map(function (stage) {
+        return stage.label;
+    });
+    var dates = [pullRequest.created_at];
+
+    activity.comments.forEach(function (comment) {
+        if (!isConcierge(comment.user) && getStageIndex(stages, comment) === -1) {
+            dates.push(comment.updated_at);
+        }
+    });
+    // A rebase keeps the author date, but changes the committer date
+    activity.commits.forEach(function (commit) {
+        dates.push(commit.commit.author.date);
+        if (Cesium.defined(commit.commit.committer)) {
+            dates.push(commit.commit.committer.date);
+        }
+    });
+    Cesium.defaultValue(activity.reviews, []).forEach(function (review) {
+        if (!isConcierge(review.user)) {
+            dates.push(review.submitted_at);
+        }
+    });
+    Cesium.defaultValue(activity.reviewComments, []).forEach(function (comment) {
+        if (!isConcierge(comment.user)) {
+            dates.push(comment.updated_at);
+        }
+    });
+    Cesium.defaultValue(activity.events, []).forEach(function (event) {
+        var isStageLabel = Cesium.defined(event.label) && stageLabels.indexOf(event.label.name) !== -1;
+        if (stalePullRequest.activityEvents.indexOf(event.event) !== -1 && !isConcierge(event.actor) && !isStageLabel) {
+            dates.push(event.created_at);
+        }
+    });
 
-    function checkForUpdates(commentsJsonResponse, commitsJsonResponse) {
-        var lastCommentDate;
-        var lastCommitDate = moment(commitsJsonResponse[commitsJsonResponse.length - 1].commit.author.date).startOf('date');
+    var lastUpdate;
+    dates.forEach(function (date) {
+        if (Cesium.defined(date) && (!Cesium.defined(lastUpdate) || lastUpdate.isBefore(date))) {
+            lastUpdate = moment(date);
+        }
+    });
+    return lastUpdate;
+};
 
-        if (commentsJsonResponse.length === 0) {
-            lastCommentDate = moment(pullRequest.updated_at).startOf('day');
-        } else {
-            lastCommentDate = moment(commentsJsonResponse[commentsJsonResponse.length - 1].updated_at).startOf('day');
+/**
+ * Finds the stage a pull request is at, from the marker of the stage template in the last stage comment. The pull
+ * request is at no stage once it's updated after the stage comment.
+ *
+ * @param {Object[]} stages The stages, see {@link stalePullRequest.getStages}.
+ * @param {Object[]} comments The comments of the pull request from the GitHub API, sorted by update.
+ * @param {moment} lastUpdate The date of the last update of the pull request, see {@link stalePullRequest._getLastUpdate}.
+ * @returns {Object} The `index` of the stage, or -1 if the pull request is at no stage, and the `date` of the stage comment.
+ */
+stalePullRequest._getCurrentStage = function (stages, comments, lastUpdate) {
+    for (var i = comments.length - 1; i >= 0; i--) {
+        var index = getStageIndex(stages, comments[i]);
+        if (index !== -1) {
+            if (Cesium.defined(lastUpdate) && lastUpdate.isAfter(comments[i].updated_at)) {
+                break;
+            }
+            return {
+                index: index,
+                date: moment(comments[i].updated_at)
+            };
         }
+    }
+    return {
+        index: -1,
+        date: undefined
+    };
+};
+
+function getStageIndex(stages, comment) {
+    var body = Cesium.defaultValue(comment.body, '');
+    return stages.findIndex(function (stage) {
+        return body.indexOf(findCommentWithMarker.createMarker(stage.template)) !== -1;
+    });
+}
+
+function isConcierge(user) {
+    return Cesium.defined(user) && user.login === 'cesium-concierge';
+}
+
+stalePullRequest._processPullRequest = function (pullRequest, repositorySettings, maxDaysSinceUpdate) {
+    maxDaysSinceUpdate = Cesium.defaultValue(maxDaysSinceUpdate, repositorySettings.maxDaysSinceUpdate);
+    var commentsUrl = pullRequest.comments_url + '?sort=updated';
+    var commitsUrl = pullRequest.commits_url;
+    var headers = repositorySettings.headers;
+    var stages = stalePullRequest.getStages(repositorySettings, maxDaysSinceUpdate);
 
+    function checkForUpdates(commentsJsonResponse, commitsJsonResponse, reviews, reviewComments, events) {
         var foundStop = stalePullRequest._foundStopComment(commentsJsonResponse);
+        if (foundStop) {
+            return;
+        }
+
+        var lastUpdate = stalePullRequest._getLastUpdate(pullRequest, stages, {
+            comments: commentsJsonResponse,
+            commits: commitsJsonResponse,
+            reviews: reviews,
+            reviewComments: reviewComments,
+            events: events
+        });
+        var currentStage = stalePullRequest._getCurrentStage(stages, commentsJsonResponse, lastUpdate);
+
         var today = moment().startOf('day');
+        var daysSinceUpdate = today.diff(moment(lastUpdate).startOf('day'), 'days');
+        // Each stage comes the days of the stage after the comment of the stage before
+        var daysSinceStage = currentStage.index === -1 ? daysSinceUpdate : today.diff(moment(currentStage.date).startOf('day'), 'days');
 
-        var daysSinceComment = today.diff(lastCommentDate, 'days');
-        var daysSinceCommit = today.diff(lastCommitDate, 'days');
+        var stageIndex = currentStage.index;
+        var nextIndex = Math.min(stageIndex + 1, stages.length - 1);
+        var nextStage = stages[nextIndex];
+        var isDue = daysSinceStage >= nextStage.days && !(nextIndex === stageIndex && nextStage.close);
+        if (isDue) {
+            stageIndex = nextIndex;
+        }
 
-        var daysSinceUpdate = Math.min(daysSinceComment, daysSinceCommit);
+        var reachedLabels = [];
+        stages.forEach(function (stage, index) {
+            if (Cesium.defined(stage.label) && index <= stageIndex && reachedLabels.indexOf(stage.label) === -1) {
+                reachedLabels.push(stage.label);
+            }
+        });
 
-        if (!foundStop && daysSinceUpdate >= repositorySettings.maxDaysSinceUpdate) {
-            var template = repositorySettings.stalePullRequestTemplate;
-            return requestPromise.post({
-                url: pullRequest.comments_url,
-                headers: repositorySettings.headers,
-                body: {
-                    body: template({
-                        maxDaysSinceUpdate: repositorySettings.maxDaysSinceUpdate,
-                        userName: pullRequest.user.login
-                    })
-                },
-                json: true
+        return Promise.resolve()
+            .then(function () {
+                if (!isDue) {
+                    return;
+                }
+                return stalePullRequest._postStageComment(pullRequest, {
+                    stage: nextStage,
+                    nextStage: stages[nextIndex + 1],
+                    daysSinceUpdate: daysSinceUpdate,
+                    maxDaysSinceUpdate: maxDaysSinceUpdate
+                }, repositorySettings);
+            })
+            .then(function () {
+                return stalePullRequest._updateLabels(pullRequest, stages, reachedLabels, repositorySettings);
+            })
+            .then(function () {
+                if (isDue && nextStage.close) {
+                    dateLog('Closing stale pull request ' + pullRequest.html_url);
+                    return requestPromise.patch({
+                        url: pullRequest.url,
+                        headers: repositorySettings.headers,
+                        body: {
+                            state: 'closed'
+                        },
+                        json: true
+                    });
+                }
             });
-        }
     }
 
-    var commitsJsonResponse;
+    return Promise.all([
+            stalePullRequest._getComments(commentsUrl, repositorySettings),
+            stalePullRequest._getCommits(commitsUrl, repositorySettings),
+            Cesium.defined(pullRequest.url) ? getAllPages(pullRequest.url + '/reviews', headers) : [],
+            Cesium.defined(pullRequest.review_comments_url) ? getAllPages(pullRequest.review_comments_url, headers) : [],
+            Cesium.defined(pullRequest.issue_url) ? getAllPages(pullRequest.issue_url + '/timeline', headers) : []
+        ])
+        .spread(checkForUpdates);
+};
 
-    return stalePullRequest._getCommits(commitsUrl, repositorySettings)
-        .then(function (commits) {
-            commitsJsonResponse = commits;
-            return stalePullRequest._getComments(commentsUrl, repositorySettings);
-        })
-        .then(function (commentsJsonResponse) {
-            return checkForUpdates(commentsJsonResponse, commitsJsonResponse);
-        });
+stalePullRequest._postStageComment = function (pullRequest, options, repositorySettings) {
+    var stage = options.stage;
+    var template = repositorySettings.getTemplate(stage.template);
+    if (!Cesium.defined(template)) {
+        return Promise.reject(new Cesium.RuntimeError('Stale stage ' + stage.name + ' has no template named ' + stage.template + '.'));
+    }
+
+    return requestPromise.post({
+        url: pullRequest.comments_url,
+        headers: repositorySettings.headers,
+        body: {
+            body: template({
+                maxDaysSinceUpdate: options.maxDaysSinceUpdate,
+                userName: pullRequest.user.login,
+                daysSinceUpdate: options.daysSinceUpdate,
+                stage: stage,
+                nextStage: options.nextStage,
+                label: stage.label,
+                pings: stage.ping ? stalePullRequest._getPings(pullRequest) : []
+            })
+        },
+        json: true
+    });
+};
+
+// Stage labels are removed once the pull request is updated
+stalePullRequest._updateLabels = function (pullRequest, stages, reachedLabels, repositorySettings) {
+    var managedLabels = stages.filter(function (stage) {
+        return Cesium.defined(stage.label);
+    }).map(function (stage) {
+        return stage.label;
+    });
+    if (!Cesium.defined(pullRequest.issue_url) || managedLabels.length === 0) {
+        return Promise.resolve();
+    }
+    return applyLabelRules.updateLabels({
+        issueUrl: pullRequest.issue_url,
+        labels: applyLabelRules.getLabelNames(pullRequest.labels),
+        managedLabels: managedLabels,
+        matchingLabels: reachedLabels
+    }, repositorySettings);
+};
+
+/**
+ * Gets the requested reviewers, requested teams and assignees of a pull request to mention.
+ *
+ * @param {Object} pullRequest The pull request from the GitHub API.
+ * @returns {String[]} The usernames and teams, like `boomerJones` or `AnalyticalGraphicsInc/cesium-team`.
+ */
+stalePullRequest._getPings = function (pullRequest) {
+    var pings = [];
+    function addPing(ping) {
+        if (ping !== pullRequest.user.login && pings.indexOf(ping) === -1) {
+            pings.push(ping);
+        }
+    }
+    Cesium.defaultValue(pullRequest.requested_reviewers, []).forEach(function (user) {
+        addPing(user.login);
+    });
+    Cesium.defaultValue(pullRequest.requested_teams, []).forEach(function (team) {
+        addPing(pullRequest.base.repo.owner.login + '/' + team.slug);
+    });
+    Cesium.defaultValue(pullRequest.assignees, []).forEach(function (user) {
+        addPing(user.login);
+    });
+    return pings;
 };
 
 stalePullRequest._foundStopComment = function (commentsJsonResponse) {
+    // The latest `stop` or `start` command wins
+    var foundStop = false;
     for (var i = 0; i < commentsJsonResponse.length; i++){
-        var comment = commentsJsonResponse[i].body.toLowerCase();
         var userName = commentsJsonResponse[i].user.login;
-        if (userName !== 'cesium-concierge' && comment.indexOf('@cesium-concierge stop') !== -1) {
-            return true;
+        if (userName === 'cesium-concierge') {
+            continue;
+        }
+        var commands = respondToCommand._parseCommands(commentsJsonResponse[i].body);
+        for (var j = 0; j < commands.length; j++) {
+            if (commands[j].name === 'stop') {
+                foundStop = true;
+            } else if (commands[j].name === 'start') {
+                foundStop = false;
+            }
         }
     }
 
-    return false;
+    return foundStop;
 };
 
 stalePullRequest._getCommits = function (commitsUrl, repositorySettings) {
-    return requestPromise.get({
-        url: commitsUrl,
-        headers: repositorySettings.headers,
-        json: true
-    })
-    .then(function (commits) {
-        return commits;
-    });
+    // The commits are listed oldest first, so every page is needed to find the latest one
+    return getAllPages(commitsUrl, repositorySettings.headers);
 };
 
 stalePullRequest._getComments = function (commentsUrl, repositorySettings) {
-    return requestPromise.get({
-        url: commentsUrl,
-        headers: repositorySettings.headers,
-        json: true,
-        resolveWithFullResponse: true
-    })
-    .then(function (response) {
-        var linkData = parseLink(response.headers.link);
-        if (Cesium.defined(linkData)) {
-            var lastUrl = linkData.last.url;
-            return requestPromise.get({
-                url: lastUrl,
-                headers: repositorySettings.headers,
-                json: true,
-            })
-            .then(function (comments) {
-                return comments;
-            });
-        }
-        return response.body;
-    });
+    // A `stop` or `start` command may be on any page
+    return getAllPages(commentsUrl, repositorySettings.headers);
 };
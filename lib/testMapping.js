@@ -0,0 +1,116 @@
+'use strict';
+var Cesium = require('cesium');
+
+var dateLog = require('./dateLog');
+var matchesGlob = require('./matchesGlob');
+
+var Check = Cesium.Check;
+var defaultValue = Cesium.defaultValue;
+var defined = Cesium.defined;
+
+/**
+ * Maps the source files changed by a pull request to the spec files which test them, to find the source files
+ * whose specs were not changed.
+ *
+ * The `testMapping` of the repository settings is an object with the following properties:
+ * <ul>
+ * <li>`mappings` - The mappings, each with a `source` regular expression matching source files, and the `spec` path
+ * or paths of the specs of a matching file, which may use the groups of `source` like `$1`.</li>
+ * <li>`excludeFiles` - Globs of source files which don't need specs.</li>
+ * </ul>
+ *
+ * @exports testMapping
+ */
+var testMapping = {};
+
+/**
+ * Gets the test mapping of a repository.
+ *
+ * @param {RepositorySettings} repositorySettings The settings of the repository.
+ * @returns {Object|undefined} The `mappings`, with their `source` compiled to a regular expression, and the
+ * `excludeFiles`, or undefined if the repository doesn't map source files to specs.
+ */
+testMapping.getOptions = function (repositorySettings) {
+    var settings = repositorySettings.testMapping;
+    if (!defined(settings)) {
+        return undefined;
+    }
+
+    var mappings = [];
+    defaultValue(settings.mappings, []).forEach(function (mapping) {
+        if (typeof mapping.source !== 'string' || !defined(mapping.spec)) {
+            dateLog('Ignoring a test mapping of ' + repositorySettings.name + ' without a source or spec: ' + JSON.stringify(mapping));
+            return;
+        }
+        try {
+            mappings.push({
+                source: new RegExp(mapping.source),
+                spec: [].concat(mapping.spec)
+            });
+        } catch (error) {
+            dateLog('Ignoring a test mapping of ' + repositorySettings.name + ': ' + error);
+        }
+    });
+    if (mappings.length === 0) {
+        return undefined;
+    }
+
+    return {
+        mappings: mappings,
+        excludeFiles: defaultValue(settings.excludeFiles, [])
+    };
+};
+
+/**
+ * Gets the paths of the specs of a source file, from the first mapping matching it.
+ *
+ * @param {String} file The path of the source file.
+ * @param {Object[]} mappings The mappings, see {@link testMapping.getOptions}.
+ * @returns {String[]} The paths of the specs, or an empty array if no mapping matches the file.
+ */
+testMapping.getSpecs = function (file, mappings) {
+    var mapping = mappings.find(function (mapping) {
+        return mapping.source.test(file);
+    });
+    if (!defined(mapping)) {
+        return [];
+    }
+    return mapping.spec.map(function (spec) {
+        return file.replace(mapping.source, spec);
+    });
+};
+
+/**
+ * Finds the source files added or modified by a pull request without a change to any of their specs.
+ *
+ * @param {Object[]} changedFiles The changed files of the pull request from the GitHub API, with their `filename` and `status`.
+ * @param {Object} options The test mapping of the repository, see {@link testMapping.getOptions}.
+ * @returns {Object[]} The untested source files, with their `file` and the `specs` expected to change.
+ */
+testMapping.findUntestedFiles = function (changedFiles, options) {
+    Check.typeOf.object('changedFiles', changedFiles);
+    Check.typeOf.object('options', options);
+
+    var fileNames = changedFiles.map(function (file) {
+        return file.filename;
+    });
+    var untestedFiles = [];
+    changedFiles.forEach(function (file) {
+        if (file.status === 'removed' || matchesGlob(file.filename, options.excludeFiles)) {
+            return;
+        }
+        var specs = testMapping.getSpecs(file.filename, options.mappings);
+        var tested = specs.some(function (spec) {
+            return fileNames.indexOf(spec) !== -1;
+        });
+        if (specs.length > 0 && !tested) {
+            untestedFiles.push({
+                file: file.filename,
+                specs: specs
+            });
+        }
+    });
+    return untestedFiles;
+};
+
+module.exports = testMapping;
@@ -0,0 +1,212 @@
+'use strict';
+
+var fsExtra = require('fs-extra');
+var os = require('os');
+var path = require('path');
+var Promise = require('bluebird');
+
+var ClaSignerIndex = require('../../lib/ClaSignerIndex');
+
+describe('ClaSignerIndex', function () {
+    var directory;
+    var snapshotPath;
+    var load;
+    var index;
+
+    beforeEach(function () {
+        directory = path.join(os.tmpdir(), 'concierge-cla-' + Date.now());
+        snapshotPath = path.join(directory, 'claSigners.json');
+        load = jasmine.createSpy('load').and.returnValue(Promise.resolve(['boomerJones', ' @OmarShehata ', '']));
+        index = new ClaSignerIndex({
+            load: load,
+            snapshotPath: snapshotPath
+        });
+        spyOn(console, 'log');
+    });
+
+    afterEach(function () {
+        index.stop();
+        fsExtra.removeSync(directory);
+    });
+
+    it('throws without a load function', function () {
+        expect(function () {
+            return new ClaSignerIndex({});
+        }).toThrowError();
+    });
+
+    it('normalizes usernames', function () {
+        expect(ClaSignerIndex.normalize('BoomerJones')).toEqual('boomerjones');
+        expect(ClaSignerIndex.normalize(' @boomerJones\n')).toEqual('boomerjones');
+    });
+
+    it('looks up signers case insensitively', function (done) {
+        index.refresh()
+            .then(function () {
+                return Promise.all([
+                    index.isCovered({userName: 'BOOMERJONES'}),
+                    index.isCovered({userName: 'omarShehata'}),
+                    index.isCovered({userName: 'newContributor'})
+                ]);
+            })
+            .then(function (results) {
+                expect(results).toEqual([true, true, false]);
+                expect(index.metrics.signerCount).toBe(2);
+                // The metrics are logged after every refresh
+                expect(console.log).toHaveBeenCalledWith(jasmine.stringMatching(/Metrics: \{"signerCount":2,"emailCount":0,"domainCount":0,/));
+                expect(load.calls.count()).toBe(1);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('covers emails and every email of a corporate domain', function (done) {
+        load.and.returnValue(Promise.resolve({
+            userNames: ['boomerJones'],
+            emails: ['Omar@Example.org '],
+            domains: ['example.com', '*@Example.net', '@example.io']
+        }));
+        index.refresh()
+            .then(function () {
+                return Promise.all([
+                    index.isCovered({email: 'omar@example.org'}),
+                    index.isCovered({email: 'someone@EXAMPLE.com'}),
+                    index.isCovered({email: 'someone@example.net'}),
+                    index.isCovered({email: 'someone@example.io'}),
+                    index.isCovered({email: 'someone@example.org'}),
+                    index.isCovered({email: 'someone@sub.example.com'}),
+                    index.isCovered({userName: 'someone', email: 'boomerJones@example.org'}),
+                    index.isCovered({userName: 'BoomerJones', email: 'someone@example.org'}),
+                    index.isCovered({})
+                ]);
+            })
+            .then(function (results) {
+                expect(results).toEqual([true, true, true, true, false, false, false, true, false]);
+                expect(index.metrics.signerCount).toBe(1);
+                expect(index.metrics.emailCount).toBe(1);
+                expect(index.metrics.domainCount).toBe(3);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('loads the signers on the first lookup', function (done) {
+        index.isCovered({userName: 'boomerJones'})
+            .then(function (signed) {
+                expect(signed).toBe(true);
+                expect(load).toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('shares a refresh that is in progress', function (done) {
+        Promise.all([index.refresh(), index.refresh(), index.isCovered({userName: 'boomerJones'})])
+            .then(function () {
+                expect(load.calls.count()).toBe(1);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('keeps the signers it has if a refresh fails', function (done) {
+        var error = new Error('Google Sheets is down');
+        index.refresh()
+            .then(function () {
+                load.and.returnValue(Promise.reject(error));
+                return index.refresh();
+            })
+            .then(done.fail)
+            .catch(function (rejectedError) {
+                expect(rejectedError).toBe(error);
+                expect(index.metrics.failedRefreshCount).toBe(1);
+                expect(index.metrics.lastError).toEqual('Error: Google Sheets is down');
+                return index.isCovered({userName: 'boomerJones'});
+            })
+            .then(function (signed) {
+                expect(signed).toBe(true);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('rejects lookups if no signers could be loaded', function (done) {
+        load.and.returnValue(Promise.reject(new Error('Google Sheets is down')));
+        index.isCovered({userName: 'boomerJones'})
+            .then(done.fail)
+            .catch(function (error) {
+                expect(error.message).toContain('The list of CLA signers is not available');
+                expect(error.message).toContain('Google Sheets is down');
+                done();
+            });
+    });
+
+    it('saves a snapshot and falls back on it after a restart', function (done) {
+        index.refresh()
+            .then(function () {
+                expect(fsExtra.readJsonSync(snapshotPath).signers).toEqual(['boomerJones', ' @OmarShehata ', '']);
+
+                var restartedLoad = jasmine.createSpy('load').and.returnValue(Promise.reject(new Error('Google Sheets is down')));
+                index = new ClaSignerIndex({
+                    load: restartedLoad,
+                    snapshotPath: snapshotPath
+                });
+                return index.start();
+            })
+            .then(function () {
+                var metrics = index.metrics;
+                expect(metrics.loadedFromSnapshot).toBe(true);
+                expect(metrics.signerCount).toBe(2);
+                expect(metrics.refreshCount).toBe(0);
+                expect(metrics.failedRefreshCount).toBe(1);
+                return index.isCovered({userName: 'boomerJones'});
+            })
+            .then(function (signed) {
+                expect(signed).toBe(true);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('reports how long ago it was refreshed', function (done) {
+        expect(index.metrics.refreshedAt).toBeUndefined();
+        expect(index.metrics.refreshAge).toBeUndefined();
+
+        var now = Date.now();
+        spyOn(Date, 'now').and.returnValue(now);
+        index.refresh()
+            .then(function () {
+                Date.now.and.returnValue(now + 5000);
+                var metrics = index.metrics;
+                expect(metrics.refreshedAt).toEqual(new Date(now).toISOString());
+                expect(metrics.refreshAge).toBe(5000);
+                expect(metrics.refreshCount).toBe(1);
+                expect(metrics.loadedFromSnapshot).toBe(false);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('refreshes periodically once started', function (done) {
+        jasmine.clock().install();
+        index = new ClaSignerIndex({
+            load: load,
+            refreshInterval: 1000
+        });
+        index.start()
+            .then(function () {
+                expect(load.calls.count()).toBe(1);
+                jasmine.clock().tick(1000);
+                expect(load.calls.count()).toBe(2);
+                index.stop();
+                jasmine.clock().tick(1000);
+                expect(load.calls.count()).toBe(2);
+                jasmine.clock().uninstall();
+                done();
+            })
+            .catch(function (error) {
+                jasmine.clock().uninstall();
+                done.fail(error);
+            });
+    });
+});
@@ -0,0 +1,237 @@
+'use strict';
+
+var fsExtra = require('fs-extra');
+var os = require('os');
+var path = require('path');
+var Promise = require('bluebird');
+
+var DeliveryQueue = require('../../lib/DeliveryQueue');
+
+describe('DeliveryQueue', function () {
+    var directory;
+    var processDelivery;
+    var queue;
+
+    var delivery = {
+        id: '72d3162e-cc78-11e3-81ab-4c9367dc0958',
+        event: 'pull_request',
+        body: {
+            action: 'opened'
+        }
+    };
+
+    beforeEach(function () {
+        directory = path.join(os.tmpdir(), 'concierge-deliveries-' + Date.now());
+        processDelivery = jasmine.createSpy('processDelivery').and.returnValue(Promise.resolve());
+        queue = new DeliveryQueue({
+            directory: directory,
+            process: processDelivery,
+            maxAttempts: 2,
+            retryDelay: 1000
+        });
+        spyOn(console, 'log');
+    });
+
+    afterEach(function () {
+        queue.stop();
+        fsExtra.removeSync(directory);
+    });
+
+    function pendingFiles() {
+        return fsExtra.readdirSync(path.join(directory, 'pending'));
+    }
+
+    it('throws without a directory or process function', function () {
+        expect(function () {
+            return new DeliveryQueue({process: processDelivery});
+        }).toThrowError();
+        expect(function () {
+            return new DeliveryQueue({directory: directory});
+        }).toThrowError();
+    });
+
+    it('persists pushed deliveries', function () {
+        expect(queue.push(delivery)).toBe(true);
+        expect(queue.contains(delivery.id)).toBe(true);
+        expect(pendingFiles()).toEqual([delivery.id + '.json']);
+    });
+
+    it('ignores a delivery that is already queued', function () {
+        queue.push(delivery);
+        expect(queue.push(delivery)).toBe(false);
+        expect(queue.pending.length).toBe(1);
+    });
+
+    it('does not use the delivery ID as a path', function () {
+        queue.push({
+            id: '../../escape',
+            event: 'push',
+            body: {}
+        });
+        expect(pendingFiles()).toEqual(['______escape.json']);
+    });
+
+    it('removes a delivery once it has been processed', function (done) {
+        queue.push(delivery);
+        queue.processNext()
+            .then(function (attempted) {
+                expect(attempted).toBe(true);
+                expect(processDelivery).toHaveBeenCalledWith(jasmine.objectContaining(delivery));
+                expect(queue.pending).toEqual([]);
+                expect(pendingFiles()).toEqual([]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('remembers processed deliveries across restarts', function (done) {
+        queue.push(delivery);
+        queue.processNext()
+            .then(function () {
+                expect(queue.contains(delivery.id)).toBe(true);
+                expect(queue.push(delivery)).toBe(false);
+
+                var restartedQueue = new DeliveryQueue({
+                    directory: directory,
+                    process: processDelivery
+                });
+                restartedQueue.start();
+                restartedQueue.stop();
+                expect(restartedQueue.push(delivery)).toBe(false);
+                expect(processDelivery).toHaveBeenCalledTimes(1);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('forgets the oldest processed deliveries', function (done) {
+        queue.maxProcessed = 1;
+        queue.push(delivery);
+        queue.processNext()
+            .then(function () {
+                queue.push({
+                    id: 'another',
+                    event: 'push',
+                    body: {}
+                });
+                return queue.processNext();
+            })
+            .then(function () {
+                expect(queue.contains('another')).toBe(true);
+                expect(queue.contains(delivery.id)).toBe(false);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('schedules a retry with backoff when processing fails', function (done) {
+        processDelivery.and.returnValue(Promise.reject(new Error('GitHub is down')));
+        spyOn(console, 'error');
+        spyOn(Date, 'now').and.returnValue(10000);
+
+        queue.push(delivery);
+        queue.processNext()
+            .then(function () {
+                var entry = queue.pending[0];
+                expect(entry.attempts).toBe(1);
+                expect(entry.lastError).toBe('Error: GitHub is down');
+                expect(entry.nextAttemptAt).toBe(11000);
+                // Not due yet
+                return queue.processNext();
+            })
+            .then(function (attempted) {
+                expect(attempted).toBe(false);
+                expect(processDelivery).toHaveBeenCalledTimes(1);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('keeps the delivery pending when it cannot be written after a failure', function (done) {
+        processDelivery.and.returnValue(Promise.reject(new Error('GitHub is down')));
+        spyOn(console, 'error');
+
+        spyOn(Date, 'now').and.returnValue(10000);
+        queue.push(delivery);
+        spyOn(fsExtra, 'outputJsonSync').and.throwError('ENOSPC: no space left on device');
+        queue.processNext()
+            .then(function (attempted) {
+                expect(attempted).toBe(true);
+                expect(queue.pending.length).toBe(1);
+                expect(queue.pending[0].nextAttemptAt).toBe(11000);
+                expect(console.log).toHaveBeenCalledWith(jasmine.stringMatching('Could not update delivery ' + delivery.id + ' in the queue: Error: ENOSPC'));
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('keeps draining the queue when a delivery cannot be written', function (done) {
+        var otherDelivery = {
+            id: 'a2d3162e-cc78-11e3-81ab-4c9367dc0958',
+            event: 'pull_request',
+            body: {
+                action: 'closed'
+            }
+        };
+        processDelivery.and.callFake(function (entry) {
+            if (entry.id === delivery.id) {
+                return Promise.reject(new Error('GitHub is down'));
+            }
+            return Promise.resolve();
+        });
+        spyOn(console, 'error');
+        queue.maxAttempts = 1;
+
+        queue.push(delivery);
+        queue.push(otherDelivery);
+        spyOn(fsExtra, 'outputJsonSync').and.throwError('EACCES: permission denied');
+        queue.start();
+
+        var interval = setInterval(function () {
+            if (processDelivery.calls.count() >= 2) {
+                clearInterval(interval);
+                expect(processDelivery.calls.argsFor(1)[0].id).toBe(otherDelivery.id);
+                expect(console.log).toHaveBeenCalledWith(jasmine.stringMatching('Could not update delivery ' + delivery.id));
+                done();
+            }
+        }, 10);
+    });
+
+    it('moves a delivery to the dead-letter list after the last attempt', function (done) {
+        processDelivery.and.returnValue(Promise.reject(new Error('GitHub is down')));
+        spyOn(console, 'error');
+
+        queue.push(delivery);
+        queue.pending[0].nextAttemptAt = 0;
+        queue.processNext()
+            .then(function () {
+                queue.pending[0].nextAttemptAt = 0;
+                return queue.processNext();
+            })
+            .then(function () {
+                expect(queue.pending).toEqual([]);
+                expect(queue.deadLetters.length).toBe(1);
+                expect(queue.deadLetters[0].attempts).toBe(2);
+                expect(queue.contains(delivery.id)).toBe(true);
+                expect(pendingFiles()).toEqual([]);
+                expect(fsExtra.readdirSync(path.join(directory, 'dead'))).toEqual([delivery.id + '.json']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('reloads persisted deliveries when started', function () {
+        queue.push(delivery);
+
+        var restartedQueue = new DeliveryQueue({
+            directory: directory,
+            process: processDelivery
+        });
+        spyOn(restartedQueue, '_schedule');
+        restartedQueue.start();
+
+        expect(restartedQueue.contains(delivery.id)).toBe(true);
+        expect(restartedQueue.pending[0].body).toEqual(delivery.body);
+        expect(restartedQueue._schedule).toHaveBeenCalled();
+    });
+});
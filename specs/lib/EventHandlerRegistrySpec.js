@@ -0,0 +1,69 @@
+'use strict';
+
+var EventHandlerRegistry = require('../../lib/EventHandlerRegistry');
+var RepositorySettings = require('../../lib/RepositorySettings');
+
+describe('EventHandlerRegistry', function () {
+    var registry;
+    var repositorySettings;
+    var openedHandler;
+    var pushHandler;
+
+    beforeEach(function () {
+        registry = new EventHandlerRegistry();
+        repositorySettings = new RepositorySettings();
+
+        openedHandler = function () {};
+        openedHandler.events = ['issues.opened', 'pull_request.opened'];
+        pushHandler = function () {};
+        pushHandler.events = ['push'];
+    });
+
+    it('throws if the handler does not declare its events', function () {
+        expect(function () {
+            registry.register('handler', function () {});
+        }).toThrowError();
+    });
+
+    it('throws if a handler with the same name is already registered', function () {
+        registry.register('handler', openedHandler);
+        expect(function () {
+            registry.register('handler', pushHandler);
+        }).toThrowError();
+    });
+
+    it('gets handlers by name', function () {
+        registry.register('openedHandler', openedHandler);
+        expect(registry.getHandler('openedHandler')).toBe(openedHandler);
+        expect(registry.getHandler('pushHandler')).toBeUndefined();
+    });
+
+    it('gets the names of the handlers for an event and action', function () {
+        registry.register('openedHandler', openedHandler);
+        registry.register('pushHandler', pushHandler);
+
+        expect(registry.getHandlerNames('issues', 'opened', repositorySettings)).toEqual(['openedHandler']);
+        expect(registry.getHandlerNames('pull_request', 'opened', repositorySettings)).toEqual(['openedHandler']);
+        expect(registry.getHandlerNames('pull_request', 'closed', repositorySettings)).toEqual([]);
+        expect(registry.getHandlerNames('push', undefined, repositorySettings)).toEqual(['pushHandler']);
+    });
+
+    it('skips handlers disabled for the repository', function () {
+        registry.register('openedHandler', openedHandler);
+        registry.register('pushHandler', pushHandler, {
+            enabledByDefault: false
+        });
+
+        repositorySettings.handlers = {
+            openedHandler: false
+        };
+        expect(registry.getHandlerNames('issues', 'opened', repositorySettings)).toEqual([]);
+        expect(registry.getHandlerNames('push', undefined, repositorySettings)).toEqual([]);
+
+        repositorySettings.handlers = {
+            pushHandler: true
+        };
+        expect(registry.getHandlerNames('issues', 'opened', repositorySettings)).toEqual(['openedHandler']);
+        expect(registry.getHandlerNames('push', undefined, repositorySettings)).toEqual(['pushHandler']);
+    });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+var fsExtra = require('fs-extra');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var applyLabelRules = require('../../lib/applyLabelRules');
+var RepositorySettings = require('../../lib/RepositorySettings');
+
+describe('applyLabelRules', function () {
+    var issueUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/issues/1';
+    var labelRules = [{
+        label: 'type - bug',
+        title: '\\b(bug|crash)',
+        body: 'Steps to reproduce',
+        caseSensitive: false
+    }, {
+        label: 'category - shaders',
+        files: ['Source/Shaders/**']
+    }, {
+        label: 'category - shaders',
+        title: 'shader'
+    }, {
+        label: 'type - docs',
+        files: ['Documentation/**', '*.md']
+    }];
+
+    it('throws if body or repositorySettings is undefined', function () {
+        expect(function () {
+            applyLabelRules(undefined, new RepositorySettings());
+        }).toThrowError();
+        expect(function () {
+            applyLabelRules({}, undefined);
+        }).toThrowError();
+    });
+
+    it('passes the issue to the implementation after fetching the settings', function (done) {
+        var issueJson = fsExtra.readJsonSync('./specs/data/events/issue.json');
+        var repositorySettings = new RepositorySettings();
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
+        spyOn(applyLabelRules, '_implementation').and.returnValue(Promise.resolve());
+
+        applyLabelRules(issueJson, repositorySettings)
+            .then(function () {
+                expect(repositorySettings.fetchSettings).toHaveBeenCalled();
+                expect(applyLabelRules._implementation).toHaveBeenCalledWith({
+                    issueUrl: issueJson.issue.url,
+                    title: issueJson.issue.title,
+                    body: issueJson.issue.body,
+                    labels: ['bug']
+                }, repositorySettings);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('ignores invalid rules', function () {
+        spyOn(console, 'log');
+        var rules = applyLabelRules.getRules(new RepositorySettings({
+            labelRules: [{
+                files: ['Source/**']
+            }, {
+                label: 'nothing to match'
+            }, {
+                label: 'bad pattern',
+                title: '('
+            }, {
+                label: 'good',
+                body: 'good'
+            }]
+        }));
+        expect(rules.length).toBe(1);
+        expect(rules[0].label).toBe('good');
+        expect(console.log.calls.count()).toBe(3);
+        expect(applyLabelRules.getRules(new RepositorySettings())).toEqual([]);
+    });
+
+    it('matches rules by title, body or changed files', function () {
+        var rules = applyLabelRules.getRules(new RepositorySettings({
+            labelRules: labelRules
+        }));
+        expect(applyLabelRules.getMatchingLabels(rules, {
+            title: 'Crash when zooming in',
+            body: 'It crashes.'
+        })).toEqual(['type - bug']);
+        expect(applyLabelRules.getMatchingLabels(rules, {
+            title: 'Debugging the globe',
+            body: 'STEPS TO REPRODUCE: zoom in.'
+        })).toEqual(['type - bug']);
+        expect(applyLabelRules.getMatchingLabels(rules, {
+            title: 'Faster globe',
+            files: ['Source/Shaders/GlobeFS.glsl', 'README.md']
+        })).toEqual(['category - shaders', 'type - docs']);
+        expect(applyLabelRules.getMatchingLabels(rules, {
+            title: 'Faster shader'
+        })).toEqual(['category - shaders']);
+        // Globs are case sensitive by default
+        expect(applyLabelRules.getMatchingLabels(rules, {
+            files: ['source/shaders/GlobeFS.glsl']
+        })).toEqual([]);
+    });
+
+    it('adds matching labels and removes the labels of rules which no longer match', function (done) {
+        var repositorySettings = new RepositorySettings({
+            labelRules: labelRules
+        });
+        spyOn(requestPromise, 'post').and.returnValue(Promise.resolve());
+        spyOn(requestPromise, 'delete').and.returnValue(Promise.resolve());
+
+        applyLabelRules._implementation({
+            issueUrl: issueUrl,
+            title: 'Crash in the globe shader',
+            labels: ['Type - Bug', 'Type - Docs', 'priority - high'],
+            files: ['Source/Scene/Globe.js']
+        }, repositorySettings)
+            .then(function (result) {
+                expect(result).toEqual({
+                    added: ['category - shaders'],
+                    removed: ['Type - Docs']
+                });
+                expect(requestPromise.post).toHaveBeenCalledWith({
+                    url: issueUrl + '/labels',
+                    headers: repositorySettings.headers,
+                    body: {
+                        labels: ['category - shaders']
+                    },
+                    json: true
+                });
+                expect(requestPromise.delete).toHaveBeenCalledWith({
+                    url: issueUrl + '/labels/Type%20-%20Docs',
+                    headers: repositorySettings.headers,
+                    json: true
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('does nothing without label rules or changes', function (done) {
+        spyOn(requestPromise, 'post');
+        spyOn(requestPromise, 'delete');
+
+        applyLabelRules._implementation({
+            issueUrl: issueUrl,
+            title: 'Crash',
+            labels: []
+        }, new RepositorySettings())
+            .then(function (result) {
+                expect(result).toEqual({
+                    added: [],
+                    removed: []
+                });
+                return applyLabelRules._implementation({
+                    issueUrl: issueUrl,
+                    title: 'Crash',
+                    labels: ['type - bug']
+                }, new RepositorySettings({
+                    labelRules: labelRules
+                }));
+            })
+            .then(function (result) {
+                expect(result).toEqual({
+                    added: [],
+                    removed: []
+                });
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                expect(requestPromise.delete).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+});
@@ -0,0 +1,187 @@
+'use strict';
+
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var checkChanges = require('../../lib/checkChanges');
+var RepositorySettings = require('../../lib/RepositorySettings');
+
+describe('checkChanges', function () {
+    var content = [
+        'Change Log',               // 1
+        '==========',               // 2
+        '',                         // 3
+        '### 1.51 - 2018-11-01',    // 4
+        '',                         // 5
+        '##### Additions :tada:',   // 6
+        '* Added `Globe.show`. [#7001](https://github.com/AnalyticalGraphicsInc/cesium/pull/7001)', // 7
+        '* Fixed the globe. #7001', // 8
+        '',                         // 9
+        '##### Fixes :wrench:',     // 10
+        '* Fixed the sky. #1234',   // 11
+        '    * Also the stars.',    // 12
+        '* Fixed the moon.',        // 13
+        '',                         // 14
+        '### 1.50 - 2018-10-01',    // 15
+        '',                         // 16
+        '##### Fixes :wrench:',     // 17
+        '* Fixed the sun. #7001'    // 18
+    ].join('\n');
+
+    var patch = [
+        '@@ -4,6 +4,8 @@',
+        ' ### 1.51 - 2018-11-01',
+        ' ',
+        ' ##### Additions :tada:',
+        '+* Added `Globe.show`. [#7001](https://github.com/AnalyticalGraphicsInc/cesium/pull/7001)',
+        '+* Fixed the globe. #7001',
+        ' ',
+        ' ##### Fixes :wrench:',
+        '-* Fixed the sky.',
+        '+* Fixed the sky. #1234',
+        '+    * Also the stars.',
+        '@@ -13,3 +17,4 @@',
+        ' ##### Fixes :wrench:',
+        '+* Fixed the sun. #7001',
+        '\\ No newline at end of file'
+    ].join('\n');
+
+    it('is off unless the repository turns it on', function () {
+        expect(checkChanges.getFormat(new RepositorySettings())).toBeUndefined();
+        expect(checkChanges.getFormat(new RepositorySettings({
+            changesFormat: true
+        }))).toEqual({
+            sections: checkChanges.defaultSections,
+            requireReference: true
+        });
+        expect(checkChanges.getFormat(new RepositorySettings({
+            changesFormat: {
+                sections: {
+                    Changed: 'Changed'
+                },
+                requireReference: false
+            }
+        }))).toEqual({
+            sections: {
+                Changed: 'Changed'
+            },
+            requireReference: false
+        });
+    });
+
+    it('gets the lines added by a patch', function () {
+        expect(checkChanges.getAddedLines(patch)).toEqual([
+            {line: 7, text: '* Added `Globe.show`. [#7001](https://github.com/AnalyticalGraphicsInc/cesium/pull/7001)'},
+            {line: 8, text: '* Fixed the globe. #7001'},
+            {line: 11, text: '* Fixed the sky. #1234'},
+            {line: 12, text: '    * Also the stars.'},
+            {line: 18, text: '* Fixed the sun. #7001'}
+        ]);
+    });
+
+    it('gets the references of a text', function () {
+        expect(checkChanges.getReferences('Fixes #1234, see #12 and https://github.com/AnalyticalGraphicsInc/cesium/issues/1234')).toEqual([1234, 12]);
+        expect(checkChanges.getReferences(undefined)).toEqual([]);
+    });
+
+    it('finds the problems of the new entries', function () {
+        var problems = checkChanges.getProblems(content, checkChanges.getAddedLines(patch), {
+            sections: checkChanges.defaultSections,
+            requireReference: true,
+            references: [7001]
+        });
+        expect(problems).toEqual([{
+            line: 8,
+            message: 'is under Additions but looks like it belongs under Fixes.'
+        }, {
+            line: 11,
+            message: 'doesn\'t link to #7001.'
+        }, {
+            line: 18,
+            message: 'is not under the latest version, 1.51 - 2018-11-01.'
+        }]);
+    });
+
+    it('finds entries outside of a section', function () {
+        var problems = checkChanges.getProblems('# Change Log\n* Fixed the globe.\n### 1.51\n* Added the sky.\n', [
+            {line: 2, text: '* Fixed the globe.'},
+            {line: 4, text: '* Added the sky.'}
+        ], {
+            sections: checkChanges.defaultSections,
+            requireReference: false,
+            references: []
+        });
+        expect(problems).toEqual([{
+            line: 2,
+            message: 'is not under the latest version, 1.51.'
+        }, {
+            line: 2,
+            message: 'is not under one of the sections Breaking Changes, Deprecated, Additions, Fixes.'
+        }, {
+            line: 4,
+            message: 'is not under one of the sections Breaking Changes, Deprecated, Additions, Fixes.'
+        }]);
+    });
+
+    it('reads CHANGES.md from the head branch', function (done) {
+        var repositorySettings = new RepositorySettings({
+            changesFormat: true
+        });
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === 'https://api.github.com/repos/boomerJones/cesium/contents/CHANGES.md?ref=feature') {
+                return Promise.resolve({
+                    content: Buffer.from(content).toString('base64')
+                });
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+
+        checkChanges({
+            changesFile: {
+                filename: 'CHANGES.md',
+                patch: patch
+            },
+            headApiUrl: 'https://api.github.com/repos/boomerJones/cesium',
+            headBranch: 'feature',
+            number: 7001,
+            body: 'Fixes #1234'
+        }, repositorySettings)
+            .then(function (problems) {
+                expect(problems).toEqual([{
+                    line: 8,
+                    message: 'is under Additions but looks like it belongs under Fixes.'
+                }, {
+                    line: 18,
+                    message: 'is not under the latest version, 1.51 - 2018-11-01.'
+                }]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('does not check without a format or a patch', function (done) {
+        spyOn(requestPromise, 'get');
+        checkChanges({
+            changesFile: {
+                filename: 'CHANGES.md',
+                patch: patch
+            }
+        }, new RepositorySettings())
+            .then(function (problems) {
+                expect(problems).toEqual([]);
+                return checkChanges({
+                    changesFile: {
+                        filename: 'CHANGES.md'
+                    }
+                }, new RepositorySettings({
+                    changesFormat: true
+                }));
+            })
+            .then(function (problems) {
+                expect(problems).toEqual([]);
+                expect(requestPromise.get).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var checkThirdPartyLicenses = require('../../lib/checkThirdPartyLicenses');
+var RepositorySettings = require('../../lib/RepositorySettings');
+
+describe('checkThirdPartyLicenses', function () {
+    var headApiUrl = 'https://api.github.com/repos/boomerJones/cesium';
+    var licenseUrl = headApiUrl + '/contents/LICENSE.md?ref=feature';
+    var headPackageUrl = headApiUrl + '/contents/package.json?ref=feature';
+    var basePackageUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/contents/package.json?ref=master';
+
+    var license = [
+        '# Third-Party Code',
+        '',
+        '### [Knockout](http://knockoutjs.com/)',
+        '',
+        '> The MIT License',
+        '',
+        '### Draco 3D Data Compression',
+        '',
+        '### gltf-pipeline'
+    ].join('\n');
+
+    function createResponse(content) {
+        return Promise.resolve({
+            content: Buffer.from(content).toString('base64')
+        });
+    }
+
+    it('gets the libraries changed in the third party folders', function () {
+        var libraries = checkThirdPartyLicenses.getLibraries([
+            {filename: 'Source/Scene/Globe.js', status: 'modified'},
+            {filename: 'ThirdParty/draco/draco_decoder.js', status: 'added'},
+            {filename: 'ThirdParty/draco/draco_decoder.wasm', status: 'modified'},
+            {filename: 'Source/ThirdParty/knockout-3.5.0.min.js', status: 'added'},
+            {filename: 'Source/ThirdParty/when.js', status: 'removed'}
+        ], ['ThirdParty', '/Source/ThirdParty/']);
+        expect(libraries).toEqual([{
+            name: 'draco',
+            path: 'ThirdParty/draco',
+            status: 'modified'
+        }, {
+            name: 'knockout',
+            path: 'Source/ThirdParty/knockout-3.5.0.min.js',
+            status: 'added'
+        }]);
+    });
+
+    it('matches libraries with the sections of the license', function () {
+        var sections = checkThirdPartyLicenses.getLicenseSections(license);
+        expect(sections).toEqual(['Third-Party Code', 'Knockout', 'Draco 3D Data Compression', 'gltf-pipeline']);
+        expect(checkThirdPartyLicenses.hasLicense(sections, 'knockout')).toBe(true);
+        expect(checkThirdPartyLicenses.hasLicense(sections, 'draco')).toBe(true);
+        expect(checkThirdPartyLicenses.hasLicense(sections, 'gltf-pipeline')).toBe(true);
+        expect(checkThirdPartyLicenses.hasLicense(sections, '@cesium/gltf-pipeline')).toBe(true);
+        expect(checkThirdPartyLicenses.hasLicense(sections, 'jsep')).toBe(false);
+        expect(checkThirdPartyLicenses.hasLicense(sections, 'data-compression')).toBe(false);
+    });
+
+    it('lists the libraries without a section in the license of the head branch', function (done) {
+        var repositorySettings = new RepositorySettings({
+            name: 'AnalyticalGraphicsInc/cesium',
+            thirdPartyFolders: ['ThirdParty/']
+        });
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === licenseUrl) {
+                return createResponse(license);
+            }
+            if (options.url === headPackageUrl) {
+                return createResponse(JSON.stringify({
+                    dependencies: {
+                        'gltf-pipeline': '^2.0.0',
+                        jsep: '^0.3.0',
+                        requirejs: '^2.3.0'
+                    },
+                    devDependencies: {
+                        jasmine: '^3.0.0'
+                    }
+                }));
+            }
+            if (options.url === basePackageUrl) {
+                return createResponse(JSON.stringify({
+                    dependencies: {
+                        requirejs: '^2.3.0'
+                    }
+                }));
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+
+        checkThirdPartyLicenses({
+            changedFiles: [
+                {filename: 'ThirdParty/draco/draco_decoder.js', status: 'modified'},
+                {filename: 'ThirdParty/pako.js', status: 'added'},
+                {filename: 'package.json', status: 'modified'}
+            ],
+            headApiUrl: headApiUrl,
+            headBranch: 'feature',
+            baseBranch: 'master'
+        }, repositorySettings)
+            .then(function (result) {
+                expect(result.libraries).toEqual([
+                    {name: 'draco', path: 'ThirdParty/draco', status: 'modified', hasLicense: true},
+                    {name: 'pako', path: 'ThirdParty/pako.js', status: 'added', hasLicense: false},
+                    {name: 'gltf-pipeline', path: 'package.json', status: 'added', hasLicense: true},
+                    {name: 'jsep', path: 'package.json', status: 'added', hasLicense: false}
+                ]);
+                expect(result.missingLicenses).toEqual(['pako', 'jsep']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('does not read the license without third party changes', function (done) {
+        spyOn(requestPromise, 'get');
+        checkThirdPartyLicenses({
+            changedFiles: [
+                {filename: 'Source/Scene/Globe.js', status: 'modified'}
+            ],
+            headApiUrl: headApiUrl,
+            headBranch: 'feature',
+            baseBranch: 'master'
+        }, new RepositorySettings({
+            thirdPartyFolders: ['ThirdParty/']
+        }))
+            .then(function (result) {
+                expect(result).toEqual({
+                    libraries: [],
+                    missingLicenses: []
+                });
+                expect(requestPromise.get).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+});
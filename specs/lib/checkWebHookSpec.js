@@ -11,15 +11,19 @@ function signData(secret, data) {
     return 'sha1=' + crypto.createHmac('sha1', secret).update(data).digest('hex');
 }
 
+function getSetting(key) {
+    return key === 'secret' ? 'secret' : undefined;
+}
+
 describe('Invalid request meta', function () {
     /**
      * Create mock express app
      */
     var app;
     beforeEach(function () {
-        spyOn(nconf, 'get').and.returnValue('secret');
+        spyOn(nconf, 'get').and.callFake(getSetting);
         app = express();
-        app.use(bodyParser.json());
+        app.use(bodyParser.json({verify: checkWebHook.saveRawBody}));
         app.use(checkWebHook);
         app.use(function (err, req, res, next) { // eslint-disable-line no-unused-vars
             res.send({error: err.message});
@@ -78,9 +82,9 @@ describe('Invalid signature', function () {
      */
     var app;
     beforeEach(function () {
-        spyOn(nconf, 'get').and.returnValue('secret');
+        spyOn(nconf, 'get').and.callFake(getSetting);
         app = express();
-        app.use(bodyParser.json());
+        app.use(bodyParser.json({verify: checkWebHook.saveRawBody}));
         app.use(checkWebHook);
         app.use(function (err, req, res, next) { // eslint-disable-line no-unused-vars
             res.send({error: err.message});
@@ -95,7 +99,7 @@ describe('Invalid signature', function () {
             .set('Content-Type', 'application/json')
             .set('X-GitHub-Delivery', 'id')
             .set('X-GitHub-Event', 'event')
-            .set('X-Hub-Signature', invalidSignature)
+            .set('X-Hub-Signature-256', invalidSignature)
             .expect('Content-Type', /json/)
             .end(function (err, res) {
                 if (err) {
@@ -113,7 +117,7 @@ describe('No body-parser is used', function () {
      */
     var app;
     beforeEach(function () {
-        spyOn(nconf, 'get').and.returnValue('secret');
+        spyOn(nconf, 'get').and.callFake(getSetting);
         app = express();
         app.use(checkWebHook);
         app.use(function (err, req, res, next) { // eslint-disable-line no-unused-vars
@@ -129,7 +133,7 @@ describe('No body-parser is used', function () {
             .set('Content-Type', 'application/json')
             .set('X-GitHub-Delivery', 'id')
             .set('X-GitHub-Event', 'event')
-            .set('X-Hub-Signature', invalidSignature)
+            .set('X-Hub-Signature-256', invalidSignature)
             .expect('Content-Type', /json/)
             .end(function (err, res) {
                 if (err) {
@@ -147,9 +151,9 @@ describe('Accept a valid request with json data', function () {
      */
     var app;
     beforeEach(function () {
-        spyOn(nconf, 'get').and.returnValue('secret');
+        spyOn(nconf, 'get').and.callFake(getSetting);
         app = express();
-        app.use(bodyParser.json());
+        app.use(bodyParser.json({verify: checkWebHook.saveRawBody}));
         app.use(checkWebHook);
         app.use(function (err, req, res, next) { // eslint-disable-line no-unused-vars
             expect(true).toBe(false);
@@ -175,7 +179,7 @@ describe('Accept a valid request with json data', function () {
             .set('Content-Type', 'application/json')
             .set('X-GitHub-Delivery', 'id')
             .set('X-GitHub-Event', 'push')
-            .set('X-Hub-Signature', signData('secret', json))
+            .set('X-Hub-Signature-256', checkWebHook.signData('secret', json))
             .expect('Content-Type', /text/)
             .end(function (err, res) { // eslint-disable-line no-unused-vars
                 if (err) {
@@ -185,3 +189,154 @@ describe('Accept a valid request with json data', function () {
             });
     });
 });
+
+describe('Accept a valid request signed with SHA-256', function () {
+    /**
+     * Create mock express app
+     */
+    var app;
+    var secret;
+    var allowSha1Signatures;
+    beforeEach(function () {
+        secret = 'secret';
+        allowSha1Signatures = undefined;
+        spyOn(nconf, 'get').and.callFake(function (key) {
+            return key === 'allowSha1Signatures' ? allowSha1Signatures : secret;
+        });
+        app = express();
+        app.use(bodyParser.json({verify: checkWebHook.saveRawBody}));
+        app.use(checkWebHook);
+        app.use(function (req, res) { // eslint-disable-line no-unused-vars
+            res.send({error: null});
+        });
+        app.use(function (err, req, res, next) { // eslint-disable-line no-unused-vars
+            res.send({error: err.message});
+        });
+    });
+
+    // Whitespace which is lost when the parsed body is serialized again
+    var json = '{ "ref": "ref",\n  "repository": { "full_name": "my/repo" } }';
+
+    function sendSigned(signature, header) {
+        return request(app)
+            .post('/github/hook')
+            .send(json)
+            .set('Content-Type', 'application/json')
+            .set('X-GitHub-Delivery', 'id')
+            .set('X-GitHub-Event', 'push')
+            .set(header || 'X-Hub-Signature-256', signature);
+    }
+
+    it('rejects a request signed only with SHA-1', function (done) {
+        sendSigned(signData('secret', json), 'X-Hub-Signature')
+            .end(function (err, res) {
+                if (err) {
+                    done.fail(err);
+                }
+                expect(res.body).toEqual({error: 'No signature found in the request'});
+                done();
+            });
+    });
+
+    it('accepts a request signed only with SHA-1 when allowed', function (done) {
+        allowSha1Signatures = 'true';
+        sendSigned(signData('secret', json), 'X-Hub-Signature')
+            .end(function (err, res) {
+                if (err) {
+                    done.fail(err);
+                }
+                expect(res.body).toEqual({error: null});
+                done();
+            });
+    });
+
+    it('rejects a SHA-1 signature in the SHA-256 header', function (done) {
+        sendSigned(signData('secret', json))
+            .end(function (err, res) {
+                if (err) {
+                    done.fail(err);
+                }
+                expect(res.body).toEqual({error: 'Failed to verify signature'});
+                done();
+            });
+    });
+
+    it('verifies the signature against the raw body', function (done) {
+        sendSigned(checkWebHook.signData('secret', json))
+            .end(function (err, res) {
+                if (err) {
+                    done.fail(err);
+                }
+                expect(res.body).toEqual({error: null});
+                done();
+            });
+    });
+
+    it('rejects a signature of the re-serialized body', function (done) {
+        sendSigned(checkWebHook.signData('secret', JSON.stringify(JSON.parse(json))))
+            .end(function (err, res) {
+                if (err) {
+                    done.fail(err);
+                }
+                expect(res.body).toEqual({error: 'Failed to verify signature'});
+                done();
+            });
+    });
+
+    it('accepts any of the configured secrets', function (done) {
+        secret = 'old-secret, new-secret';
+        sendSigned(checkWebHook.signData('new-secret', json))
+            .end(function (err, res) {
+                if (err) {
+                    done.fail(err);
+                }
+                expect(res.body).toEqual({error: null});
+                done();
+            });
+    });
+
+    it('requires the raw body', function (done) {
+        app = express();
+        app.use(bodyParser.json());
+        app.use(checkWebHook);
+        app.use(function (err, req, res, next) { // eslint-disable-line no-unused-vars
+            res.send({error: err.message});
+        });
+
+        sendSigned(checkWebHook.signData('secret', json))
+            .end(function (err, res) {
+                if (err) {
+                    done.fail(err);
+                }
+                expect(res.body).toEqual({error: 'Expected req.rawBody to be defined'});
+                done();
+            });
+    });
+});
+
+describe('checkWebHook.verifySignature', function () {
+    var data = '{"foo":"bar"}';
+
+    it('verifies SHA-256 and SHA-1 signatures', function () {
+        expect(checkWebHook.verifySignature('secret', data, checkWebHook.signData('secret', data))).toBe(true);
+        expect(checkWebHook.verifySignature('secret', data, signData('secret', data))).toBe(true);
+    });
+
+    it('verifies against a list of secrets', function () {
+        var signature = checkWebHook.signData('second', data);
+        expect(checkWebHook.verifySignature(['first', 'second'], data, signature)).toBe(true);
+        expect(checkWebHook.verifySignature(['first', 'third'], data, signature)).toBe(false);
+    });
+
+    it('rejects malformed signatures', function () {
+        expect(checkWebHook.verifySignature('secret', data, undefined)).toBe(false);
+        expect(checkWebHook.verifySignature('secret', data, 'signature')).toBe(false);
+        expect(checkWebHook.verifySignature('secret', data, 'md5=abc')).toBe(false);
+        expect(checkWebHook.verifySignature('secret', data, 'sha256=abc')).toBe(false);
+    });
+
+    it('rejects signatures of another algorithm than the expected one', function () {
+        expect(checkWebHook.verifySignature('secret', data, checkWebHook.signData('secret', data), 'sha256')).toBe(true);
+        expect(checkWebHook.verifySignature('secret', data, signData('secret', data), 'sha256')).toBe(false);
+    });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+var Promise = require('bluebird');
+
+var claSigners = require('../../lib/claSigners');
+var RepositorySettings = require('../../lib/RepositorySettings');
+var Settings = require('../../lib/Settings');
+
+describe('claSigners', function () {
+    var providers;
+    var repositorySettings;
+
+    beforeEach(function () {
+        providers = claSigners.providers;
+        claSigners.providers = {
+            first: jasmine.createSpy('first').and.returnValue(Promise.resolve(['boomerJones'])),
+            second: jasmine.createSpy('second').and.returnValue(Promise.resolve(['OmarShehata']))
+        };
+        repositorySettings = new RepositorySettings({
+            name: 'AnalyticalGraphicsInc/cesium',
+            claSources: [{type: 'first'}, {type: 'second', option: true}]
+        });
+        spyOn(console, 'log');
+    });
+
+    afterEach(function () {
+        claSigners.stop();
+        claSigners.providers = providers;
+        delete Settings['googleSheetsApi'];
+    });
+
+    it('uses the global Google Sheets when a repository has no sources', function () {
+        var defaultSettings = new RepositorySettings();
+        expect(claSigners.getSources(defaultSettings)).toEqual([]);
+        expect(claSigners.isEnabled(defaultSettings)).toBe(false);
+
+        Settings.googleSheetsApi = {};
+        spyOnProperty(Settings, 'individualClaSheetID').and.returnValue('individual');
+        spyOnProperty(Settings, 'corporateClaSheetID').and.returnValue('corporate');
+        expect(claSigners.getSources(defaultSettings)).toEqual([{
+            type: 'googleSheets',
+            spreadsheetId: 'individual',
+            column: 'D'
+        }, {
+            type: 'googleSheets',
+            spreadsheetId: 'corporate',
+            column: 'H',
+            freeText: true
+        }]);
+        expect(claSigners.isEnabled(defaultSettings)).toBe(true);
+
+        expect(claSigners.isEnabled(new RepositorySettings({claSources: []}))).toBe(false);
+    });
+
+    it('finds signers in any of the sources of the repository', function (done) {
+        Promise.all([
+            claSigners.isCovered({userName: 'boomerJones'}, repositorySettings),
+            claSigners.isCovered({userName: 'omarshehata'}, repositorySettings),
+            claSigners.isCovered({userName: 'newContributor'}, repositorySettings)
+        ])
+            .then(function (results) {
+                expect(results).toEqual([true, true, false]);
+                expect(claSigners.providers.first).toHaveBeenCalledWith({type: 'first'}, repositorySettings);
+                expect(claSigners.providers.second).toHaveBeenCalledWith({type: 'second', option: true}, repositorySettings);
+                expect(claSigners.providers.first.calls.count()).toBe(1);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('finds emails in any of the sources of the repository', function (done) {
+        claSigners.providers.second.and.returnValue(Promise.resolve({
+            userNames: [],
+            emails: [],
+            domains: ['example.com']
+        }));
+        Promise.all([
+            claSigners.isCovered({email: 'employee@example.com'}, repositorySettings),
+            claSigners.isCovered({userName: 'boomerJones', email: 'boomer@example.org'}, repositorySettings),
+            claSigners.isCovered({email: 'boomer@example.org'}, repositorySettings)
+        ])
+            .then(function (results) {
+                expect(results).toEqual([true, true, false]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('only rejects if the user is not found and a source failed', function (done) {
+        var error = new Error('Source is down');
+        claSigners.providers.second.and.returnValue(Promise.reject(error));
+
+        claSigners.isCovered({userName: 'boomerJones'}, repositorySettings)
+            .then(function (signed) {
+                expect(signed).toBe(true);
+                return claSigners.isCovered({userName: 'newContributor'}, repositorySettings);
+            })
+            .then(done.fail)
+            .catch(function (rejectedError) {
+                expect(rejectedError.message).toContain('Source is down');
+                done();
+            });
+    });
+
+    it('shares a source between repositories, except for files', function (done) {
+        var otherSettings = new RepositorySettings({
+            name: 'AnalyticalGraphicsInc/cesium-concierge',
+            claSources: [{type: 'first'}]
+        });
+        claSigners.providers.file = jasmine.createSpy('file').and.returnValue(Promise.resolve([]));
+        repositorySettings.claSources = [{type: 'first'}, {type: 'file', path: 'cla.json'}];
+        otherSettings.claSources = [{type: 'first'}, {type: 'file', path: 'cla.json'}];
+
+        Promise.all([
+            claSigners.isCovered({userName: 'boomerJones'}, repositorySettings),
+            claSigners.isCovered({userName: 'boomerJones'}, otherSettings)
+        ])
+            .then(function () {
+                expect(claSigners.providers.first.calls.count()).toBe(1);
+                expect(claSigners.providers.file.calls.count()).toBe(2);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('refreshes every source of a repository', function (done) {
+        claSigners.isCovered({userName: 'boomerJones'}, repositorySettings)
+            .then(function () {
+                return claSigners.refresh(repositorySettings);
+            })
+            .then(function () {
+                expect(claSigners.providers.first.calls.count()).toBe(2);
+                expect(claSigners.providers.second.calls.count()).toBe(2);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('starts loading the sources of every repository', function () {
+        claSigners.start({
+            'AnalyticalGraphicsInc/cesium': repositorySettings,
+            'AnalyticalGraphicsInc/other': new RepositorySettings({
+                claSources: [{type: 'unknown'}]
+            })
+        });
+        expect(claSigners.providers.first).toHaveBeenCalled();
+        expect(claSigners.providers.second).toHaveBeenCalled();
+        expect(console.log).toHaveBeenCalledWith(jasmine.stringMatching(/Could not start the CLA source of AnalyticalGraphicsInc\/other/));
+    });
+
+    it('rejects for unknown source types', function (done) {
+        repositorySettings.claSources = [{type: 'unknown'}];
+        claSigners.isCovered({userName: 'boomerJones'}, repositorySettings)
+            .then(done.fail)
+            .catch(function (error) {
+                expect(error.message).toContain('Unknown CLA source type unknown');
+                done();
+            });
+    });
+
+    it('rejects reading Google Sheets if the API is not configured', function (done) {
+        providers.googleSheets({spreadsheetId: 'individual'})
+            .then(done.fail)
+            .catch(function (error) {
+                expect(error.message).toContain('The Google Sheets API is not configured');
+                done();
+            });
+    });
+});
@@ -4,6 +4,7 @@ var Promise = require('bluebird');
 var requestPromise = require('request-promise');
 
 var commentOnClosedIssue = require('../../lib/commentOnClosedIssue');
+var isFirstContribution = require('../../lib/isFirstContribution');
 var RepositorySettings = require('../../lib/RepositorySettings');
 
 describe('commentOnClosedIssue', function () {
@@ -17,6 +18,10 @@ describe('commentOnClosedIssue', function () {
     var commentsUrl = 'commentsUrl';
     var isMergedUrl = issueUrl + '/merge';
     var userName = 'Joan';
+    var earlierContributions = {
+        total_count: 1,
+        items: []
+    };
 
     beforeEach(function () {
         commonOptions = {
@@ -94,11 +99,12 @@ describe('commentOnClosedIssue', function () {
             commentsUrl: commentsUrl,
             isPullRequest: isPullRequest,
             userName: userName,
+            number: undefined,
             repositorySettings: repositorySettings
         });
     });
 
-    function runTestWithLinks(forumLinks) {
+    function runTestWithLinks(forumLinks, previousComments, nextPageComments) {
         var issueResponseJson = {
             html_url: 'html_url',
             body: 'This is my issue description. ' + forumLinks[0]
@@ -106,7 +112,7 @@ describe('commentOnClosedIssue', function () {
 
         var commentsJson = [{
             body: forumLinks[1]
-        }];
+        }].concat(previousComments || []);
 
         spyOn(repositorySettings, 'fetchSettings').and.callFake(function() {
            return Promise.resolve(repositorySettings);
@@ -119,8 +125,17 @@ describe('commentOnClosedIssue', function () {
             if (options.url === isMergedUrl) {
                 return Promise.resolve();
             }
+            if (options.url === isFirstContribution.searchUrl) {
+                return Promise.resolve(earlierContributions);
+            }
             if (options.url === commentsUrl) {
-                return Promise.resolve(commentsJson);
+                return Promise.resolve({
+                    headers: nextPageComments ? {link: '<' + commentsUrl + '?page=2>; rel="next"'} : {},
+                    body: commentsJson
+                });
+            }
+            if (options.url === commentsUrl + '?page=2') {
+                return Promise.resolve({headers: {}, body: nextPageComments});
             }
             return Promise.reject('Unknown url: ' + options.url);
         });
@@ -173,6 +188,51 @@ describe('commentOnClosedIssue', function () {
             .catch(done.fail);
     });
 
+    it('commentOnClosedIssue._implementation does not post again if it already commented.', function (done) {
+        var forumLinks = [
+            'https://groups.google.com/forum/?hl=en#!topic/cesium-dev/qw36Qo60i4s',
+            'https://groups.google.com/forum/?hl=en#!topic/cesium-dev/gn56Qo60i4s'
+        ];
+        var previousComment = {
+            body: repositorySettings.issueClosedTemplate({
+                html_url: 'html_url',
+                forum_links: forumLinks,
+                foundForumLinks: true
+            })
+        };
+        runTestWithLinks(forumLinks, [previousComment])
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnClosedIssue._implementation finds its earlier comment on any page.', function (done) {
+        var forumLinks = [
+            'https://groups.google.com/forum/?hl=en#!topic/cesium-dev/qw36Qo60i4s',
+            'https://groups.google.com/forum/?hl=en#!topic/cesium-dev/gn56Qo60i4s'
+        ];
+        var previousComment = {
+            body: repositorySettings.issueClosedTemplate({
+                html_url: 'html_url',
+                forum_links: forumLinks,
+                foundForumLinks: true
+            })
+        };
+        runTestWithLinks(forumLinks, [], [{
+            body: 'Reopening, this still happens.'
+        }, previousComment])
+            .then(function () {
+                expect(requestPromise.get).toHaveBeenCalledWith(jasmine.objectContaining({
+                    url: commentsUrl + '?page=2'
+                }));
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
     it('commentOnClosedIssue._implementation does not post when no forum links are found.', function (done) {
         var forumLinks = [
             '',
@@ -186,6 +246,62 @@ describe('commentOnClosedIssue', function () {
             .catch(done.fail);
     });
 
+    function runFirstContributionTest(mergedPullRequests) {
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === issueUrl) {
+                return Promise.resolve({
+                    html_url: 'html_url',
+                    body: 'Fixes the globe.'
+                });
+            }
+            if (options.url === isMergedUrl) {
+                return Promise.resolve();
+            }
+            if (options.url === isFirstContribution.searchUrl) {
+                return Promise.resolve({
+                    total_count: mergedPullRequests.length,
+                    items: mergedPullRequests
+                });
+            }
+            if (options.url === commentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            return Promise.reject('Unknown url: ' + options.url);
+        });
+        spyOn(requestPromise, 'post');
+
+        return commentOnClosedIssue._implementation({
+            url: issueUrl,
+            commentsUrl: commentsUrl,
+            repositorySettings: repositorySettings,
+            isPullRequest: true,
+            userName: userName,
+            number: 2
+        });
+    }
+
+    it('commentOnClosedIssue._implementation thanks first time contributors.', function (done) {
+        runFirstContributionTest([{number: 2}])
+            .then(function () {
+                var message = requestPromise.post.calls.argsFor(0)[0].body.body;
+                expect(message).toContain('Thanks for the awesome work @Joan!');
+                expect(message).toContain('CC @OmarShehata @Slchow.');
+                expect(message).not.toContain('forum links');
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnClosedIssue._implementation does not thank contributors who contributed before.', function (done) {
+        runFirstContributionTest([{number: 1}, {number: 2}])
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
     it('commentOnClosedIssue._implementation rejects if issueUrl cannot be retrieved.', function (done) {
         var commentsJson = [];
 
@@ -197,7 +313,7 @@ describe('commentOnClosedIssue', function () {
                 return Promise.reject('Bad request');
             }
             if (options.url === commentsUrl) {
-                return Promise.resolve(commentsJson);
+                return Promise.resolve({headers: {}, body: commentsJson});
             }
 
             return Promise.reject('Unknown url.');
@@ -235,6 +351,9 @@ describe('commentOnClosedIssue', function () {
             if (options.url === isMergedUrl) {
                 return Promise.resolve();
             }
+            if (options.url === isFirstContribution.searchUrl) {
+                return Promise.resolve(earlierContributions);
+            }
             if (options.url === commentsUrl) {
                 return Promise.reject('Bad request');
             }
@@ -265,7 +384,7 @@ describe('commentOnClosedIssue', function () {
             }
 
             if (options.url === commentsUrl) {
-                return Promise.resolve([]);
+                return Promise.resolve({headers: {}, body: []});
             }
 
             return Promise.reject('Unknown url: ' + options.url);
@@ -5,13 +5,19 @@ var fsExtra = require('fs-extra');
 var Promise = require('bluebird');
 var requestPromise = require('request-promise');
 
+var applyLabelRules = require('../../lib/applyLabelRules');
+var claSigners = require('../../lib/claSigners');
+var isFirstContribution = require('../../lib/isFirstContribution');
 var commentOnOpenedPullRequest = require('../../lib/commentOnOpenedPullRequest');
 var RepositorySettings = require('../../lib/RepositorySettings');
+var requestReviewers = require('../../lib/requestReviewers');
 var Settings = require('../../lib/Settings');
 
 describe('commentOnOpenedPullRequest', function () {
     var filesUrl = 'url/files';
     var commentsUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/issues/1/comments';
+    var statusesUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/statuses/abc123';
+    var commitsUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/pulls/1/commits';
     var userName = 'boomerJones';
     var repositoryName = 'AnalyticalGraphics/cesium';
     var repositoryUrl = 'https://github.com/AnalyticalGraphicsInc/cesium';
@@ -21,10 +27,22 @@ describe('commentOnOpenedPullRequest', function () {
     var headHtmlUrl = repositoryUrl;
     var headApiUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium';
 
+    var issueUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/issues/1';
+
     var pullRequestJson = {
+        action: 'opened',
         pull_request: {
             url: 'url',
+            issue_url: issueUrl,
+            number: 1,
+            title: 'Fix the globe',
+            body: 'Fixes #1',
+            labels: [{
+                name: 'bug'
+            }],
             comments_url: commentsUrl,
+            statuses_url: statusesUrl,
+            commits_url: commitsUrl,
             user: {
                 login: userName
             },
@@ -64,6 +82,9 @@ describe('commentOnOpenedPullRequest', function () {
     };
 
     beforeEach(function () {
+        spyOn(console, 'log');
+        commentOnOpenedPullRequest._firstContributions = {};
+        spyOn(commentOnOpenedPullRequest, '_isFirstContribution').and.returnValue(Promise.resolve(false));
         spyOnProperty(Settings, 'individualClaSheetID').and.returnValue('individual');
         spyOnProperty(Settings, 'corporateClaSheetID').and.returnValue('corporate');
 
@@ -81,160 +102,1330 @@ describe('commentOnOpenedPullRequest', function () {
                     }
                 }
             }
-        };
-    });
+        };
+    });
+
+    afterEach(function () {
+        delete Settings['googleSheetsApi'];
+        claSigners.stop();
+    });
+
+    it('throws if body is undefined', function () {
+        expect(function () {
+            commentOnOpenedPullRequest(undefined, {});
+        }).toThrowError();
+    });
+
+    it('throws if headers is undefined', function () {
+        expect(function () {
+            commentOnOpenedPullRequest(pullRequestJson, undefined);
+        }).toThrowError();
+    });
+
+    it('throws if json is not a pull request event', function () {
+        var issueJson = fsExtra.readJsonSync('./specs/data/events/issue.json');
+        expect(function () {
+            commentOnOpenedPullRequest(issueJson, {});
+        }).toThrowError();
+    });
+
+    it('passes expected parameters to implementation', function () {
+        spyOn(commentOnOpenedPullRequest, '_implementation');
+
+        var repositorySettings = new RepositorySettings();
+
+        commentOnOpenedPullRequest(pullRequestJson, repositorySettings);
+
+        expect(commentOnOpenedPullRequest._implementation).toHaveBeenCalledWith({
+            filesUrl: filesUrl,
+            commentsUrl: commentsUrl,
+            statusesUrl: statusesUrl,
+            commitsUrl: commitsUrl,
+            reviewersUrl: 'url/requested_reviewers',
+            issueUrl: issueUrl,
+            number: 1,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch,
+            headHtmlUrl: headHtmlUrl,
+            headApiUrl: headApiUrl,
+            title: 'Fix the globe',
+            body: 'Fixes #1',
+            labels: ['bug'],
+            updateExisting: false
+        }, repositorySettings);
+    });
+
+    it('updates the existing checklist when new commits are pushed', function () {
+        spyOn(commentOnOpenedPullRequest, '_implementation');
+
+        var repositorySettings = new RepositorySettings();
+        var synchronizeJson = Object.assign({}, pullRequestJson, {
+            action: 'synchronize'
+        });
+
+        commentOnOpenedPullRequest(synchronizeJson, repositorySettings);
+
+        expect(commentOnOpenedPullRequest.events).toContain('pull_request.synchronize');
+        expect(commentOnOpenedPullRequest._implementation).toHaveBeenCalledWith(jasmine.objectContaining({
+            updateExisting: true
+        }), repositorySettings);
+    });
+
+    it('updates the existing checklist when the pull request is edited', function () {
+        spyOn(commentOnOpenedPullRequest, '_implementation');
+
+        var repositorySettings = new RepositorySettings();
+        var editedJson = Object.assign({}, pullRequestJson, {
+            action: 'edited',
+            pull_request: Object.assign({}, pullRequestJson.pull_request, {
+                base: {
+                    ref: '1.50'
+                }
+            })
+        });
+
+        commentOnOpenedPullRequest(editedJson, repositorySettings);
+
+        expect(commentOnOpenedPullRequest.events).toContain('pull_request.edited');
+        expect(commentOnOpenedPullRequest._implementation).toHaveBeenCalledWith(jasmine.objectContaining({
+            baseBranch: '1.50',
+            updateExisting: true
+        }), repositorySettings);
+    });
+
+    it('commentOnOpenedPullRequest._implementation fetches latest repository settings.', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+
+        var repositorySettings = new RepositorySettings();
+
+        spyOn(repositorySettings, 'fetchSettings').and.callFake(function() {
+            return Promise.resolve(repositorySettings);
+        });
+
+        spyOn(requestPromise, 'post');
+
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'CHANGES.md'}
+                ]});
+            }
+            return Promise.reject('Unknown url.');
+        });
+
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl
+        }, repositorySettings)
+            .then(function () {
+                expect(repositorySettings.fetchSettings).toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnOpenedPullRequest._implementation posts CLA confirmation if CHANGES.md was updated and there are no modified ThirdParty folders or CLA', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+
+        var repositorySettings = new RepositorySettings();
+
+        spyOn(repositorySettings, 'fetchSettings').and.callFake(function() {
+            return Promise.resolve(repositorySettings);
+        });
+
+        spyOn(requestPromise, 'post');
+
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'CHANGES.md'}
+                ]});
+            }
+            return Promise.reject('Unknown url.');
+        });
+
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl
+        }, repositorySettings)
+            .then(function () {
+                expect(requestPromise.post).toHaveBeenCalledWith({
+                    url: pullRequestCommentsUrl,
+                    headers: repositorySettings.headers,
+                    body: {
+                        body: repositorySettings.pullRequestOpenedTemplate({
+                            userName: userName,
+                            repository_url: repositoryUrl,
+                            claEnabled: true,
+                            askForCla: false,
+                            askAboutChanges: false,
+                            askAboutThirdParty: false,
+                            thirdPartyFolders: thirdPartyFolders.join(', '),
+                            headBranch: headBranch
+                        })
+                    },
+                    json: true
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnOpenedPullRequest._implementation reads every page of the changed files', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var nextFilesUrl = 'pullRequestFilesUrl?page=2';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+
+        var repositorySettings = new RepositorySettings();
+
+        spyOn(repositorySettings, 'fetchSettings').and.callFake(function() {
+            return Promise.resolve(repositorySettings);
+        });
+
+        spyOn(requestPromise, 'post');
+
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                expect(options.qs).toEqual({per_page: 100});
+                return Promise.resolve({headers: {link: '<' + nextFilesUrl + '>; rel="next"'}, body: [
+                    {filename: 'Source/Core/Cartesian3.js'}
+                ]});
+            }
+            if (options.url === nextFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'CHANGES.md'}
+                ]});
+            }
+            return Promise.reject('Unknown url.');
+        });
+
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl
+        }, repositorySettings)
+            .then(function () {
+                expect(requestPromise.post).toHaveBeenCalledWith({
+                    url: pullRequestCommentsUrl,
+                    headers: repositorySettings.headers,
+                    body: {
+                        body: repositorySettings.pullRequestOpenedTemplate({
+                            userName: userName,
+                            repository_url: repositoryUrl,
+                            claEnabled: true,
+                            askForCla: false,
+                            askAboutChanges: false,
+                            askAboutThirdParty: false,
+                            thirdPartyFolders: thirdPartyFolders.join(', '),
+                            headBranch: headBranch
+                        })
+                    },
+                    json: true
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnOpenedPullRequest._implementation does not post again if the checklist was already posted', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+
+        var repositorySettings = new RepositorySettings();
+
+        spyOn(repositorySettings, 'fetchSettings').and.callFake(function() {
+            return Promise.resolve(repositorySettings);
+        });
+
+        spyOn(requestPromise, 'post');
+
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({
+                    headers: {},
+                    body: [{
+                        body: repositorySettings.pullRequestOpenedTemplate({
+                            userName: userName
+                        })
+                    }]
+                });
+            }
+            return Promise.reject('Unknown url.');
+        });
+        spyOn(commentOnOpenedPullRequest, '_askForCla');
+
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl
+        }, repositorySettings)
+            .then(function () {
+                expect(commentOnOpenedPullRequest._askForCla).not.toHaveBeenCalled();
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnOpenedPullRequest._implementation crosses off checklist items that were fixed', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+        var commentUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/issues/comments/1';
+        var contributorsUrl = headApiUrl + '/contents/CONTRIBUTORS.md?ref=' + headBranch;
+
+        var repositorySettings = new RepositorySettings({
+            contributorsPath: 'CONTRIBUTORS.md',
+            unitTestPath: 'Specs/'
+        });
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
+        spyOn(requestPromise, 'post');
+        spyOn(requestPromise, 'patch');
+
+        var oldChecklist = repositorySettings.pullRequestOpenedTemplate({
+            userName: userName,
+            repository_url: repositoryUrl,
+            askAboutChanges: true,
+            askAboutContributors: true,
+            askAboutTests: true,
+            headBranch: headBranch
+        });
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({
+                    headers: {},
+                    body: [{
+                        url: commentUrl,
+                        body: oldChecklist
+                    }]
+                });
+            }
+            if (options.url === contributorsUrl) {
+                return Promise.resolve({
+                    content: Buffer.from('* [Boomer Jones](https://github.com/' + userName + ')').toString('base64')
+                });
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'CHANGES.md'},
+                    {filename: 'CONTRIBUTORS.md'},
+                    {filename: 'Specs/NewSpec.js'}
+                ]});
+            }
+            return Promise.reject('Unknown url.');
+        });
+
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch,
+            headHtmlUrl: headHtmlUrl,
+            headApiUrl: headApiUrl,
+            updateExisting: true
+        }, repositorySettings)
+            .then(function () {
+                expect(oldChecklist).toContain('CONTRIBUTORS.md');
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                var message = requestPromise.patch.calls.argsFor(0)[0].body.body;
+                expect(requestPromise.patch.calls.argsFor(0)[0].url).toEqual(commentUrl);
+                expect(message).not.toContain('CHANGES.md');
+                expect(message).not.toContain('CONTRIBUTORS.md');
+                expect(message).not.toContain('Unit tests were not updated');
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnOpenedPullRequest._implementation updates the existing checklist with the new CLA status', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+        var commentUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/issues/comments/1';
+
+        var repositorySettings = new RepositorySettings();
+
+        spyOn(repositorySettings, 'fetchSettings').and.callFake(function() {
+            return Promise.resolve(repositorySettings);
+        });
+
+        spyOn(requestPromise, 'post');
+        spyOn(requestPromise, 'patch');
+
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({
+                    headers: {},
+                    body: [{
+                        url: commentUrl,
+                        body: repositorySettings.pullRequestOpenedTemplate({
+                            userName: userName,
+                            claEnabled: true,
+                            askForCla: true
+                        })
+                    }]
+                });
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'CHANGES.md'}
+                ]});
+            }
+            return Promise.reject('Unknown url.');
+        });
+
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            updateExisting: true
+        }, repositorySettings)
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                expect(requestPromise.patch).toHaveBeenCalledWith({
+                    url: commentUrl,
+                    headers: repositorySettings.headers,
+                    body: {
+                        body: repositorySettings.pullRequestOpenedTemplate({
+                            userName: userName,
+                            repository_url: repositoryUrl,
+                            claEnabled: true,
+                            askForCla: false,
+                            askAboutChanges: false,
+                            askAboutThirdParty: false,
+                            thirdPartyFolders: thirdPartyFolders.join(', ')
+                        })
+                    },
+                    json: true
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnOpenedPullRequest._implementation does not update the checklist if nothing changed', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+
+        var repositorySettings = new RepositorySettings();
+        var existingComment = {
+            url: 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/issues/comments/1',
+            body: repositorySettings.pullRequestOpenedTemplate({
+                userName: userName,
+                repository_url: repositoryUrl,
+                claEnabled: true,
+                askForCla: false,
+                askAboutChanges: false,
+                askAboutThirdParty: false,
+                thirdPartyFolders: thirdPartyFolders.join(', ')
+            })
+        };
+
+        spyOn(repositorySettings, 'fetchSettings').and.callFake(function() {
+            return Promise.resolve(repositorySettings);
+        });
+
+        spyOn(requestPromise, 'post');
+        spyOn(requestPromise, 'patch');
+
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({
+                    headers: {},
+                    body: [existingComment]
+                });
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'CHANGES.md'}
+                ]});
+            }
+            return Promise.reject('Unknown url.');
+        });
+
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            updateExisting: true
+        }, repositorySettings)
+            .then(function (comment) {
+                expect(comment).toBe(existingComment);
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                expect(requestPromise.patch).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    function runClaStatusTest(askForCla, expectedStatus) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+
+        var repositorySettings = new RepositorySettings();
+
+        spyOn(repositorySettings, 'fetchSettings').and.callFake(function() {
+            return Promise.resolve(repositorySettings);
+        });
+
+        spyOn(requestPromise, 'post');
+
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'CHANGES.md'}
+                ]});
+            }
+            return Promise.reject('Unknown url.');
+        });
+        spyOn(commentOnOpenedPullRequest, '_askForCla').and.callFake(askForCla);
+
+        return commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            statusesUrl: statusesUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl
+        }, repositorySettings)
+            .then(function () {
+                expect(requestPromise.post).toHaveBeenCalledWith({
+                    url: statusesUrl,
+                    headers: repositorySettings.headers,
+                    body: {
+                        state: expectedStatus.state,
+                        description: expectedStatus.description,
+                        context: 'concierge/cla'
+                    },
+                    json: true
+                });
+                expect(requestPromise.post.calls.count()).toBe(2);
+            });
+    }
+
+    it('commentOnOpenedPullRequest._implementation sets a success status if the CLA was signed', function () {
+        return runClaStatusTest(function () {
+            return Promise.resolve({
+                askForCla: false,
+                unsignedPeople: []
+            });
+        }, {
+            state: 'success',
+            description: 'Signed CLA found.'
+        });
+    });
+
+    it('commentOnOpenedPullRequest._implementation sets a failure status if the CLA is missing', function () {
+        return runClaStatusTest(function () {
+            return Promise.resolve({
+                askForCla: true,
+                unsignedPeople: []
+            });
+        }, {
+            state: 'failure',
+            description: 'Missing CLA.'
+        });
+    });
+
+    it('commentOnOpenedPullRequest._implementation sets a failure status naming the contributors without a CLA', function () {
+        return runClaStatusTest(function () {
+            return Promise.resolve({
+                askForCla: true,
+                unsignedPeople: [{userName: 'newContributor'}, {name: 'Jane Doe', email: 'jane@example.com'}]
+            });
+        }, {
+            state: 'failure',
+            description: 'Missing CLA for @newContributor, Jane Doe.'
+        });
+    });
+
+    it('commentOnOpenedPullRequest._implementation sets an error status if the CLA could not be checked', function () {
+        return runClaStatusTest(function () {
+            return Promise.reject(new Error('Google Sheets API failed.'));
+        }, {
+            state: 'error',
+            description: 'Error checking the CLA: Error: Google Sheets API failed.'
+        });
+    });
+
+    it('commentOnOpenedPullRequest._implementation does not set a status if CLA checking is disabled', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+
+        delete Settings['googleSheetsApi'];
+        var repositorySettings = new RepositorySettings();
+
+        spyOn(repositorySettings, 'fetchSettings').and.callFake(function() {
+            return Promise.resolve(repositorySettings);
+        });
+
+        spyOn(requestPromise, 'post');
+
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            return Promise.reject('Unknown url.');
+        });
+
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            statusesUrl: statusesUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl
+        }, repositorySettings)
+            .then(function () {
+                expect(requestPromise.post.calls.count()).toBe(1);
+                expect(requestPromise.post.calls.argsFor(0)[0].url).toBe(pullRequestCommentsUrl);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnOpenedPullRequest._postClaStatus shortens long error descriptions', function () {
+        spyOn(requestPromise, 'post');
+
+        var errorCla = new Array(200).join('x');
+        commentOnOpenedPullRequest._postClaStatus(statusesUrl, false, [], errorCla, {});
+
+        var description = requestPromise.post.calls.argsFor(0)[0].body.description;
+        expect(description.length).toBe(140);
+        expect(description.endsWith('...')).toBe(true);
+    });
+
+    it('commentOnOpenedPullRequest._askForCla catches and reports errors with Google Sheets API', function () {
+        var errorText = 'Google Sheets API failed.';
+
+        spyOn(Settings.googleSheetsApi.spreadsheets.values, 'get').and.callFake(function () {
+            return Promise.reject(errorText);
+        });
+
+        return commentOnOpenedPullRequest._askForCla(userName, undefined, new RepositorySettings())
+            .then(function() {
+                fail('expected promise to reject.');
+            })
+            .catch(function(error) {
+                expect(error.message).toContain(errorText);
+            });
+    });
+
+    function createCommit(sha, login, authorEmail, committerEmail, message) {
+        return {
+            sha: sha,
+            html_url: repositoryUrl + '/commit/' + sha,
+            author: login ? {login: login} : null,
+            commit: {
+                author: {
+                    name: 'Author of ' + sha,
+                    email: authorEmail
+                },
+                committer: {
+                    email: committerEmail
+                },
+                message: message || 'Fix the thing'
+            }
+        };
+    }
+
+    function fakeCommits(commits) {
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === commitsUrl) {
+                return Promise.resolve({
+                    headers: {},
+                    body: commits
+                });
+            }
+            return Promise.reject('Unknown url.');
+        });
+    }
 
-    afterEach(function () {
-        delete Settings['googleSheetsApi'];
+    function spyOnCoveredIdentities(identities) {
+        spyOn(claSigners, 'isCovered').and.callFake(function (identity) {
+            return Promise.resolve(identities.indexOf(identity.userName) !== -1 || identities.indexOf(identity.email) !== -1);
+        });
+    }
+
+    it('commentOnOpenedPullRequest._getContributors lists the author, commit authors and co-authors once', function () {
+        var people = commentOnOpenedPullRequest._getContributors(userName, [
+            createCommit('1111111111', userName, 'boomer@example.org', 'noreply@github.com',
+                'Fix the thing\n\nCo-authored-by: Omar Shehata <12345+OmarShehata@users.noreply.github.com>\nco-authored-by: Jane Doe <jane@example.com>'),
+            createCommit('2222222222', undefined, 'jane@example.com', 'jane@example.com'),
+            createCommit('3333333333', 'BoomerJones', 'boomer@example.org', 'noreply@github.com')
+        ]);
+
+        expect(people.map(function (person) {
+            return {
+                userName: person.userName,
+                email: person.email,
+                commits: person.commits.map(function (commit) {
+                    return commit.shortSha;
+                })
+            };
+        })).toEqual([{
+            userName: userName,
+            email: 'boomer@example.org',
+            commits: ['1111111', '3333333']
+        }, {
+            userName: 'OmarShehata',
+            email: '12345+OmarShehata@users.noreply.github.com',
+            commits: ['1111111']
+        }, {
+            userName: undefined,
+            email: 'jane@example.com',
+            commits: ['1111111', '2222222']
+        }]);
+        expect(people[2].name).toEqual('Jane Doe');
     });
 
-    it('throws if body is undefined', function () {
-        expect(function () {
-            commentOnOpenedPullRequest(undefined, {});
-        }).toThrowError();
+    it('commentOnOpenedPullRequest._askForCla passes if every contributor is covered', function (done) {
+        spyOnCoveredIdentities([userName, 'employee@example.com', 'contractor@example.org', 'OmarShehata']);
+        fakeCommits([
+            createCommit('1111111111', undefined, 'employee@example.com', 'noreply@github.com'),
+            createCommit('2222222222', undefined, 'contractor@example.org', 'committer@example.com'),
+            createCommit('3333333333', userName, 'boomer@example.org', 'noreply@github.com',
+                'Fix the thing\n\nCo-authored-by: Omar Shehata <OmarShehata@users.noreply.github.com>')
+        ]);
+
+        commentOnOpenedPullRequest._askForCla(userName, commitsUrl, new RepositorySettings())
+            .then(function (result) {
+                expect(result).toEqual({
+                    askForCla: false,
+                    unsignedPeople: []
+                });
+                done();
+            })
+            .catch(done.fail);
     });
 
-    it('throws if headers is undefined', function () {
-        expect(function () {
-            commentOnOpenedPullRequest(pullRequestJson, undefined);
-        }).toThrowError();
+    it('commentOnOpenedPullRequest._askForCla lists the contributors without a CLA even if the author signed one', function (done) {
+        spyOnCoveredIdentities([userName]);
+        fakeCommits([
+            createCommit('1111111111', userName, 'boomer@example.org', 'noreply@github.com',
+                'Fix the thing\n\nCo-authored-by: Jane Doe <jane@example.com>'),
+            createCommit('2222222222', 'newContributor', 'new@example.org', 'noreply@github.com')
+        ]);
+
+        commentOnOpenedPullRequest._askForCla(userName, commitsUrl, new RepositorySettings())
+            .then(function (result) {
+                expect(result).toEqual({
+                    askForCla: true,
+                    unsignedPeople: [{
+                        userName: undefined,
+                        name: 'Jane Doe',
+                        email: 'jane@example.com',
+                        commits: [{
+                            sha: '1111111111',
+                            shortSha: '1111111',
+                            url: repositoryUrl + '/commit/1111111111'
+                        }]
+                    }, {
+                        userName: 'newContributor',
+                        name: 'Author of 2222222222',
+                        email: 'new@example.org',
+                        commits: [{
+                            sha: '2222222222',
+                            shortSha: '2222222',
+                            url: repositoryUrl + '/commit/2222222222'
+                        }]
+                    }]
+                });
+                done();
+            })
+            .catch(done.fail);
     });
 
-    it('throws if json is not a pull request event', function () {
-        var issueJson = fsExtra.readJsonSync('./specs/data/events/issue.json');
-        expect(function () {
-            commentOnOpenedPullRequest(issueJson, {});
-        }).toThrowError();
+    it('commentOnOpenedPullRequest._askForCla does not cover a commit author by the committer', function (done) {
+        spyOnCoveredIdentities([userName, 'committer@example.com']);
+        fakeCommits([
+            createCommit('1111111111', undefined, 'contractor@example.org', 'committer@example.com')
+        ]);
+
+        commentOnOpenedPullRequest._askForCla(userName, commitsUrl, new RepositorySettings())
+            .then(function (result) {
+                expect(result.askForCla).toBe(true);
+                expect(result.unsignedPeople.map(function (person) {
+                    return person.email;
+                })).toEqual(['contractor@example.org']);
+                done();
+            })
+            .catch(done.fail);
     });
 
-    it('passes expected parameters to implementation', function () {
-        spyOn(commentOnOpenedPullRequest, '_implementation');
+    it('commentOnOpenedPullRequest._askForCla only checks the author without the commits', function (done) {
+        spyOnCoveredIdentities([]);
+        spyOn(requestPromise, 'get');
+
+        commentOnOpenedPullRequest._askForCla(userName, undefined, new RepositorySettings())
+            .then(function (result) {
+                expect(result.askForCla).toBe(true);
+                expect(result.unsignedPeople.length).toBe(1);
+                expect(result.unsignedPeople[0].userName).toEqual(userName);
+                expect(requestPromise.get).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
 
+    it('commentOnOpenedPullRequest._implementation lists the contributors without a CLA', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
         var repositorySettings = new RepositorySettings();
 
-        commentOnOpenedPullRequest(pullRequestJson, repositorySettings);
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
+        spyOn(requestPromise, 'post');
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            return Promise.reject('Unknown url.');
+        });
+        spyOn(commentOnOpenedPullRequest, '_askForCla').and.returnValue(Promise.resolve({
+            askForCla: true,
+            unsignedPeople: [{
+                name: 'Jane Doe',
+                email: 'jane@example.com',
+                commits: [{
+                    sha: '1111111111',
+                    shortSha: '1111111',
+                    url: repositoryUrl + '/commit/1111111111'
+                }, {
+                    sha: '2222222222',
+                    shortSha: '2222222',
+                    url: repositoryUrl + '/commit/2222222222'
+                }]
+            }, {
+                userName: 'newContributor',
+                commits: []
+            }]
+        }));
+
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl
+        }, repositorySettings)
+            .then(function () {
+                var message = requestPromise.post.calls.argsFor(0)[0].body.body;
+                expect(message).toContain(':x: Missing CLA.');
+                expect(message).toContain('* Jane Doe (jane@example.com) in [1111111](' + repositoryUrl + '/commit/1111111111), [2222222](' + repositoryUrl + '/commit/2222222222)\n');
+                expect(message).toContain('* @newContributor\n');
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnOpenedPullRequest._implementation lists the failed rules of the repository', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+        var repositorySettings = new RepositorySettings({
+            pullRequestRules: [{
+                name: 'shaders',
+                files: ['**/*.glsl'],
+                message: 'Shaders changed, please test on mobile & `WebGL 1`.'
+            }, {
+                name: 'docs',
+                files: ['**/*.js'],
+                message: 'Please update the documentation.'
+            }, {
+                name: 'changes',
+                requireFiles: ['CHANGES.md'],
+                message: 'Please add a line to CHANGES.md.'
+            }]
+        });
+
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
+        spyOn(requestPromise, 'post');
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'Source/Shaders/GlobeFS.glsl'}
+                ]});
+            }
+            return Promise.reject('Unknown url.');
+        });
+        spyOn(commentOnOpenedPullRequest, '_askForCla').and.returnValue(Promise.resolve({
+            askForCla: false,
+            unsignedPeople: []
+        }));
+
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch
+        }, repositorySettings)
+            .then(function () {
+                var message = requestPromise.post.calls.argsFor(0)[0].body.body;
+                expect(message).toContain('* :grey_question: Shaders changed, please test on mobile & `WebGL 1`.\n');
+                expect(message).toContain('* :grey_question: Please add a line to CHANGES.md.\n');
+                expect(message).not.toContain('Please update the documentation.');
+                expect(message).not.toContain('was not updated');
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    function runRequestReviewsTest(repositorySettings, updateExisting) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
+        spyOn(requestPromise, 'post');
+        spyOn(requestPromise, 'patch');
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'Source/Scene/Globe.js'}
+                ]});
+            }
+            return Promise.reject('Unknown url.');
+        });
+
+        return commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            reviewersUrl: 'url/requested_reviewers',
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            updateExisting: updateExisting
+        }, repositorySettings);
+    }
+
+    it('commentOnOpenedPullRequest._implementation requests reviews when the pull request is opened', function (done) {
+        spyOn(requestReviewers, '_pickReviewers').and.returnValue(Promise.resolve([]));
+
+        var repositorySettings = new RepositorySettings({
+            requestReviews: true,
+            reviewers: {
+                'Source/**': '@hpinkos'
+            }
+        });
+        runRequestReviewsTest(repositorySettings, false)
+            .then(function () {
+                expect(requestReviewers._pickReviewers).toHaveBeenCalledWith(['@hpinkos'], userName, repositorySettings);
+                done();
+            })
+            .catch(done.fail);
+    });
 
-        expect(commentOnOpenedPullRequest._implementation).toHaveBeenCalledWith(filesUrl, commentsUrl, repositorySettings, userName, repositoryUrl, baseBranch, headBranch, headHtmlUrl, headApiUrl);
+    it('commentOnOpenedPullRequest._implementation does not request reviews when updating the checklist', function (done) {
+        spyOn(requestReviewers, '_pickReviewers').and.returnValue(Promise.resolve([]));
+
+        var repositorySettings = new RepositorySettings({
+            requestReviews: true,
+            reviewers: {
+                'Source/**': '@hpinkos'
+            }
+        });
+        runRequestReviewsTest(repositorySettings, true)
+            .then(function () {
+                expect(requestReviewers._pickReviewers).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
     });
 
-    it('commentOnOpenedPullRequest._askAboutChanges works', function () {
-        expect(commentOnOpenedPullRequest._askAboutChanges(['CHANGES.md'],'master')).toBe(false);
-        expect(commentOnOpenedPullRequest._askAboutChanges(['file.txt'],'feature-branch')).toBe(false);
+    it('commentOnOpenedPullRequest._implementation still comments if reviews could not be requested', function (done) {
+        spyOn(requestReviewers, '_pickReviewers').and.returnValue(Promise.reject(new Error('Team not found')));
 
-        expect(commentOnOpenedPullRequest._askAboutChanges([],'master')).toBe(true);
-        expect(commentOnOpenedPullRequest._askAboutChanges(['file.txt'],'master')).toBe(true);
-        expect(commentOnOpenedPullRequest._askAboutChanges(['CHANGES.MD'],'master')).toBe(true);
-        expect(commentOnOpenedPullRequest._askAboutChanges(['leadingCHANGES.md'],'master')).toBe(true);
-        expect(commentOnOpenedPullRequest._askAboutChanges(['CHANGES.mdtrailing'],'master')).toBe(true);
+        var repositorySettings = new RepositorySettings({
+            requestReviews: true,
+            reviewers: {
+                'Source/**': '@AnalyticalGraphicsInc/cesium-team'
+            }
+        });
+        runRequestReviewsTest(repositorySettings, false)
+            .then(function () {
+                expect(requestPromise.post.calls.argsFor(0)[0].url).toEqual('pullRequestCommentsUrl');
+                expect(console.log).toHaveBeenCalledWith(jasmine.stringMatching('Could not request reviewers on url/requested_reviewers: Error: Team not found'));
+                done();
+            })
+            .catch(done.fail);
     });
 
-    it('commentOnOpenedPullRequest._askAboutTests works', function () {
-        expect(commentOnOpenedPullRequest._askAboutTests(['file.txt'])).toBe(false);
-        expect(commentOnOpenedPullRequest._askAboutTests(['Specs/lib/testSpec.js'])).toBe(false);
-        expect(commentOnOpenedPullRequest._askAboutTests(['Specs/lib/testSpec.js'], 'Specs/')).toBe(false);
-        expect(commentOnOpenedPullRequest._askAboutTests(['specs/lib/testSpec.js'], 'Specs/')).toBe(false);
+    it('commentOnOpenedPullRequest._implementation labels the pull request by its changed files', function (done) {
+        spyOn(applyLabelRules, '_implementation').and.returnValue(Promise.resolve({added: [], removed: []}));
 
-        expect(commentOnOpenedPullRequest._askAboutTests(['file.txt'], 'Specs/')).toBe(true);
+        var repositorySettings = new RepositorySettings({
+            labelRules: [{
+                label: 'category - globe',
+                files: ['Source/Scene/Globe*.js']
+            }]
+        });
+        runLabelTest(repositorySettings)
+            .then(function () {
+                expect(applyLabelRules._implementation).toHaveBeenCalledWith({
+                    issueUrl: issueUrl,
+                    title: 'Fix the globe',
+                    body: undefined,
+                    labels: ['bug'],
+                    files: ['Source/Scene/Globe.js']
+                }, repositorySettings);
+                done();
+            })
+            .catch(done.fail);
     });
 
-    it('commentOnOpenedPullRequest._askAboutThirdParty works', function () {
-        expect(commentOnOpenedPullRequest._askAboutThirdParty(['ThirdParty/file.js'], ['ThirdParty'])).toBe(true);
+    it('commentOnOpenedPullRequest._implementation still comments if the pull request could not be labeled', function (done) {
+        spyOn(applyLabelRules, '_implementation').and.returnValue(Promise.reject(new Error('Validation Failed')));
 
-        expect(commentOnOpenedPullRequest._askAboutThirdParty(['file.txt'], [])).toBe(false);
-        expect(commentOnOpenedPullRequest._askAboutThirdParty(['file.txt'], undefined)).toBe(false);
-        expect(commentOnOpenedPullRequest._askAboutThirdParty(['NotThirdParty/file.js'], ['ThirdParty'])).toBe(false);
+        runLabelTest(new RepositorySettings())
+            .then(function () {
+                expect(requestPromise.post.calls.argsFor(0)[0].url).toEqual('pullRequestCommentsUrl');
+                expect(console.log).toHaveBeenCalledWith(jasmine.stringMatching('Could not label ' + issueUrl + ': Error: Validation Failed'));
+                done();
+            })
+            .catch(done.fail);
     });
 
-    it('commentOnOpenedPullRequest._implementation fetches latest repository settings.', function (done) {
+    it('commentOnOpenedPullRequest._implementation labels the pull request with its size and suggests splitting it', function (done) {
         var pullRequestFilesUrl = 'pullRequestFilesUrl';
         var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
 
-        var repositorySettings = new RepositorySettings();
-
-        spyOn(repositorySettings, 'fetchSettings').and.callFake(function() {
-            return Promise.resolve(repositorySettings);
+        var repositorySettings = new RepositorySettings({
+            thirdPartyFolders: ['ThirdParty/'],
+            pullRequestSize: true
+        });
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
+        spyOn(requestPromise, 'post').and.returnValue(Promise.resolve());
+        spyOn(requestPromise, 'delete').and.returnValue(Promise.resolve());
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'Source/Scene/Globe.js', additions: 900, deletions: 300},
+                    {filename: 'ThirdParty/draco.js', additions: 5000, deletions: 0}
+                ]});
+            }
+            return Promise.reject('Unknown url.');
         });
 
-        spyOn(requestPromise, 'post');
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            issueUrl: issueUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            labels: ['size/M']
+        }, repositorySettings)
+            .then(function () {
+                expect(requestPromise.post).toHaveBeenCalledWith(jasmine.objectContaining({
+                    url: issueUrl + '/labels',
+                    body: {
+                        labels: ['size/XL']
+                    }
+                }));
+                expect(requestPromise.delete).toHaveBeenCalledWith(jasmine.objectContaining({
+                    url: issueUrl + '/labels/size%2FM'
+                }));
+                var message = requestPromise.post.calls.mostRecent().args[0].body.body;
+                expect(message).toContain('It changes 1200 lines in 1 files');
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnOpenedPullRequest._implementation lists the problems of the new CHANGES.md entries', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+        var changesUrl = headApiUrl + '/contents/CHANGES.md?ref=' + headBranch;
 
+        var repositorySettings = new RepositorySettings({
+            changesFormat: true
+        });
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
+        spyOn(requestPromise, 'post');
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
-                    {filename: 'CHANGES.md'}
-                ]);
+                return Promise.resolve({headers: {}, body: [{
+                    filename: 'CHANGES.md',
+                    patch: '@@ -1,3 +1,4 @@\n ### 1.51\n \n ##### Fixes :wrench:\n+* Fixed the globe.'
+                }]});
+            }
+            if (options.url === changesUrl) {
+                return Promise.resolve({
+                    content: Buffer.from('### 1.51\n\n##### Fixes :wrench:\n* Fixed the globe.\n').toString('base64')
+                });
             }
             return Promise.reject('Unknown url.');
         });
 
-        commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, userName, repositoryUrl)
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            number: 7001,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch,
+            headApiUrl: headApiUrl
+        }, repositorySettings)
             .then(function () {
-                expect(repositorySettings.fetchSettings).toHaveBeenCalled();
+                var message = requestPromise.post.calls.argsFor(0)[0].body.body;
+                expect(message).toContain('Please check the new entries of [CHANGES.md]');
+                // The messages quote the headings of CHANGES.md, so they are escaped
+                expect(message).toContain('    * Line 4 doesn&#x27;t link to #7001.\n');
+                expect(message).not.toContain('was not updated');
                 done();
             })
             .catch(done.fail);
     });
 
-    it('commentOnOpenedPullRequest._implementation posts CLA confirmation if CHANGES.md was updated and there are no modified ThirdParty folders or CLA', function (done) {
+    it('commentOnOpenedPullRequest._implementation lists the third party libraries without a license', function (done) {
         var pullRequestFilesUrl = 'pullRequestFilesUrl';
         var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+        var licenseUrl = headApiUrl + '/contents/LICENSE.md?ref=' + headBranch;
 
-        var repositorySettings = new RepositorySettings();
-
-        spyOn(repositorySettings, 'fetchSettings').and.callFake(function() {
-            return Promise.resolve(repositorySettings);
+        var repositorySettings = new RepositorySettings({
+            thirdPartyFolders: ['ThirdParty/']
         });
-
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
         spyOn(requestPromise, 'post');
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'ThirdParty/draco/draco_decoder.js', status: 'modified'},
+                    {filename: 'ThirdParty/pako.js', status: 'added'}
+                ]});
+            }
+            if (options.url === licenseUrl) {
+                return Promise.resolve({
+                    content: Buffer.from('### Draco\n').toString('base64')
+                });
+            }
+            return Promise.reject('Unknown url.');
+        });
+
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch,
+            headApiUrl: headApiUrl
+        }, repositorySettings)
+            .then(function () {
+                var message = requestPromise.post.calls.argsFor(0)[0].body.body;
+                expect(message).toContain('* :grey_question: Changes to third party files were made.\n' +
+                    '    * I couldn\'t find a section in [LICENSE.md](' + repositoryUrl + '/blob/' + headBranch + '/LICENSE.md) for `pako`.');
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('commentOnOpenedPullRequest._implementation lists the source files without changed specs', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
 
+        var repositorySettings = new RepositorySettings({
+            unitTestPath: 'Specs/',
+            testMapping: {
+                mappings: [{
+                    source: '^Source/(.*)\\.js$',
+                    spec: 'Specs/$1Spec.js'
+                }]
+            }
+        });
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
+        spyOn(requestPromise, 'post');
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
-                    {filename: 'CHANGES.md'}
-                ]);
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'Source/Core/Cartesian3.js', status: 'modified'},
+                    {filename: 'Source/Core/Matrix4.js', status: 'modified'},
+                    {filename: 'Specs/Core/Cartesian3Spec.js', status: 'modified'}
+                ]});
             }
             return Promise.reject('Unknown url.');
         });
 
-        commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, userName, repositoryUrl)
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch
+        }, repositorySettings)
             .then(function () {
-                expect(requestPromise.post).toHaveBeenCalledWith({
-                    url: pullRequestCommentsUrl,
-                    headers: repositorySettings.headers,
-                    body: {
-                        body: repositorySettings.pullRequestOpenedTemplate({
-                            userName: userName,
-                            repository_url: repositoryUrl,
-                            claEnabled: true,
-                            askForCla: false,
-                            askAboutChanges: false,
-                            askAboutThirdParty: false,
-                            thirdPartyFolders: thirdPartyFolders.join(', '),
-                            headBranch: headBranch
-                        })
-                    },
-                    json: true
-                });
+                var message = requestPromise.post.calls.argsFor(0)[0].body.body;
+                expect(message).toContain('* :grey_question: Unit tests were not updated for these files.\n' +
+                    '    * `Source/Core/Matrix4.js`, expected a change to `Specs/Core/Matrix4Spec.js`.\n');
+                expect(message).not.toContain('Cartesian3.js`');
                 done();
             })
             .catch(done.fail);
     });
 
-    it('commentOnOpenedPullRequest._askForCla catches and reports errors with Google Sheets API', function () {
-        var errorText = 'Google Sheets API failed.';
+    it('commentOnOpenedPullRequest._implementation welcomes first time contributors', function (done) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
 
-        spyOn(Settings.googleSheetsApi.spreadsheets.values, 'get').and.callFake(function () {
-            return Promise.reject(errorText);
+        var repositorySettings = new RepositorySettings({
+            firstContributionCc: ['@hpinkos', 'mramato']
+        });
+        commentOnOpenedPullRequest._isFirstContribution.and.callThrough();
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
+        spyOn(requestPromise, 'post');
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === isFirstContribution.searchUrl) {
+                return Promise.resolve({
+                    total_count: 0,
+                    items: []
+                });
+            }
+            return Promise.reject('Unknown url.');
         });
 
-        return commentOnOpenedPullRequest._askForCla(userName)
-            .then(function() {
-                fail('expected promise to reject.');
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            number: 1,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch
+        }, repositorySettings)
+            .then(function () {
+                var message = requestPromise.post.calls.argsFor(0)[0].body.body;
+                expect(message).toContain('I noticed this is your first pull request');
+                expect(message).toContain('CC @hpinkos @mramato\n');
+                expect(message).not.toContain('Missing `CONTRIBUTORS.md` entry.');
+                done();
             })
-            .catch(function(error) {
-                expect(error).toBe(errorText);
+            .catch(done.fail);
+    });
+
+    it('commentOnOpenedPullRequest._isFirstContribution remembers the result for each pull request', function (done) {
+        var repositorySettings = new RepositorySettings({
+            name: repositoryName
+        });
+        var totalCount = 0;
+        commentOnOpenedPullRequest._isFirstContribution.and.callThrough();
+        spyOn(requestPromise, 'get').and.callFake(function () {
+            return Promise.resolve({
+                total_count: totalCount,
+                items: []
             });
+        });
+        var now = Date.now();
+        spyOn(Date, 'now').and.returnValue(now);
+
+        commentOnOpenedPullRequest._isFirstContribution(userName, 1, repositorySettings)
+            .then(function (result) {
+                expect(result).toBe(true);
+                totalCount = 1;
+                return commentOnOpenedPullRequest._isFirstContribution(userName, 1, repositorySettings);
+            })
+            .then(function (result) {
+                expect(result).toBe(true);
+                expect(requestPromise.get).toHaveBeenCalledTimes(1);
+                return commentOnOpenedPullRequest._isFirstContribution(userName, 2, repositorySettings);
+            })
+            .then(function (result) {
+                expect(result).toBe(false);
+                expect(requestPromise.get).toHaveBeenCalledTimes(2);
+
+                Date.now.and.returnValue(now + commentOnOpenedPullRequest.firstContributionCacheDuration);
+                return commentOnOpenedPullRequest._isFirstContribution(userName, 1, repositorySettings);
+            })
+            .then(function (result) {
+                expect(result).toBe(false);
+                expect(requestPromise.get).toHaveBeenCalledTimes(3);
+                done();
+            })
+            .catch(done.fail);
     });
 
+    function runLabelTest(repositorySettings) {
+        var pullRequestFilesUrl = 'pullRequestFilesUrl';
+        var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
+
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
+        spyOn(requestPromise, 'post');
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
+            if (options.url === pullRequestFilesUrl) {
+                return Promise.resolve({headers: {}, body: [
+                    {filename: 'Source/Scene/Globe.js'}
+                ]});
+            }
+            return Promise.reject('Unknown url.');
+        });
+
+        return commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            issueUrl: issueUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            title: 'Fix the globe',
+            labels: ['bug']
+        }, repositorySettings);
+    }
+
     it('commentOnOpenedPullRequest._implementation catches and reports errors processing CLA check', function (done) {
         var pullRequestFilesUrl = 'pullRequestFilesUrl';
         var pullRequestCommentsUrl = 'pullRequestCommentsUrl';
@@ -248,10 +1439,13 @@ describe('commentOnOpenedPullRequest', function () {
         spyOn(requestPromise, 'post');
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
+                return Promise.resolve({headers: {}, body: [
                     {filename: 'CHANGES.md'}
-                ]);
+                ]});
             }
 
             return Promise.reject('Unknown url.');
@@ -261,7 +1455,12 @@ describe('commentOnOpenedPullRequest', function () {
             return Promise.reject(errorCla);
         });
 
-        commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, userName, repositoryUrl)
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl
+        }, repositorySettings)
             .then(function () {
                 expect(requestPromise.post).toHaveBeenCalledWith({
                     url: pullRequestCommentsUrl,
@@ -301,15 +1500,25 @@ describe('commentOnOpenedPullRequest', function () {
         spyOn(requestPromise, 'post');
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
+                return Promise.resolve({headers: {}, body: [
                     {filename: 'notCHANGES.md'}
-                ]);
+                ]});
             }
             return Promise.reject('Unknown url.');
         });
 
-        commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, userName, repositoryUrl, baseBranch, headBranch)
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch
+        }, repositorySettings)
             .then(function () {
                 expect(requestPromise.post).toHaveBeenCalledWith({
                     url: pullRequestCommentsUrl,
@@ -348,15 +1557,24 @@ describe('commentOnOpenedPullRequest', function () {
         spyOn(requestPromise, 'post');
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
+                return Promise.resolve({headers: {}, body: [
                     {filename: 'notCHANGES.md'}
-                ]);
+                ]});
             }
             return Promise.reject('Unknown url.');
         });
 
-        commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, userName, repositoryUrl, 'feature-branch')
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: 'feature-branch'
+        }, repositorySettings)
             .then(function () {
                 expect(requestPromise.post).toHaveBeenCalledWith({
                     url: pullRequestCommentsUrl,
@@ -395,16 +1613,24 @@ describe('commentOnOpenedPullRequest', function () {
         spyOn(requestPromise, 'post');
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
+                return Promise.resolve({headers: {}, body: [
                     {filename: 'CHANGES.md'},
                     {filename: 'ThirdParty/stuff.js'}
-                ]);
+                ]});
             }
             return Promise.reject('Unknown url.');
         });
 
-        commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, userName, repositoryUrl)
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl
+        }, repositorySettings)
             .then(function () {
                 expect(requestPromise.post).toHaveBeenCalledWith({
                     url: pullRequestCommentsUrl,
@@ -443,15 +1669,25 @@ describe('commentOnOpenedPullRequest', function () {
         spyOn(requestPromise, 'post');
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
+                return Promise.resolve({headers: {}, body: [
                     {filename: 'ThirdParty/stuff.js'}
-                ]);
+                ]});
             }
             return Promise.reject('Unknown url.');
         });
 
-        commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, userName, repositoryUrl, baseBranch, headBranch)
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch
+        }, repositorySettings)
             .then(function () {
                 expect(requestPromise.post).toHaveBeenCalledWith({
                     url: pullRequestCommentsUrl,
@@ -492,10 +1728,13 @@ describe('commentOnOpenedPullRequest', function () {
         spyOn(requestPromise, 'post');
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
+                return Promise.resolve({headers: {}, body: [
                     {filename: 'ThirdParty/stuff.js'}
-                ]);
+                ]});
             }
             if (options.url === claUrl) {
                 var content = Buffer.from(JSON.stringify([{gitHub: userName}])).toString('base64');
@@ -506,7 +1745,14 @@ describe('commentOnOpenedPullRequest', function () {
             return Promise.reject('Unknown url.');
         });
 
-        commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, userName, repositoryUrl, baseBranch, headBranch)
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch
+        }, repositorySettings)
             .then(function () {
                 expect(requestPromise.post).toHaveBeenCalledWith({
                     url: pullRequestCommentsUrl,
@@ -546,16 +1792,26 @@ describe('commentOnOpenedPullRequest', function () {
         spyOn(requestPromise, 'post');
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
+                return Promise.resolve({headers: {}, body: [
                     {filename: 'ThirdParty/stuff.js'}
-                ]);
+                ]});
             }
 
             return Promise.reject('Unknown url.');
         });
 
-        commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, newContributor, repositoryUrl, baseBranch, headBranch)
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: newContributor,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch
+        }, repositorySettings)
             .then(function () {
                 expect(requestPromise.post).toHaveBeenCalledWith({
                     url: pullRequestCommentsUrl,
@@ -566,6 +1822,10 @@ describe('commentOnOpenedPullRequest', function () {
                             repository_url: repositoryUrl,
                             claEnabled: true,
                             askForCla: true,
+                            unsignedPeople: [{
+                                userName: newContributor,
+                                commits: []
+                            }],
                             askAboutChanges: true,
                             askAboutThirdParty: true,
                             thirdPartyFolders: thirdPartyFolders.join(', '),
@@ -598,10 +1858,13 @@ describe('commentOnOpenedPullRequest', function () {
         spyOn(requestPromise, 'post');
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
+                return Promise.resolve({headers: {}, body: [
                     {filename: 'file.txt'}
-                ]);
+                ]});
             }
 
             if (options.url === apiUrl) {
@@ -614,7 +1877,16 @@ describe('commentOnOpenedPullRequest', function () {
             return Promise.reject('Unknown url: ' + options.url);
         });
 
-        commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, newContributor, repositoryUrl, baseBranch, headBranch, headHtmlUrl, headApiUrl)
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: newContributor,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch,
+            headHtmlUrl: headHtmlUrl,
+            headApiUrl: headApiUrl
+        }, repositorySettings)
             .then(function () {
                 expect(requestPromise.post).toHaveBeenCalledWith({
                     url: pullRequestCommentsUrl,
@@ -625,6 +1897,10 @@ describe('commentOnOpenedPullRequest', function () {
                             repository_url: repositoryUrl,
                             claEnabled: true,
                             askForCla: true,
+                            unsignedPeople: [{
+                                userName: newContributor,
+                                commits: []
+                            }],
                             askAboutContributors: true,
                             contributorsUrl: htmlUrl,
                             askAboutChanges: true,
@@ -655,10 +1931,13 @@ describe('commentOnOpenedPullRequest', function () {
         spyOn(requestPromise, 'post');
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
+                return Promise.resolve({headers: {}, body: [
                     {filename: 'file.txt'}
-                ]);
+                ]});
             }
 
             if (options.url === apiUrl) {
@@ -670,7 +1949,16 @@ describe('commentOnOpenedPullRequest', function () {
             return Promise.reject('Unknown url: ' + options.url);
         });
 
-        commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, userName, repositoryUrl, baseBranch, headBranch, headHtmlUrl, headApiUrl)
+        commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl,
+            baseBranch: baseBranch,
+            headBranch: headBranch,
+            headHtmlUrl: headHtmlUrl,
+            headApiUrl: headApiUrl
+        }, repositorySettings)
             .then(function () {
                 expect(requestPromise.post).toHaveBeenCalledWith({
                     url: pullRequestCommentsUrl,
@@ -707,15 +1995,23 @@ describe('commentOnOpenedPullRequest', function () {
         spyOn(requestPromise, 'post');
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === pullRequestCommentsUrl) {
+                return Promise.resolve({headers: {}, body: []});
+            }
             if (options.url === pullRequestFilesUrl) {
-                return Promise.resolve([
+                return Promise.resolve({headers: {}, body: [
                     {filename: 'CHANGES.md'}
-                ]);
+                ]});
             }
             return Promise.reject('Unknown url.');
         });
 
-        return commentOnOpenedPullRequest._implementation(pullRequestFilesUrl, pullRequestCommentsUrl, repositorySettings, userName, repositoryUrl)
+        return commentOnOpenedPullRequest._implementation({
+            filesUrl: pullRequestFilesUrl,
+            commentsUrl: pullRequestCommentsUrl,
+            userName: userName,
+            repositoryUrl: repositoryUrl
+        }, repositorySettings)
             .then(function () {
                 expect(requestPromise.post).toHaveBeenCalledWith({
                     url: pullRequestCommentsUrl,
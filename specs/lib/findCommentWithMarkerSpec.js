@@ -0,0 +1,61 @@
+'use strict';
+
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var findCommentWithMarker = require('../../lib/findCommentWithMarker');
+
+describe('findCommentWithMarker', function () {
+    var commentsUrl = 'https://api.github.com/repos/Org/repo/issues/1/comments';
+    var marker = findCommentWithMarker.createMarker('pullRequestOpened');
+
+    it('creates a hidden marker for a template', function () {
+        expect(marker).toEqual('<!-- cesium-concierge:pullRequestOpened -->');
+    });
+
+    it('resolves with the first comment containing the marker', function (done) {
+        var comment = {
+            body: 'Thanks for the pull request!\n' + marker
+        };
+
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === commentsUrl) {
+                return Promise.resolve({
+                    headers: {
+                        link: '<https://url?page=2>; rel="next",<https://url?page=2>; rel="last"'
+                    },
+                    body: [{body: 'First!'}]
+                });
+            }
+            if (options.url === 'https://url?page=2') {
+                return Promise.resolve({
+                    headers: {},
+                    body: [comment, {body: marker}]
+                });
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+
+        findCommentWithMarker(commentsUrl, marker, {})
+            .then(function (result) {
+                expect(result).toBe(comment);
+                expect(requestPromise.get.calls.argsFor(0)[0].qs).toEqual({per_page: 100});
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('resolves with undefined if no comment contains the marker', function (done) {
+        spyOn(requestPromise, 'get').and.returnValue(Promise.resolve({
+            headers: {},
+            body: [{body: 'First!'}, {body: findCommentWithMarker.createMarker('stalePullRequest')}]
+        }));
+
+        findCommentWithMarker(commentsUrl, marker, {})
+            .then(function (result) {
+                expect(result).toBeUndefined();
+                done();
+            })
+            .catch(done.fail);
+    });
+});
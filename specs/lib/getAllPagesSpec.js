@@ -0,0 +1,49 @@
+'use strict';
+
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var getAllPages = require('../../lib/getAllPages');
+
+describe('getAllPages', function () {
+    var url = 'https://api.github.com/repos/Org/repo/pulls/1/commits';
+
+    it('resolves with the items of every page', function (done) {
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === url) {
+                return Promise.resolve({
+                    headers: {
+                        link: '<https://url?page=2>; rel="next",<https://url?page=2>; rel="last"'
+                    },
+                    body: [1, 2]
+                });
+            }
+            if (options.url === 'https://url?page=2') {
+                return Promise.resolve({
+                    headers: {},
+                    body: [3]
+                });
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+
+        getAllPages(url, {})
+            .then(function (items) {
+                expect(items).toEqual([1, 2, 3]);
+                expect(requestPromise.get.calls.argsFor(0)[0].qs).toEqual({per_page: 100});
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('rejects if a page can not be requested', function (done) {
+        spyOn(requestPromise, 'get').and.returnValue(Promise.reject(new Error('Not Found')));
+
+        getAllPages(url, {})
+            .then(done.fail)
+            .catch(function (error) {
+                expect(error.message).toBe('Not Found');
+                done();
+            });
+    });
+});
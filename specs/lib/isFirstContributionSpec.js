@@ -0,0 +1,63 @@
+'use strict';
+
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var isFirstContribution = require('../../lib/isFirstContribution');
+var RepositorySettings = require('../../lib/RepositorySettings');
+
+describe('isFirstContribution', function () {
+    var repositorySettings = new RepositorySettings({
+        name: 'AnalyticalGraphicsInc/cesium'
+    });
+
+    function fakeSearch(items) {
+        spyOn(requestPromise, 'get').and.returnValue(Promise.resolve({
+            total_count: items.length,
+            items: items
+        }));
+    }
+
+    it('searches the merged pull requests of the author', function (done) {
+        fakeSearch([]);
+        isFirstContribution('boomerJones', 7, repositorySettings)
+            .then(function (result) {
+                expect(result).toBe(true);
+                expect(requestPromise.get).toHaveBeenCalledWith({
+                    url: 'https://api.github.com/search/issues',
+                    qs: {
+                        q: 'repo:AnalyticalGraphicsInc/cesium type:pr is:merged author:boomerJones',
+                        per_page: 100
+                    },
+                    headers: repositorySettings.headers,
+                    json: true
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('does not count the pull request itself', function (done) {
+        fakeSearch([{number: 7}]);
+        isFirstContribution('boomerJones', 7, repositorySettings)
+            .then(function (result) {
+                expect(result).toBe(true);
+                return isFirstContribution('boomerJones', 8, repositorySettings);
+            })
+            .then(function (result) {
+                expect(result).toBe(false);
+                return isFirstContribution('boomerJones', undefined, repositorySettings);
+            })
+            .then(function (result) {
+                expect(result).toBe(false);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('throws without a username', function () {
+        expect(function () {
+            isFirstContribution(undefined, 7, repositorySettings);
+        }).toThrowError();
+    });
+});
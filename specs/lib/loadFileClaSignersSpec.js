@@ -0,0 +1,62 @@
+'use strict';
+
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var loadFileClaSigners = require('../../lib/loadFileClaSigners');
+var RepositorySettings = require('../../lib/RepositorySettings');
+
+describe('loadFileClaSigners', function () {
+    var repositorySettings;
+
+    beforeEach(function () {
+        repositorySettings = new RepositorySettings({
+            name: 'AnalyticalGraphicsInc/cesium'
+        });
+    });
+
+    function fakeFile(content) {
+        spyOn(requestPromise, 'get').and.returnValue(Promise.resolve({
+            content: Buffer.from(content).toString('base64')
+        }));
+    }
+
+    it('reads the file from the .concierge directory of the repository', function (done) {
+        fakeFile('[{"gitHub": "boomerJones"}]');
+        loadFileClaSigners({path: 'cla.json'}, repositorySettings)
+            .then(function (signers) {
+                expect(requestPromise.get).toHaveBeenCalledWith({
+                    url: 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/contents/.concierge/cla.json',
+                    headers: repositorySettings.headers,
+                    json: true
+                });
+                expect(signers.userNames).toEqual(['boomerJones']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('uses the format and fields of the source', function (done) {
+        fakeFile('name,login,mail\nBoomer Jones,boomerJones,boomer@example.com\n');
+        loadFileClaSigners({path: 'signers.txt', format: 'csv', field: 'login', emailField: 'mail'}, repositorySettings)
+            .then(function (signers) {
+                expect(signers).toEqual({
+                    userNames: ['boomerJones'],
+                    emails: ['boomer@example.com'],
+                    domains: []
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('rejects if the file can not be read', function (done) {
+        spyOn(requestPromise, 'get').and.returnValue(Promise.reject({statusCode: 404}));
+        loadFileClaSigners({path: 'cla.csv'}, repositorySettings)
+            .then(done.fail)
+            .catch(function (error) {
+                expect(error.statusCode).toBe(404);
+                done();
+            });
+    });
+});
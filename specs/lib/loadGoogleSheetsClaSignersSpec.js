@@ -0,0 +1,144 @@
+'use strict';
+
+var Promise = require('bluebird');
+
+var loadGoogleSheetsClaSigners = require('../../lib/loadGoogleSheetsClaSigners');
+
+describe('loadGoogleSheetsClaSigners', function () {
+    var googleSheetsApi;
+    var values;
+
+    beforeEach(function () {
+        values = [
+            ['boomerJones'],
+            []//The spreadsheet may have an empty row
+        ];
+        googleSheetsApi = {
+            spreadsheets: {
+                values: {
+                    get: jasmine.createSpy('get').and.callFake(function () {
+                        return Promise.resolve({
+                            data: {
+                                values: values
+                            }
+                        });
+                    })
+                }
+            }
+        };
+    });
+
+    it('throws without the API or spreadsheet ID', function () {
+        expect(function () {
+            loadGoogleSheetsClaSigners(undefined, {spreadsheetId: 'individual'});
+        }).toThrowError();
+        expect(function () {
+            loadGoogleSheetsClaSigners(googleSheetsApi, {});
+        }).toThrowError();
+    });
+
+    it('reads the usernames from column D by default', function (done) {
+        loadGoogleSheetsClaSigners(googleSheetsApi, {spreadsheetId: 'individual'})
+            .then(function (signers) {
+                expect(googleSheetsApi.spreadsheets.values.get).toHaveBeenCalledWith({
+                    spreadsheetId: 'individual',
+                    range: 'D2:D'
+                });
+                expect(signers).toEqual({
+                    userNames: ['boomerJones'],
+                    emails: [],
+                    domains: []
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('reads the configured sheet, column and first row', function (done) {
+        loadGoogleSheetsClaSigners(googleSheetsApi, {
+            spreadsheetId: 'individual',
+            sheet: 'Form Responses \'18',
+            column: 'B',
+            firstRow: 3
+        })
+            .then(function () {
+                expect(googleSheetsApi.spreadsheets.values.get).toHaveBeenCalledWith({
+                    spreadsheetId: 'individual',
+                    range: '\'Form Responses \'\'18\'!B3:B'
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('reads the email and domain columns', function (done) {
+        googleSheetsApi.spreadsheets.values.get.and.callFake(function (options) {
+            var columns = {
+                'E2:E': [['boomer@example.com']],
+                'F2:F': [['@example.org'], []]
+            };
+            return Promise.resolve({
+                data: {
+                    values: columns[options.range]
+                }
+            });
+        });
+        loadGoogleSheetsClaSigners(googleSheetsApi, {
+            spreadsheetId: 'corporate',
+            emailColumn: 'E',
+            domainColumn: 'F'
+        })
+            .then(function (signers) {
+                expect(googleSheetsApi.spreadsheets.values.get.calls.count()).toBe(2);
+                expect(signers).toEqual({
+                    userNames: [],
+                    emails: ['boomer@example.com'],
+                    domains: ['@example.org']
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('splits free text cells into usernames and emails', function (done) {
+        values = [
+            [],
+            ['Boomer Jones - boomerJones\nOmar Shehata <omar@example.com>']
+        ];
+        loadGoogleSheetsClaSigners(googleSheetsApi, {
+            spreadsheetId: 'corporate',
+            column: 'H',
+            freeText: true
+        })
+            .then(function (signers) {
+                expect(signers.userNames).toEqual(['Boomer', 'Jones', '-', 'boomerJones', 'Omar', 'Shehata']);
+                expect(signers.emails).toEqual(['omar@example.com']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('works with an empty sheet', function (done) {
+        values = undefined;
+        loadGoogleSheetsClaSigners(googleSheetsApi, {spreadsheetId: 'individual'})
+            .then(function (signers) {
+                expect(signers).toEqual({
+                    userNames: [],
+                    emails: [],
+                    domains: []
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('rejects if the sheet can not be read', function (done) {
+        googleSheetsApi.spreadsheets.values.get.and.returnValue(Promise.reject('Google Sheets API failed.'));
+        loadGoogleSheetsClaSigners(googleSheetsApi, {spreadsheetId: 'individual'})
+            .then(done.fail)
+            .catch(function (error) {
+                expect(error).toBe('Google Sheets API failed.');
+                done();
+            });
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var loadHttpClaSigners = require('../../lib/loadHttpClaSigners');
+var Settings = require('../../lib/Settings');
+
+describe('loadHttpClaSigners', function () {
+    var url = 'https://cla.example.com/signers';
+
+    it('throws without a URL', function () {
+        expect(function () {
+            loadHttpClaSigners({});
+        }).toThrowError();
+    });
+
+    it('reads a JSON list from the endpoint', function (done) {
+        spyOn(requestPromise, 'get').and.returnValue(Promise.resolve('{"signers": [{"gitHub": "boomerJones"}]}'));
+        spyOnProperty(Settings, 'claHttpCredentials').and.returnValue({
+            signers: {
+                Authorization: 'Bearer token'
+            }
+        });
+        loadHttpClaSigners({
+            url: url,
+            credentials: 'signers',
+            headers: {
+                Accept: 'application/json'
+            }
+        })
+            .then(function (signers) {
+                expect(requestPromise.get).toHaveBeenCalledWith({
+                    url: url,
+                    headers: {
+                        'User-Agent': 'cesium-concierge',
+                        Accept: 'application/json',
+                        Authorization: 'Bearer token'
+                    }
+                });
+                expect(signers.userNames).toEqual(['boomerJones']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('rejects if the credentials are not configured', function (done) {
+        spyOnProperty(Settings, 'claHttpCredentials').and.returnValue(undefined);
+        spyOn(requestPromise, 'get');
+        loadHttpClaSigners({url: url, credentials: 'signers'})
+            .then(done.fail)
+            .catch(function (error) {
+                expect(error.message).toContain('No claHttpCredentials named signers');
+                expect(requestPromise.get).not.toHaveBeenCalled();
+                done();
+            });
+    });
+
+    it('reads a CSV list from the endpoint', function (done) {
+        spyOn(requestPromise, 'get').and.returnValue(Promise.resolve('user,domain\nboomerJones,\n,example.com\n'));
+        loadHttpClaSigners({url: url, format: 'csv', field: 'user'})
+            .then(function (signers) {
+                expect(signers).toEqual({
+                    userNames: ['boomerJones'],
+                    emails: [],
+                    domains: ['example.com']
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+});
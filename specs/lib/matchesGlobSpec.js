@@ -0,0 +1,24 @@
+'use strict';
+
+var matchesGlob = require('../../lib/matchesGlob');
+
+describe('matchesGlob', function () {
+    it('returns false when parameters are undefined', function () {
+        expect(matchesGlob(undefined, '**')).toBe(false);
+        expect(matchesGlob('file.txt', undefined)).toBe(false);
+    });
+
+    it('matches any of the globs', function () {
+        expect(matchesGlob('Source/Core/Cartesian3.js', 'Source/**/*.js')).toBe(true);
+        expect(matchesGlob('Source/Core/Cartesian3.js', ['Specs/**', 'Source/**'])).toBe(true);
+        expect(matchesGlob('Source/Core/Cartesian3.js', ['Specs/**', '*.js'])).toBe(false);
+        expect(matchesGlob('CHANGES.md', 'CHANGES.md')).toBe(true);
+        expect(matchesGlob('Apps/CHANGES.md', 'CHANGES.md')).toBe(false);
+        expect(matchesGlob('.github/CODEOWNERS', '**/CODEOWNERS')).toBe(true);
+    });
+
+    it('is case sensitive unless told otherwise', function () {
+        expect(matchesGlob('specs/lib/testSpec.js', 'Specs/**')).toBe(false);
+        expect(matchesGlob('specs/lib/testSpec.js', 'Specs/**', {caseSensitive: false})).toBe(true);
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+var parseClaSigners = require('../../lib/parseClaSigners');
+
+describe('parseClaSigners', function () {
+    it('reads a JSON array of usernames, emails or objects', function () {
+        expect(parseClaSigners('["boomerJones", "omar@example.com"]', 'json')).toEqual({
+            userNames: ['boomerJones'],
+            emails: ['omar@example.com'],
+            domains: []
+        });
+        expect(parseClaSigners('[{"gitHub": "boomerJones", "email": ["boomer@example.com", "bj@example.org"]}, {"name": "No Username"}, {"domain": "example.net"}]', 'json')).toEqual({
+            userNames: ['boomerJones'],
+            emails: ['boomer@example.com', 'bj@example.org'],
+            domains: ['example.net']
+        });
+        expect(parseClaSigners('{"signers": [{"login": "boomerJones", "mail": "boomer@example.com"}]}', 'json', {field: 'login', emailField: 'mail'})).toEqual({
+            userNames: ['boomerJones'],
+            emails: ['boomer@example.com'],
+            domains: []
+        });
+    });
+
+    it('reads a CSV list with a header row', function () {
+        var csv = 'Name,GitHub,Email,Date\r\n' +
+            '"Jones, Boomer",boomerJones,,2018-01-01\r\n' +
+            '\r\n' +
+            '"Omar ""Shehata""",OmarShehata,omar@example.com,2018-01-02\n';
+        expect(parseClaSigners(csv, 'csv')).toEqual({
+            userNames: ['boomerJones', 'OmarShehata'],
+            emails: ['omar@example.com'],
+            domains: []
+        });
+        expect(parseClaSigners(csv, 'csv', {field: 'name'}).userNames).toEqual(['Jones, Boomer', 'Omar "Shehata"']);
+        expect(parseClaSigners('', 'csv')).toEqual(parseClaSigners.createSigners());
+    });
+
+    it('tells usernames and emails apart', function () {
+        var signers = parseClaSigners.createSigners();
+        ['boomerJones,', '<omar@example.com>', '(someone@example.org).', '-', ''].forEach(function (word) {
+            parseClaSigners.addUserNameOrEmail(signers, word);
+        });
+        expect(signers).toEqual({
+            userNames: ['boomerJones', '-'],
+            emails: ['omar@example.com', 'someone@example.org'],
+            domains: []
+        });
+        expect(parseClaSigners.isEmail('omar@example.com')).toBe(true);
+        expect(parseClaSigners.isEmail('@omar')).toBe(false);
+    });
+
+    it('throws for malformed lists', function () {
+        expect(function () {
+            parseClaSigners('{"gitHub": "boomerJones"}', 'json');
+        }).toThrowError();
+        expect(function () {
+            parseClaSigners('Name\nBoomer Jones', 'csv');
+        }).toThrowError();
+        expect(function () {
+            parseClaSigners('boomerJones', 'xml');
+        }).toThrowError();
+    });
+});
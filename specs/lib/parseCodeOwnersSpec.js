@@ -0,0 +1,45 @@
+'use strict';
+
+var parseCodeOwners = require('../../lib/parseCodeOwners');
+
+describe('parseCodeOwners', function () {
+    var content = '# Everything else\n' +
+        '*       @OmarShehata\n' +
+        '\n' +
+        '*.glsl  @AnalyticalGraphicsInc/shaders   # Shader experts\n' +
+        '/Source/Scene/ @boomerJones @hpinkos\n' +
+        'docs/*  docs@example.com\n' +
+        'Specs/  @AnalyticalGraphicsInc/testers\n' +
+        '/ThirdParty\n';
+
+    it('reads the rules in order', function () {
+        var rules = parseCodeOwners(content);
+        expect(rules.map(function (rule) {
+            return rule.pattern;
+        })).toEqual(['*', '*.glsl', '/Source/Scene/', 'docs/*', 'Specs/', '/ThirdParty']);
+        expect(rules[2].owners).toEqual(['@boomerJones', '@hpinkos']);
+        expect(rules[5].owners).toEqual([]);
+    });
+
+    it('converts patterns to globs', function () {
+        expect(parseCodeOwners.getGlobs('*.js')).toEqual(['**/*.js', '**/*.js/**']);
+        expect(parseCodeOwners.getGlobs('/Source/Scene/')).toEqual(['Source/Scene/**']);
+        expect(parseCodeOwners.getGlobs('Specs/')).toEqual(['**/Specs/**']);
+        expect(parseCodeOwners.getGlobs('docs/*')).toEqual(['docs/*', 'docs/*/**']);
+        expect(parseCodeOwners.getGlobs('/ThirdParty')).toEqual(['ThirdParty', 'ThirdParty/**']);
+        expect(parseCodeOwners.getGlobs('Apps/**')).toEqual(['Apps/**']);
+    });
+
+    it('finds the owners of the last matching rule', function () {
+        var rules = parseCodeOwners(content);
+        expect(parseCodeOwners.getOwners(rules, 'README.md')).toEqual(['@OmarShehata']);
+        expect(parseCodeOwners.getOwners(rules, 'Source/Shaders/GlobeFS.glsl')).toEqual(['@AnalyticalGraphicsInc/shaders']);
+        expect(parseCodeOwners.getOwners(rules, 'Source/Scene/Globe.js')).toEqual(['@boomerJones', '@hpinkos']);
+        expect(parseCodeOwners.getOwners(rules, 'Source/Scene/GlobeFS.glsl')).toEqual(['@boomerJones', '@hpinkos']);
+        expect(parseCodeOwners.getOwners(rules, 'docs/index.md')).toEqual(['docs@example.com']);
+        expect(parseCodeOwners.getOwners(rules, 'Apps/docs/index.md')).toEqual(['@OmarShehata']);
+        expect(parseCodeOwners.getOwners(rules, 'Apps/Specs/AppSpec.js')).toEqual(['@AnalyticalGraphicsInc/testers']);
+        expect(parseCodeOwners.getOwners(rules, 'ThirdParty/knockout.js')).toEqual([]);
+        expect(parseCodeOwners.getOwners([], 'README.md')).toEqual([]);
+    });
+});
@@ -2,6 +2,7 @@
 
 var Promise = require('bluebird');
 
+var EventHandlerRegistry = require('../../lib/EventHandlerRegistry');
 var postToGitHub = require('../../lib/postToGitHub');
 var RepositorySettings = require('../../lib/RepositorySettings');
 var Settings = require('../../lib/Settings');
@@ -20,10 +21,15 @@ describe('postToGitHub', function () {
 
         repositorySettings = new RepositorySettings();
         Settings.repositories['AnalyticalGraphics/cesium'] = repositorySettings;
+
+        postToGitHub.deliveryQueue = {
+            push: jasmine.createSpy('push').and.returnValue(true)
+        };
     });
 
     afterEach(function () {
         delete Settings.repositories['AnalyticalGraphics/cesium'];
+        postToGitHub.deliveryQueue = undefined;
     });
 
     it('errors if the specified repository is not configured', function () {
@@ -38,65 +44,64 @@ describe('postToGitHub', function () {
         var next = jasmine.createSpy('next');
         postToGitHub(req, {}, next);
         expect(next).toHaveBeenCalledWith(new Error('ThisDoesNotExist is not a configured repository.'));
+        expect(postToGitHub.deliveryQueue.push).not.toHaveBeenCalled();
     });
 
-    it('calls commentOnClosedIssue for a closed pull request', function (done) {
+    it('queues the delivery and acknowledges it', function () {
         var req = {
             headers: {
+                'x-github-delivery': 'id',
                 'x-github-event': 'pull_request'
             },
             body: {
-                action: 'closed',
+                action: 'opened',
                 repository: {
                     full_name: 'AnalyticalGraphics/cesium'
                 }
             }
         };
 
-        spyOn(postToGitHub, '_commentOnClosedIssue').and.returnValue(Promise.resolve());
         var next = jasmine.createSpy('next');
+        postToGitHub(req, res, next);
 
-        postToGitHub(req, res, next)
-            .then(function () {
-                expect(postToGitHub._commentOnClosedIssue).toHaveBeenCalledWith(req.body, repositorySettings);
-                expect(res.status).toHaveBeenCalledWith(204);
-                expect(res.end).toHaveBeenCalled();
-                expect(next).toHaveBeenCalledWith();
-                done();
-            })
-            .catch(done.fail);
+        expect(postToGitHub.deliveryQueue.push).toHaveBeenCalledWith({
+            id: 'id',
+            event: 'pull_request',
+            body: req.body
+        });
+        expect(res.status).toHaveBeenCalledWith(202);
+        expect(res.end).toHaveBeenCalled();
+        expect(next).toHaveBeenCalledWith();
     });
 
-    it('calls commentOnClosedIssue for a closed issue', function (done) {
+    it('acknowledges a duplicate delivery without handling it again', function () {
         var req = {
             headers: {
-                'x-github-event': 'issues'
+                'x-github-delivery': 'id',
+                'x-github-event': 'pull_request'
             },
             body: {
-                action: 'closed',
+                action: 'opened',
                 repository: {
                     full_name: 'AnalyticalGraphics/cesium'
                 }
             }
         };
 
-        spyOn(postToGitHub, '_commentOnClosedIssue').and.returnValue(Promise.resolve());
+        postToGitHub.deliveryQueue.push.and.returnValue(false);
+        spyOn(console, 'log');
         var next = jasmine.createSpy('next');
+        postToGitHub(req, res, next);
 
-        postToGitHub(req, res, next)
-            .then(function () {
-                expect(postToGitHub._commentOnClosedIssue).toHaveBeenCalledWith(req.body, repositorySettings);
-                expect(res.status).toHaveBeenCalledWith(204);
-                expect(res.end).toHaveBeenCalled();
-                expect(next).toHaveBeenCalledWith();
-                done();
-            })
-            .catch(done.fail);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.end).toHaveBeenCalled();
+        expect(next).toHaveBeenCalledWith();
     });
 
-    it('calls commentOnOpenedPullRequest for a opened pull request', function (done) {
+    it('calls next with the error if the delivery cannot be queued', function () {
         var req = {
             headers: {
+                'x-github-delivery': 'id',
                 'x-github-event': 'pull_request'
             },
             body: {
@@ -107,69 +112,166 @@ describe('postToGitHub', function () {
             }
         };
 
-        spyOn(postToGitHub, '_commentOnOpenedPullRequest').and.returnValue(Promise.resolve());
+        var error = new Error('Disk is full');
+        postToGitHub.deliveryQueue.push.and.throwError(error);
         var next = jasmine.createSpy('next');
+        postToGitHub(req, res, next);
 
-        postToGitHub(req, res, next)
-            .then(function () {
-                expect(postToGitHub._commentOnOpenedPullRequest).toHaveBeenCalledWith(req.body, repositorySettings);
-                expect(res.status).toHaveBeenCalledWith(204);
-                expect(res.end).toHaveBeenCalled();
-                expect(next).toHaveBeenCalledWith();
-                done();
-            })
-            .catch(done.fail);
+        expect(res.status).not.toHaveBeenCalled();
+        expect(next).toHaveBeenCalledWith(error);
     });
 
-    it('no-op on an unknown event', function (done) {
-        var req = {
-            headers: {
-                'x-github-event': 'na-da'
-            },
-            body: {
-                action: 'opened',
-                repository: {
-                    full_name: 'AnalyticalGraphics/cesium'
-                }
-            }
-        };
+    describe('processDelivery', function () {
+        var eventHandlers;
+        var closedHandler;
+        var openedHandler;
 
-        var next = jasmine.createSpy('next');
+        beforeEach(function () {
+            spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve(repositorySettings));
 
-        postToGitHub(req, res, next)
-            .then(function () {
-                expect(res.status).toHaveBeenCalledWith(204);
-                expect(res.end).toHaveBeenCalled();
-                expect(next).toHaveBeenCalledWith();
-                done();
-            })
-            .catch(done.fail);
-    });
+            closedHandler = jasmine.createSpy('closedHandler').and.returnValue(Promise.resolve());
+            closedHandler.events = ['issues.closed', 'pull_request.closed'];
+            openedHandler = jasmine.createSpy('openedHandler').and.returnValue(Promise.resolve());
+            openedHandler.events = ['pull_request.opened'];
 
-    it('calls next with rejected promise error', function (done) {
-        var req = {
-            headers: {
-                'x-github-event': 'pull_request'
-            },
-            body: {
-                action: 'opened',
-                repository: {
-                    full_name: 'AnalyticalGraphics/cesium'
+            eventHandlers = postToGitHub._eventHandlers;
+            postToGitHub._eventHandlers = new EventHandlerRegistry();
+            postToGitHub._eventHandlers.register('closedHandler', closedHandler);
+            postToGitHub._eventHandlers.register('openedHandler', openedHandler);
+        });
+
+        afterEach(function () {
+            postToGitHub._eventHandlers = eventHandlers;
+        });
+
+        function createDelivery(event, action, repositoryName) {
+            return {
+                id: 'id',
+                event: event,
+                body: {
+                    action: action,
+                    repository: {
+                        full_name: repositoryName || 'AnalyticalGraphics/cesium'
+                    }
                 }
-            }
-        };
+            };
+        }
 
-        var error = new Error('Something bad happened');
-        spyOn(postToGitHub, '_commentOnOpenedPullRequest').and.returnValue(Promise.reject(error));
-        var next = jasmine.createSpy('next');
+        it('registers the built-in handlers', function () {
+            expect(eventHandlers.getHandlerNames('pull_request', 'closed', repositorySettings)).toEqual(['commentOnClosedIssue']);
+            expect(eventHandlers.getHandlerNames('issues', 'closed', repositorySettings)).toEqual(['commentOnClosedIssue']);
+            expect(eventHandlers.getHandlerNames('pull_request', 'opened', repositorySettings)).toEqual(['commentOnOpenedPullRequest']);
+            expect(eventHandlers.getHandlerNames('issue_comment', 'created', repositorySettings)).toEqual(['respondToCommand']);
+            expect(eventHandlers.getHandlerNames('issues', 'opened', repositorySettings)).toEqual(['applyLabelRules']);
+        });
+
+        it('rejects if the repository is no longer configured', function (done) {
+            postToGitHub.processDelivery(createDelivery('issues', 'closed', 'ThisDoesNotExist'))
+                .then(done.fail)
+                .catch(function (error) {
+                    expect(error.message).toBe('ThisDoesNotExist is not a configured repository.');
+                    done();
+                });
+        });
 
-        postToGitHub(req, res, next)
-            .then(done.fail)
-            .catch(function () {
-                expect(res.status).not.toHaveBeenCalled();
-                expect(res.end).not.toHaveBeenCalled();
-                expect(next).toHaveBeenCalledWith(error);
-                done();
+        it('fetches the latest repository settings before choosing handlers', function (done) {
+            repositorySettings.fetchSettings.and.callFake(function () {
+                repositorySettings.handlers = {
+                    closedHandler: false
+                };
+                return Promise.resolve(repositorySettings);
             });
+
+            postToGitHub.processDelivery(createDelivery('issues', 'closed'))
+                .then(function () {
+                    expect(closedHandler).not.toHaveBeenCalled();
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it('calls the handler registered for a closed pull request', function (done) {
+            var delivery = createDelivery('pull_request', 'closed');
+
+            postToGitHub.processDelivery(delivery)
+                .then(function () {
+                    expect(closedHandler).toHaveBeenCalledWith(delivery.body, repositorySettings);
+                    expect(openedHandler).not.toHaveBeenCalled();
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it('calls the handler registered for a closed issue', function (done) {
+            var delivery = createDelivery('issues', 'closed');
+
+            postToGitHub.processDelivery(delivery)
+                .then(function () {
+                    expect(closedHandler).toHaveBeenCalledWith(delivery.body, repositorySettings);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it('calls the handler registered for a opened pull request', function (done) {
+            var delivery = createDelivery('pull_request', 'opened');
+
+            postToGitHub.processDelivery(delivery)
+                .then(function () {
+                    expect(openedHandler).toHaveBeenCalledWith(delivery.body, repositorySettings);
+                    expect(closedHandler).not.toHaveBeenCalled();
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it('no-op on an unknown event', function (done) {
+            postToGitHub.processDelivery(createDelivery('na-da', 'opened'))
+                .then(function () {
+                    expect(closedHandler).not.toHaveBeenCalled();
+                    expect(openedHandler).not.toHaveBeenCalled();
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it('runs the remaining handlers and rejects with the handler error', function (done) {
+            var error = new Error('Something bad happened');
+            var anotherHandler = jasmine.createSpy('anotherHandler').and.returnValue(Promise.resolve());
+            anotherHandler.events = ['pull_request'];
+            postToGitHub._eventHandlers.register('anotherHandler', anotherHandler);
+            openedHandler.and.returnValue(Promise.reject(error));
+
+            postToGitHub.processDelivery(createDelivery('pull_request', 'opened'))
+                .then(done.fail)
+                .catch(function (rejectedError) {
+                    expect(rejectedError).toBe(error);
+                    expect(anotherHandler).toHaveBeenCalled();
+                    done();
+                });
+        });
+
+        it('only runs the failed handlers when the delivery is retried', function (done) {
+            var anotherHandler = jasmine.createSpy('anotherHandler').and.returnValue(Promise.resolve());
+            anotherHandler.events = ['pull_request'];
+            postToGitHub._eventHandlers.register('anotherHandler', anotherHandler);
+            openedHandler.and.returnValue(Promise.reject(new Error('Something bad happened')));
+
+            var delivery = createDelivery('pull_request', 'opened');
+            postToGitHub.processDelivery(delivery)
+                .then(done.fail)
+                .catch(function () {
+                    expect(delivery.completedHandlers).toEqual(['anotherHandler']);
+                    openedHandler.and.returnValue(Promise.resolve());
+                    return postToGitHub.processDelivery(delivery);
+                })
+                .then(function () {
+                    expect(openedHandler).toHaveBeenCalledTimes(2);
+                    expect(anotherHandler).toHaveBeenCalledTimes(1);
+                    expect(delivery.completedHandlers).toEqual(['anotherHandler', 'openedHandler']);
+                    done();
+                })
+                .catch(done.fail);
+        });
     });
 });
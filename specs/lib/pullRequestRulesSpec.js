@@ -0,0 +1,129 @@
+'use strict';
+
+var pullRequestRules = require('../../lib/pullRequestRules');
+var RepositorySettings = require('../../lib/RepositorySettings');
+
+describe('pullRequestRules', function () {
+    function evaluateDefaultRule(name, files, baseBranch, options) {
+        var rules = pullRequestRules.getDefaultRules(new RepositorySettings(options));
+        var results = pullRequestRules.evaluate(rules, {
+            files: files,
+            baseBranch: baseBranch
+        });
+        return results.hasOwnProperty(name) && results[name].failed;
+    }
+
+    it('asks about CHANGES.md on master', function () {
+        expect(evaluateDefaultRule('changes', ['CHANGES.md'], 'master')).toBe(false);
+        expect(evaluateDefaultRule('changes', ['file.txt'], 'feature-branch')).toBe(false);
+
+        expect(evaluateDefaultRule('changes', [], 'master')).toBe(true);
+        expect(evaluateDefaultRule('changes', ['file.txt'], 'master')).toBe(true);
+        expect(evaluateDefaultRule('changes', ['CHANGES.MD'], 'master')).toBe(true);
+        expect(evaluateDefaultRule('changes', ['leadingCHANGES.md'], 'master')).toBe(true);
+        expect(evaluateDefaultRule('changes', ['CHANGES.mdtrailing'], 'master')).toBe(true);
+    });
+
+    it('asks about tests when the repository has a unit test path', function () {
+        expect(evaluateDefaultRule('tests', ['file.txt'], 'master')).toBe(false);
+        expect(evaluateDefaultRule('tests', ['Specs/lib/testSpec.js'], 'master', {unitTestPath: 'Specs/'})).toBe(false);
+        expect(evaluateDefaultRule('tests', ['specs/lib/testSpec.js'], 'master', {unitTestPath: 'Specs/'})).toBe(false);
+
+        expect(evaluateDefaultRule('tests', ['file.txt'], 'master', {unitTestPath: 'Specs/'})).toBe(true);
+    });
+
+    it('asks about third party folders', function () {
+        expect(evaluateDefaultRule('thirdParty', ['ThirdParty/file.js'], 'master', {thirdPartyFolders: ['ThirdParty']})).toBe(true);
+        expect(evaluateDefaultRule('thirdParty', ['Source/ThirdParty/file.js'], 'master', {thirdPartyFolders: 'ThirdParty,/Source/ThirdParty/'})).toBe(true);
+
+        expect(evaluateDefaultRule('thirdParty', ['file.txt'], 'master', {thirdPartyFolders: []})).toBe(false);
+        expect(evaluateDefaultRule('thirdParty', ['NotThirdParty/file.js'], 'master', {thirdPartyFolders: ['ThirdParty']})).toBe(false);
+    });
+
+    it('adds the rules of the repository to the default rules', function () {
+        spyOn(console, 'log');
+        var rules = pullRequestRules.getRules(new RepositorySettings({
+            unitTestPath: 'Specs/',
+            pullRequestRules: [{
+                name: 'tests',
+                enabled: false
+            }, {
+                name: 'changes',
+                requireFiles: ['CHANGES.md', 'Documentation/CHANGES.md']
+            }, {
+                name: 'shaders',
+                files: ['**/*.glsl']
+            }, {
+                files: ['**']
+            }]
+        }));
+
+        expect(rules).toEqual([{
+            name: 'changes',
+            requireFiles: ['CHANGES.md', 'Documentation/CHANGES.md']
+        }, {
+            name: 'shaders',
+            files: ['**/*.glsl']
+        }]);
+        expect(console.log).toHaveBeenCalled();
+    });
+
+    it('requires files when matching files change', function () {
+        var results = pullRequestRules.evaluate([{
+            name: 'docs',
+            baseBranches: ['master', 'release/*'],
+            files: ['Source/**/*.js'],
+            requireFiles: ['Documentation/**'],
+            message: 'Please update the documentation.'
+        }], {
+            files: ['Source/Core/Cartesian3.js', 'README.md'],
+            baseBranch: 'release/1.50'
+        });
+
+        expect(results.docs).toEqual({
+            name: 'docs',
+            message: 'Please update the documentation.',
+            applies: true,
+            failed: true,
+            files: ['Source/Core/Cartesian3.js']
+        });
+
+        results = pullRequestRules.evaluate([{
+            name: 'docs',
+            files: ['Source/**/*.js'],
+            requireFiles: ['Documentation/**']
+        }], {
+            files: ['Source/Core/Cartesian3.js', 'Documentation/Cartesian3.md'],
+            baseBranch: 'master'
+        });
+        expect(results.docs.applies).toBe(true);
+        expect(results.docs.failed).toBe(false);
+    });
+
+    it('only applies rules to matching files and base branches', function () {
+        var rules = [{
+            name: 'shaders',
+            files: ['**/*.glsl'],
+            message: 'Shaders changed.'
+        }, {
+            name: 'release',
+            baseBranches: ['release/*'],
+            message: 'This targets a release branch.'
+        }];
+
+        var results = pullRequestRules.evaluate(rules, {
+            files: ['Source/Core/Cartesian3.js'],
+            baseBranch: 'master'
+        });
+        expect(results.shaders.failed).toBe(false);
+        expect(results.release.failed).toBe(false);
+
+        results = pullRequestRules.evaluate(rules, {
+            files: ['Source/Shaders/GlobeFS.glsl'],
+            baseBranch: 'release/1.50'
+        });
+        expect(results.shaders.failed).toBe(true);
+        expect(results.shaders.files).toEqual(['Source/Shaders/GlobeFS.glsl']);
+        expect(results.release.failed).toBe(true);
+    });
+});
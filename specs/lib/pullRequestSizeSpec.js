@@ -0,0 +1,105 @@
+'use strict';
+
+var pullRequestSize = require('../../lib/pullRequestSize');
+var RepositorySettings = require('../../lib/RepositorySettings');
+
+describe('pullRequestSize', function () {
+    function createFile(filename, additions, deletions) {
+        return {
+            filename: filename,
+            additions: additions,
+            deletions: deletions
+        };
+    }
+
+    it('is off unless the repository turns it on', function () {
+        expect(pullRequestSize.getOptions(new RepositorySettings())).toBeUndefined();
+        expect(pullRequestSize.getOptions(new RepositorySettings({
+            pullRequestSize: false
+        }))).toBeUndefined();
+        expect(pullRequestSize.getOptions(new RepositorySettings({
+            pullRequestSize: true
+        }))).toEqual({
+            thresholds: pullRequestSize.defaultThresholds,
+            excludeFiles: pullRequestSize.defaultExcludeFiles,
+            splitSize: 'XL'
+        });
+    });
+
+    it('merges the thresholds of the repository with the defaults and excludes third party folders', function () {
+        var options = pullRequestSize.getOptions(new RepositorySettings({
+            thirdPartyFolders: ['ThirdParty/', '/Source/ThirdParty'],
+            pullRequestSize: {
+                thresholds: {
+                    XS: {
+                        lines: 20
+                    }
+                },
+                excludeFiles: ['Build/**'],
+                splitSize: 'L'
+            }
+        }));
+        expect(options.thresholds.XS).toEqual({
+            lines: 20,
+            files: pullRequestSize.defaultThresholds.XS.files
+        });
+        expect(options.thresholds.M).toEqual(pullRequestSize.defaultThresholds.M);
+        expect(options.excludeFiles).toEqual(['Build/**', 'ThirdParty/**', 'Source/ThirdParty/**']);
+        expect(options.splitSize).toBe('L');
+    });
+
+    it('measures the changed lines and files', function () {
+        var options = pullRequestSize.getOptions(new RepositorySettings({
+            thirdPartyFolders: ['ThirdParty/'],
+            pullRequestSize: true
+        }));
+        var size = pullRequestSize.measure([
+            createFile('Source/Scene/Globe.js', 20, 5),
+            createFile('Specs/Scene/GlobeSpec.js', 10, 0),
+            createFile('ThirdParty/draco.js', 5000, 4000),
+            createFile('package-lock.json', 300, 200)
+        ], options);
+        expect(size).toEqual({
+            additions: 30,
+            deletions: 5,
+            lines: 35,
+            files: 2,
+            excludedFiles: ['ThirdParty/draco.js', 'package-lock.json'],
+            size: 'S',
+            label: 'size/S',
+            split: false
+        });
+    });
+
+    it('takes the larger size of the changed lines and files', function () {
+        var options = pullRequestSize.getOptions(new RepositorySettings({
+            pullRequestSize: true
+        }));
+        expect(pullRequestSize.measure([], options).size).toBe('XS');
+        expect(pullRequestSize.measure([createFile('a.js', 9, 0)], options).size).toBe('XS');
+        expect(pullRequestSize.measure([createFile('a.js', 5, 5)], options).size).toBe('S');
+
+        var files = [];
+        for (var i = 0; i < 20; i++) {
+            files.push(createFile('file' + i + '.js', 1, 0));
+        }
+        expect(pullRequestSize.measure(files, options).size).toBe('L');
+
+        var size = pullRequestSize.measure([createFile('a.js', 800, 200)], options);
+        expect(size.size).toBe('XL');
+        expect(size.split).toBe(true);
+    });
+
+    it('suggests splitting from the split size', function () {
+        var options = pullRequestSize.getOptions(new RepositorySettings({
+            pullRequestSize: {
+                splitSize: 'M'
+            }
+        }));
+        expect(pullRequestSize.measure([createFile('a.js', 49, 0)], options).split).toBe(false);
+        expect(pullRequestSize.measure([createFile('a.js', 50, 0)], options).split).toBe(true);
+
+        options.splitSize = 'XXL';
+        expect(pullRequestSize.measure([createFile('a.js', 5000, 0)], options).split).toBe(false);
+    });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var RepositorySettings = require('../../lib/RepositorySettings');
+var requestReviewers = require('../../lib/requestReviewers');
+
+describe('requestReviewers', function () {
+    var reviewersUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/pulls/1/requested_reviewers';
+    var contentsUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/contents/';
+    var pullsUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/pulls?state=open';
+    var teamUrl = 'https://api.github.com/orgs/AnalyticalGraphicsInc/teams/shaders/members';
+    var repositorySettings;
+    var responses;
+
+    beforeEach(function () {
+        repositorySettings = new RepositorySettings({
+            name: 'AnalyticalGraphicsInc/cesium'
+        });
+        responses = {};
+        responses[pullsUrl] = [{
+            requested_reviewers: [{login: 'ggetz'}, {login: 'lilleyse'}]
+        }, {
+            requested_reviewers: [{login: 'ggetz'}]
+        }];
+        responses[teamUrl] = [{login: 'ggetz'}, {login: 'lilleyse'}, {login: 'bagnell'}];
+
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (responses.hasOwnProperty(options.url)) {
+                var body = responses[options.url];
+                // Lists are paginated, files are not
+                return Promise.resolve(Array.isArray(body) ? {headers: {}, body: body} : body);
+            }
+            return Promise.reject({statusCode: 404});
+        });
+        spyOn(requestPromise, 'post').and.returnValue(Promise.resolve());
+    });
+
+    function codeOwners(content) {
+        return {
+            content: Buffer.from(content).toString('base64')
+        };
+    }
+
+    it('throws without a reviewers URL or files', function () {
+        expect(function () {
+            requestReviewers({files: []}, repositorySettings);
+        }).toThrowError();
+        expect(function () {
+            requestReviewers({reviewersUrl: reviewersUrl}, repositorySettings);
+        }).toThrowError();
+    });
+
+    it('requests reviews from the owners in CODEOWNERS, except the author', function (done) {
+        responses[contentsUrl + 'CODEOWNERS'] = codeOwners('* @OmarShehata\n/Source/Scene/ @boomerJones @hpinkos docs@example.com\n');
+
+        requestReviewers({
+            reviewersUrl: reviewersUrl,
+            userName: 'BoomerJones',
+            baseBranch: 'master',
+            files: ['Source/Scene/Globe.js', 'README.md']
+        }, repositorySettings)
+            .then(function (reviewers) {
+                expect(reviewers).toEqual(['hpinkos', 'OmarShehata']);
+                expect(requestPromise.get).toHaveBeenCalledWith(jasmine.objectContaining({
+                    url: contentsUrl + '.github/CODEOWNERS',
+                    qs: {
+                        ref: 'master'
+                    }
+                }));
+                expect(requestPromise.post).toHaveBeenCalledWith({
+                    url: reviewersUrl,
+                    headers: repositorySettings.headers,
+                    body: {
+                        reviewers: ['hpinkos', 'OmarShehata']
+                    },
+                    json: true
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('uses the reviewers of the repository settings instead of CODEOWNERS', function (done) {
+        repositorySettings.reviewers = {
+            '**': '@OmarShehata',
+            'Source/Shaders/**': ['@AnalyticalGraphicsInc/shaders']
+        };
+
+        requestReviewers({
+            reviewersUrl: reviewersUrl,
+            userName: 'boomerJones',
+            files: ['Source/Shaders/GlobeFS.glsl']
+        }, repositorySettings)
+            .then(function (reviewers) {
+                expect(reviewers).toEqual(['bagnell']);
+                expect(requestPromise.get).not.toHaveBeenCalledWith(jasmine.objectContaining({
+                    url: contentsUrl + 'CODEOWNERS'
+                }));
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('accepts reviewers of the repository settings without a leading @', function (done) {
+        repositorySettings.reviewers = {
+            '**': ['OmarShehata', 'docs@cesium.com']
+        };
+
+        requestReviewers({
+            reviewersUrl: reviewersUrl,
+            userName: 'boomerJones',
+            files: ['README.md']
+        }, repositorySettings)
+            .then(function (reviewers) {
+                expect(reviewers).toEqual(['OmarShehata']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('picks the team member with the fewest pending reviews', function (done) {
+        responses[pullsUrl] = [{
+            requested_reviewers: [{login: 'bagnell'}, {login: 'ggetz'}]
+        }];
+
+        requestReviewers._pickReviewers(['@AnalyticalGraphicsInc/shaders', '@AnalyticalGraphicsInc/shaders'], 'boomerJones', repositorySettings)
+            .then(function (reviewers) {
+                expect(reviewers).toEqual(['lilleyse']);
+                return requestReviewers._pickReviewers(['@bagnell', '@AnalyticalGraphicsInc/shaders'], 'lilleyse', repositorySettings);
+            })
+            .then(function (reviewers) {
+                // bagnell already covers the team
+                expect(reviewers).toEqual(['bagnell']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('does not request reviews if no one owns the files', function (done) {
+        requestReviewers({
+            reviewersUrl: reviewersUrl,
+            userName: 'boomerJones',
+            baseBranch: 'master',
+            files: ['README.md']
+        }, repositorySettings)
+            .then(function (reviewers) {
+                expect(reviewers).toEqual([]);
+                expect(requestPromise.get.calls.count()).toBe(requestReviewers.codeOwnersPaths.length);
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('skips teams whose members can not be read', function (done) {
+        spyOn(console, 'log');
+        delete responses[teamUrl];
+
+        requestReviewers._pickReviewers(['@AnalyticalGraphicsInc/shaders', '@OmarShehata'], 'boomerJones', repositorySettings)
+            .then(function (reviewers) {
+                expect(reviewers).toEqual(['OmarShehata']);
+                expect(console.log).toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+});
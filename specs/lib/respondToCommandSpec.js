@@ -0,0 +1,358 @@
+'use strict';
+
+var Cesium = require('cesium');
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var claSigners = require('../../lib/claSigners');
+var commentOnOpenedPullRequest = require('../../lib/commentOnOpenedPullRequest');
+var respondToCommand = require('../../lib/respondToCommand');
+var RepositorySettings = require('../../lib/RepositorySettings');
+
+var defined = Cesium.defined;
+
+describe('respondToCommand', function () {
+    var repositorySettings;
+    var commentsUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/issues/1/comments';
+    var permissionUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/collaborators/boomerJones/permission';
+    var permission;
+    var comments;
+
+    function createBody(text, userName) {
+        return {
+            action: 'created',
+            issue: {
+                comments_url: commentsUrl
+            },
+            comment: {
+                id: 1,
+                body: text,
+                user: {
+                    login: userName || 'boomerJones',
+                    type: 'User'
+                }
+            },
+            repository: {
+                full_name: 'AnalyticalGraphicsInc/cesium'
+            }
+        };
+    }
+
+    beforeEach(function () {
+        repositorySettings = new RepositorySettings();
+        permission = 'read';
+        comments = [];
+
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === permissionUrl) {
+                if (!defined(permission)) {
+                    return Promise.reject({
+                        statusCode: 404
+                    });
+                }
+                return Promise.resolve({
+                    permission: permission
+                });
+            }
+            if (options.url === commentsUrl) {
+                return Promise.resolve({
+                    headers: {},
+                    body: comments
+                });
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+        spyOn(requestPromise, 'post').and.returnValue(Promise.resolve());
+    });
+
+    afterEach(function () {
+        delete respondToCommand._commands['test-command'];
+    });
+
+    function expectReply(replies) {
+        expect(requestPromise.post).toHaveBeenCalledWith({
+            url: commentsUrl,
+            headers: repositorySettings.headers,
+            body: {
+                body: repositorySettings.commandReplyTemplate({
+                    userName: 'boomerJones',
+                    replies: replies
+                }) + '\n' + respondToCommand._createMarker({
+                    id: 1
+                })
+            },
+            json: true
+        });
+    }
+
+    it('handles new issue comments', function () {
+        expect(respondToCommand.events).toEqual(['issue_comment.created']);
+    });
+
+    it('_parseCommands finds commands and their arguments', function () {
+        expect(respondToCommand._parseCommands(undefined)).toEqual([]);
+        expect(respondToCommand._parseCommands('Looks good to me!')).toEqual([]);
+        expect(respondToCommand._parseCommands('@cesium-concierge stop')).toEqual([{name: 'stop', args: []}]);
+        expect(respondToCommand._parseCommands('Thanks!\r\n  @Cesium-Concierge Recheck-CLA  now please \n@cesium-concierge help')).toEqual([
+            {name: 'recheck-cla', args: ['now', 'please']},
+            {name: 'help', args: []}
+        ]);
+        expect(respondToCommand._parseCommands('Email me@cesium-concierge stop')).toEqual([]);
+        expect(respondToCommand._parseCommands('> @cesium-concierge stop\nI disagree')).toEqual([]);
+    });
+
+    it('does nothing for comments without commands', function (done) {
+        respondToCommand(createBody('Looks good to me!'), repositorySettings)
+            .then(function () {
+                expect(requestPromise.get).not.toHaveBeenCalled();
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('ignores its own comments', function (done) {
+        respondToCommand(createBody('comment with `@cesium-concierge stop`', 'cesium-concierge'), repositorySettings)
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('runs a command and replies with its result', function (done) {
+        var run = jasmine.createSpy('run').and.returnValue(Promise.resolve('Done!'));
+        respondToCommand.register('test-command', {
+            description: 'Test',
+            run: run
+        });
+
+        var body = createBody('@cesium-concierge test-command a b');
+        respondToCommand(body, repositorySettings)
+            .then(function () {
+                expect(run).toHaveBeenCalledWith({
+                    body: body,
+                    repositorySettings: repositorySettings,
+                    userName: 'boomerJones',
+                    permission: 'read'
+                }, ['a', 'b']);
+                expectReply(['Done!']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('does not reply if the command has nothing to say', function (done) {
+        respondToCommand.register('test-command', {
+            description: 'Test',
+            run: function () {
+                return undefined;
+            }
+        });
+
+        respondToCommand(createBody('@cesium-concierge test-command'), repositorySettings)
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('checks the permission of the commenter', function (done) {
+        var run = jasmine.createSpy('run');
+        respondToCommand.register('test-command', {
+            description: 'Test',
+            permission: 'write',
+            run: run
+        });
+
+        respondToCommand(createBody('@cesium-concierge test-command'), repositorySettings)
+            .then(function () {
+                expect(run).not.toHaveBeenCalled();
+                expectReply(['Sorry, you need `write` access to this repository to use `test-command`.']);
+
+                permission = 'admin';
+                requestPromise.post.calls.reset();
+                return respondToCommand(createBody('@cesium-concierge test-command'), repositorySettings);
+            })
+            .then(function () {
+                expect(run).toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('treats users without access as having no permission', function (done) {
+        permission = undefined;
+
+        respondToCommand(createBody('@cesium-concierge stop'), repositorySettings)
+            .then(function () {
+                expectReply(['Sorry, you need `read` access to this repository to use `stop`.']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('does not run the commands of a comment again once it replied', function (done) {
+        var run = jasmine.createSpy('run').and.returnValue('Done!');
+        respondToCommand.register('test-command', {
+            description: 'Test',
+            run: run
+        });
+        comments.push({
+            body: 'Done!\n' + respondToCommand._createMarker({
+                id: 1
+            })
+        });
+
+        respondToCommand(createBody('@cesium-concierge test-command'), repositorySettings)
+            .then(function () {
+                expect(run).not.toHaveBeenCalled();
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('replies with the usage for unknown commands', function (done) {
+        respondToCommand(createBody('@cesium-concierge dance'), repositorySettings)
+            .then(function () {
+                expectReply(['I don\'t know the command `dance`.\n\n' + respondToCommand._usage()]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('lists the commands for help', function (done) {
+        respondToCommand(createBody('@cesium-concierge help'), repositorySettings)
+            .then(function () {
+                var usage = respondToCommand._usage();
+                expect(usage).toContain('* `@cesium-concierge stop` - ');
+                expect(usage).toContain('* `@cesium-concierge start` - ');
+                expectReply([usage]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('rechecks the CLA of a pull request for its author and updates the checklist', function (done) {
+        var pullRequestUrl = 'https://api.github.com/repos/AnalyticalGraphicsInc/cesium/pulls/1';
+        var pullRequest = {
+            url: pullRequestUrl,
+            comments_url: commentsUrl,
+            user: {
+                login: 'boomerJones'
+            },
+            head: {
+                ref: 'feature',
+                repo: {
+                    url: 'https://api.github.com/repos/boomerJones/cesium',
+                    html_url: 'https://github.com/boomerJones/cesium'
+                }
+            },
+            base: {
+                ref: 'master'
+            }
+        };
+        requestPromise.get.and.callFake(function (options) {
+            if (options.url === permissionUrl) {
+                return Promise.resolve({
+                    permission: permission
+                });
+            }
+            if (options.url === commentsUrl) {
+                return Promise.resolve({
+                    headers: {},
+                    body: []
+                });
+            }
+            if (options.url === pullRequestUrl) {
+                return Promise.resolve(pullRequest);
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+        spyOn(commentOnOpenedPullRequest, '_implementation').and.returnValue(Promise.resolve({
+            html_url: 'https://github.com/AnalyticalGraphicsInc/cesium/pull/1#issuecomment-1'
+        }));
+        // The refresh failing should not stop the check
+        spyOn(claSigners, 'refresh').and.callFake(function () {
+            return Promise.reject(new Error('Google Sheets is down'));
+        });
+
+        var body = createBody('I sent in the CLA!\n@cesium-concierge recheck-cla');
+        body.issue.pull_request = {
+            url: pullRequestUrl
+        };
+        // The author only needs read access
+        body.issue.user = {
+            login: 'BoomerJones'
+        };
+        body.repository.html_url = 'https://github.com/AnalyticalGraphicsInc/cesium';
+
+        respondToCommand(body, repositorySettings)
+            .then(function () {
+                expect(claSigners.refresh).toHaveBeenCalledWith(repositorySettings);
+                expect(commentOnOpenedPullRequest._implementation).toHaveBeenCalledWith({
+                    filesUrl: pullRequestUrl + '/files',
+                    commentsUrl: commentsUrl,
+                    statusesUrl: undefined,
+                    commitsUrl: undefined,
+                    reviewersUrl: pullRequestUrl + '/requested_reviewers',
+                    issueUrl: undefined,
+                    number: undefined,
+                    userName: 'boomerJones',
+                    repositoryUrl: 'https://github.com/AnalyticalGraphicsInc/cesium',
+                    baseBranch: 'master',
+                    headBranch: 'feature',
+                    headHtmlUrl: 'https://github.com/boomerJones/cesium',
+                    headApiUrl: 'https://api.github.com/repos/boomerJones/cesium',
+                    title: undefined,
+                    body: undefined,
+                    labels: [],
+                    updateExisting: true
+                }, repositorySettings);
+                expectReply(['I checked the CLA again and updated the [checklist](https://github.com/AnalyticalGraphicsInc/cesium/pull/1#issuecomment-1).']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('only lets the pull request author and maintainers recheck the CLA', function (done) {
+        spyOn(claSigners, 'refresh');
+
+        var body = createBody('@cesium-concierge recheck-cla');
+        body.issue.user = {
+            login: 'OmarShehata'
+        };
+        respondToCommand(body, repositorySettings)
+            .then(function () {
+                expect(claSigners.refresh).not.toHaveBeenCalled();
+                expectReply(['Sorry, you need `write` access to this repository to use `recheck-cla`.']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('only rechecks the CLA of pull requests', function (done) {
+        permission = 'write';
+        spyOn(commentOnOpenedPullRequest, '_implementation');
+
+        respondToCommand(createBody('@cesium-concierge recheck-cla'), repositorySettings)
+            .then(function () {
+                expect(commentOnOpenedPullRequest._implementation).not.toHaveBeenCalled();
+                expectReply(['I can only check the CLA of a pull request.']);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('throws when registering a command with an unknown permission', function () {
+        expect(function () {
+            respondToCommand.register('test-command', {
+                description: 'Test',
+                permission: 'owner',
+                run: function () {}
+            });
+        }).toThrowError();
+    });
+});
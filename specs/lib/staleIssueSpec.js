@@ -0,0 +1,357 @@
+'use strict';
+
+var Promise = require('bluebird');
+var requestPromise = require('request-promise');
+
+var applyLabelRules = require('../../lib/applyLabelRules');
+var findCommentWithMarker = require('../../lib/findCommentWithMarker');
+var staleIssue = require('../../lib/staleIssue');
+var RepositorySettings = require('../../lib/RepositorySettings');
+
+describe('staleIssue', function () {
+    var repositorySettings;
+    var options;
+    var issue;
+
+    function daysAgo(days) {
+        var date = new Date(Date.now());
+        date.setDate(date.getDate() - days);
+        return date;
+    }
+
+    beforeEach(function () {
+        spyOn(console, 'log');
+        repositorySettings = new RepositorySettings({
+            name: 'AnalyticalGraphics/cesium',
+            staleIssue: {
+                days: 90,
+                closeDays: 14,
+                exemptLabels: ['priority - next release'],
+                exemptMilestones: ['1.50']
+            }
+        });
+        options = staleIssue.getOptions(repositorySettings);
+        issue = {
+            url: 'https://api.github.com/repos/AnalyticalGraphics/cesium/issues/1',
+            html_url: 'https://github.com/AnalyticalGraphics/cesium/issues/1',
+            comments_url: 'https://api.github.com/repos/AnalyticalGraphics/cesium/issues/1/comments',
+            updated_at: daysAgo(100),
+            user: {
+                login: 'boomerjones'
+            },
+            labels: [{
+                name: 'type - bug'
+            }],
+            milestone: null
+        };
+    });
+
+    function runIssueTest(comments) {
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === issue.comments_url) {
+                return Promise.resolve({
+                    headers: {},
+                    body: comments
+                });
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+        spyOn(requestPromise, 'post').and.returnValue(Promise.resolve());
+        spyOn(requestPromise, 'patch').and.returnValue(Promise.resolve());
+        spyOn(applyLabelRules, 'updateLabels').and.returnValue(Promise.resolve());
+        return staleIssue._processIssue(issue, options, repositorySettings);
+    }
+
+    function createComment(body, date, login) {
+        return {
+            body: body,
+            created_at: date,
+            updated_at: date,
+            user: {
+                login: login
+            }
+        };
+    }
+
+    it('calls staleIssue._processRepository once for each repository', function (done) {
+        var repositories = {
+            'AnalyticalGraphics/cesium': new RepositorySettings(),
+            'AnalyticalGraphics/cesium-concierge': new RepositorySettings()
+        };
+        spyOn(staleIssue, '_processRepository').and.returnValue(Promise.resolve());
+        staleIssue(repositories)
+            .then(function () {
+                expect(staleIssue._processRepository).toHaveBeenCalledTimes(2);
+                expect(staleIssue._processRepository.calls.argsFor(1)).toEqual(['AnalyticalGraphics/cesium-concierge', repositories['AnalyticalGraphics/cesium-concierge']]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('getOptions is undefined unless enabled', function () {
+        expect(staleIssue.getOptions(new RepositorySettings())).toBeUndefined();
+        expect(staleIssue.getOptions(new RepositorySettings({
+            staleIssue: false
+        }))).toBeUndefined();
+    });
+
+    it('getOptions uses the defaults', function () {
+        expect(staleIssue.getOptions(new RepositorySettings({
+            staleIssue: true
+        }))).toEqual({
+            days: staleIssue.defaultDays,
+            label: 'stale',
+            closeDays: undefined,
+            exemptLabels: [],
+            exemptMilestones: []
+        });
+    });
+
+    it('isExempt checks labels and milestones', function () {
+        expect(staleIssue.isExempt(issue, options)).toBe(false);
+
+        issue.labels.push({
+            name: 'Priority - Next Release'
+        });
+        expect(staleIssue.isExempt(issue, options)).toBe(true);
+
+        issue.labels.pop();
+        issue.milestone = {
+            title: '1.50'
+        };
+        expect(staleIssue.isExempt(issue, options)).toBe(true);
+
+        issue.milestone.title = '1.51';
+        expect(staleIssue.isExempt(issue, options)).toBe(false);
+
+        options.exemptMilestones = true;
+        expect(staleIssue.isExempt(issue, options)).toBe(true);
+    });
+
+    it('_processRepository does nothing unless enabled', function (done) {
+        repositorySettings = new RepositorySettings();
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve());
+        spyOn(requestPromise, 'get');
+        staleIssue._processRepository('AnalyticalGraphics/cesium', repositorySettings)
+            .then(function () {
+                expect(requestPromise.get).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('_processRepository processes issues which are not exempt', function (done) {
+        var pullRequest = {
+            pull_request: {},
+            labels: []
+        };
+        var exemptIssue = {
+            url: 'https://api.github.com/repos/AnalyticalGraphics/cesium/issues/2',
+            labels: [{
+                name: 'priority - next release'
+            }, {
+                name: 'stale'
+            }]
+        };
+        var nextUrl = 'https://api.github.com/repositories/1/issues?state=open&page=2';
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve());
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === 'https://api.github.com/repos/AnalyticalGraphics/cesium/issues?state=open') {
+                return Promise.resolve({
+                    headers: {
+                        link: '<' + nextUrl + '>; rel="next"'
+                    },
+                    body: [pullRequest, exemptIssue]
+                });
+            } else if (options.url === nextUrl) {
+                return Promise.resolve({
+                    headers: {},
+                    body: [issue]
+                });
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+        spyOn(staleIssue, '_processIssue').and.returnValue(Promise.resolve());
+        spyOn(applyLabelRules, 'updateLabels').and.returnValue(Promise.resolve());
+
+        staleIssue._processRepository('AnalyticalGraphics/cesium', repositorySettings)
+            .then(function () {
+                expect(staleIssue._processIssue).toHaveBeenCalledTimes(1);
+                expect(staleIssue._processIssue).toHaveBeenCalledWith(issue, options, repositorySettings);
+                // The exempt issue is no longer stale
+                expect(applyLabelRules.updateLabels).toHaveBeenCalledWith({
+                    issueUrl: exemptIssue.url,
+                    labels: ['priority - next release', 'stale'],
+                    managedLabels: ['stale'],
+                    matchingLabels: []
+                }, repositorySettings);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('_processIssue comments on and labels a stale issue', function (done) {
+        issue.updated_at = daysAgo(90);
+        runIssueTest([createComment('Still happens.', daysAgo(90), 'BobDylan')])
+            .then(function () {
+                expect(requestPromise.post).toHaveBeenCalledWith({
+                    url: issue.comments_url,
+                    headers: repositorySettings.headers,
+                    body: {
+                        body: repositorySettings.staleIssueTemplate({
+                            userName: 'boomerjones',
+                            daysSinceUpdate: 90,
+                            label: 'stale',
+                            closeDays: 14
+                        })
+                    },
+                    json: true
+                });
+                expect(requestPromise.post.calls.argsFor(0)[0].body.body).toContain('close it in 14 days');
+                expect(applyLabelRules.updateLabels).toHaveBeenCalledWith({
+                    issueUrl: issue.url,
+                    labels: ['type - bug'],
+                    managedLabels: ['stale'],
+                    matchingLabels: ['stale']
+                }, repositorySettings);
+                expect(requestPromise.patch).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('_processIssue uses the last update of the issue rather than its last comment', function (done) {
+        issue.updated_at = daysAgo(10);
+        runIssueTest([createComment('Still happens.', daysAgo(200), 'BobDylan')])
+            .then(function () {
+                // Issues which are neither stale nor labeled don't need their comments
+                expect(requestPromise.get).not.toHaveBeenCalled();
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('_processIssue removes the label once the issue is updated', function (done) {
+        issue.labels.push({
+            name: 'stale'
+        });
+        issue.updated_at = daysAgo(1);
+        runIssueTest([createComment('Still happens.', daysAgo(1), 'BobDylan')])
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                expect(applyLabelRules.updateLabels).toHaveBeenCalledWith({
+                    issueUrl: issue.url,
+                    labels: ['type - bug', 'stale'],
+                    managedLabels: ['stale'],
+                    matchingLabels: []
+                }, repositorySettings);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('_processIssue closes the issue after the grace period', function (done) {
+        var marker = findCommentWithMarker.createMarker('staleIssue');
+        issue.labels.push({
+            name: 'stale'
+        });
+        issue.updated_at = daysAgo(14);
+        runIssueTest([createComment('Stale.\n' + marker, daysAgo(14), 'cesium-concierge')])
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                expect(requestPromise.patch).toHaveBeenCalledWith({
+                    url: issue.url,
+                    headers: repositorySettings.headers,
+                    body: {
+                        state: 'closed'
+                    },
+                    json: true
+                });
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('_processIssue does not close the issue during the grace period or without closeDays', function (done) {
+        var marker = findCommentWithMarker.createMarker('staleIssue');
+        issue.labels.push({
+            name: 'stale'
+        });
+        issue.updated_at = daysAgo(13);
+        runIssueTest([createComment('Stale.\n' + marker, daysAgo(13), 'cesium-concierge')])
+            .then(function () {
+                expect(requestPromise.patch).not.toHaveBeenCalled();
+
+                options.closeDays = undefined;
+                issue.updated_at = daysAgo(200);
+                return staleIssue._processIssue(issue, options, repositorySettings);
+            })
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                expect(requestPromise.patch).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('_processIssue removes the label when the issue was updated after the stale comment', function (done) {
+        var marker = findCommentWithMarker.createMarker('staleIssue');
+        issue.labels.push({
+            name: 'stale'
+        });
+        issue.updated_at = daysAgo(20);
+        runIssueTest([createComment('Stale.\n' + marker, daysAgo(30), 'cesium-concierge')])
+            .then(function () {
+                expect(requestPromise.patch).not.toHaveBeenCalled();
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                expect(applyLabelRules.updateLabels).toHaveBeenCalledWith({
+                    issueUrl: issue.url,
+                    labels: ['type - bug', 'stale'],
+                    managedLabels: ['stale'],
+                    matchingLabels: []
+                }, repositorySettings);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('_processIssue reads every page of the comments', function (done) {
+        var nextUrl = issue.comments_url + '?page=2';
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === issue.comments_url) {
+                return Promise.resolve({
+                    headers: {
+                        link: '<' + nextUrl + '>; rel="next"'
+                    },
+                    body: [createComment('@cesium-concierge stop', daysAgo(200), 'BobDylan')]
+                });
+            } else if (options.url === nextUrl) {
+                return Promise.resolve({
+                    headers: {},
+                    body: [createComment('Still happens.', daysAgo(150), 'BobDylan')]
+                });
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+        spyOn(requestPromise, 'post');
+
+        staleIssue._processIssue(issue, options, repositorySettings)
+            .then(function () {
+                expect(requestPromise.get).toHaveBeenCalledTimes(2);
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('_processIssue does nothing when asked to stop', function (done) {
+        runIssueTest([createComment('@cesium-concierge stop', daysAgo(200), 'BobDylan')])
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                expect(applyLabelRules.updateLabels).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+});
@@ -1,8 +1,11 @@
 'use strict';
 
 var Promise = require('bluebird');
+var moment = require('moment');
 var requestPromise = require('request-promise');
 
+var applyLabelRules = require('../../lib/applyLabelRules');
+var findCommentWithMarker = require('../../lib/findCommentWithMarker');
 var stalePullRequest = require('../../lib/stalePullRequest');
 var RepositorySettings = require('../../lib/RepositorySettings');
 
@@ -11,6 +14,7 @@ describe('stalePullRequest', function () {
     var commitsData;
 
     beforeEach(function () {
+        spyOn(console, 'log');
         repositories = {
             'AnalyticalGraphics/cesium': new RepositorySettings({
                 gitHubToken: 'token1'
@@ -42,9 +46,22 @@ describe('stalePullRequest', function () {
             .catch(done.fail);
     });
 
+    function createBase(ref, defaultBranch) {
+        return {
+            ref: ref,
+            repo: {
+                default_branch: defaultBranch
+            }
+        };
+    }
+
     it('calls stalePullRequest._processPullRequest once for each returned pull request', function (done) {
-        var mockPullRequest = {};
-        var mockPullRequest2 = {};
+        var mockPullRequest = {
+            base: createBase('master', 'master')
+        };
+        var mockPullRequest2 = {
+            base: createBase('master', 'master')
+        };
         var firstResponse = {
             headers : {
                 link : '<https://url?page=2>; rel="next",<https://url?page=2>; rel="last"'
@@ -59,7 +76,7 @@ describe('stalePullRequest', function () {
         };
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
-            if (options.url === 'https://api.github.com/repos/AnalyticalGraphics/cesium/pulls?state=open&base=master') {
+            if (options.url === 'https://api.github.com/repos/AnalyticalGraphics/cesium/pulls?state=open') {
                 return Promise.resolve(firstResponse);
             } else if (options.url === 'https://url?page=2') {
                 return Promise.resolve(secondResponse);
@@ -68,17 +85,199 @@ describe('stalePullRequest', function () {
         });
 
         spyOn(stalePullRequest, '_processPullRequest').and.returnValue(Promise.resolve());
+        spyOn(repositories['AnalyticalGraphics/cesium'], 'fetchSettings').and.returnValue(Promise.resolve());
 
         stalePullRequest._processRepository('AnalyticalGraphics/cesium', repositories['AnalyticalGraphics/cesium'])
             .then(function () {
                 expect(stalePullRequest._processPullRequest).toHaveBeenCalledTimes(2);
-                expect(stalePullRequest._processPullRequest.calls.argsFor(0)).toEqual([mockPullRequest, repositories['AnalyticalGraphics/cesium']]);
-                expect(stalePullRequest._processPullRequest.calls.argsFor(1)).toEqual([mockPullRequest2, repositories['AnalyticalGraphics/cesium']]);
+                expect(stalePullRequest._processPullRequest.calls.argsFor(0)).toEqual([mockPullRequest, repositories['AnalyticalGraphics/cesium'], 30]);
+                expect(stalePullRequest._processPullRequest.calls.argsFor(1)).toEqual([mockPullRequest2, repositories['AnalyticalGraphics/cesium'], 30]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('calls stalePullRequest._processPullRequest for pull requests opened against the checked base branches', function (done) {
+        var repositorySettings = new RepositorySettings({
+            maxDaysSinceUpdate: 30,
+            staleBaseBranches: [{
+                branch: 'release/*',
+                maxDaysSinceUpdate: 60
+            }, 'feature/*']
+        });
+        var mainPullRequest = {
+            base: createBase('main', 'main')
+        };
+        var releasePullRequest = {
+            base: createBase('release/1.50', 'main')
+        };
+        var featurePullRequest = {
+            base: createBase('feature/terrain', 'main')
+        };
+        var otherPullRequest = {
+            base: createBase('gh-pages', 'main')
+        };
+
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve());
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === 'https://api.github.com/repos/AnalyticalGraphics/cesium/pulls?state=open') {
+                return Promise.resolve({
+                    headers: {},
+                    body: [mainPullRequest, releasePullRequest, featurePullRequest, otherPullRequest]
+                });
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+        spyOn(stalePullRequest, '_processPullRequest').and.returnValue(Promise.resolve());
+
+        stalePullRequest._processRepository('AnalyticalGraphics/cesium', repositorySettings)
+            .then(function () {
+                expect(stalePullRequest._processPullRequest.calls.allArgs()).toEqual([
+                    [mainPullRequest, repositorySettings, 30],
+                    [releasePullRequest, repositorySettings, 60],
+                    [featurePullRequest, repositorySettings, 30]
+                ]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('does not call stalePullRequest._processPullRequest for exempt pull requests', function (done) {
+        var repositorySettings = new RepositorySettings({
+            stalePullRequest: {
+                exemptLabels: ['on hold']
+            }
+        });
+        var pullRequest = {
+            base: createBase('master', 'master'),
+            labels: []
+        };
+        var draftPullRequest = {
+            base: createBase('master', 'master'),
+            draft: true
+        };
+        var onHoldPullRequest = {
+            base: createBase('master', 'master'),
+            issue_url: 'https://api.github.com/repos/AnalyticalGraphics/cesium/issues/3',
+            labels: [{
+                name: 'on hold'
+            }, {
+                name: 'stale'
+            }]
+        };
+
+        spyOn(repositorySettings, 'fetchSettings').and.returnValue(Promise.resolve());
+        spyOn(requestPromise, 'get').and.returnValue(Promise.resolve({
+            headers: {},
+            body: [draftPullRequest, pullRequest, onHoldPullRequest]
+        }));
+        spyOn(stalePullRequest, '_processPullRequest').and.returnValue(Promise.resolve());
+        spyOn(applyLabelRules, 'updateLabels').and.returnValue(Promise.resolve());
+
+        stalePullRequest._processRepository('AnalyticalGraphics/cesium', repositorySettings)
+            .then(function () {
+                expect(stalePullRequest._processPullRequest).toHaveBeenCalledTimes(1);
+                expect(stalePullRequest._processPullRequest.calls.argsFor(0)[0]).toBe(pullRequest);
+                // The stage labels of exempt pull requests are removed
+                expect(applyLabelRules.updateLabels).toHaveBeenCalledTimes(1);
+                expect(applyLabelRules.updateLabels).toHaveBeenCalledWith(jasmine.objectContaining({
+                    issueUrl: onHoldPullRequest.issue_url,
+                    labels: ['on hold', 'stale'],
+                    managedLabels: ['stale'],
+                    matchingLabels: []
+                }), repositorySettings);
                 done();
             })
             .catch(done.fail);
     });
 
+    it('stalePullRequest.getExemptions skips drafts by default', function () {
+        expect(stalePullRequest.getExemptions(new RepositorySettings())).toEqual({
+            skipDrafts: true,
+            exemptLabels: [],
+            exemptAuthors: [],
+            exemptMilestones: []
+        });
+        expect(stalePullRequest.getExemptions(new RepositorySettings({
+            stalePullRequest: {
+                skipDrafts: false,
+                exemptAuthors: ['dependabot']
+            }
+        }))).toEqual({
+            skipDrafts: false,
+            exemptLabels: [],
+            exemptAuthors: ['dependabot'],
+            exemptMilestones: []
+        });
+    });
+
+    it('stalePullRequest.getSkipReason checks drafts, labels, authors and milestones', function () {
+        var exemptions = {
+            skipDrafts: true,
+            exemptLabels: ['On Hold'],
+            exemptAuthors: ['dependabot', 'greenkeeper[bot]'],
+            exemptMilestones: ['1.50']
+        };
+        var pullRequest = {
+            draft: false,
+            user: {
+                login: 'boomerjones'
+            },
+            labels: [{
+                name: 'needs review'
+            }],
+            milestone: null
+        };
+        expect(stalePullRequest.getSkipReason(pullRequest, exemptions)).toBeUndefined();
+
+        pullRequest.draft = true;
+        expect(stalePullRequest.getSkipReason(pullRequest, exemptions)).toEqual('it is a draft');
+        exemptions.skipDrafts = false;
+        expect(stalePullRequest.getSkipReason(pullRequest, exemptions)).toBeUndefined();
+
+        pullRequest.labels.push({
+            name: 'on hold'
+        });
+        expect(stalePullRequest.getSkipReason(pullRequest, exemptions)).toEqual('it has the label on hold');
+        pullRequest.labels.pop();
+
+        pullRequest.user.login = 'dependabot[bot]';
+        expect(stalePullRequest.getSkipReason(pullRequest, exemptions)).toEqual('its author is dependabot[bot]');
+        pullRequest.user.login = 'greenkeeper[bot]';
+        expect(stalePullRequest.getSkipReason(pullRequest, exemptions)).toEqual('its author is greenkeeper[bot]');
+        pullRequest.user.login = 'boomerjones';
+
+        pullRequest.milestone = {
+            title: '1.50'
+        };
+        expect(stalePullRequest.getSkipReason(pullRequest, exemptions)).toEqual('it is in the milestone 1.50');
+        pullRequest.milestone.title = '1.51';
+        expect(stalePullRequest.getSkipReason(pullRequest, exemptions)).toBeUndefined();
+        exemptions.exemptMilestones = true;
+        expect(stalePullRequest.getSkipReason(pullRequest, exemptions)).toEqual('it is in the milestone 1.51');
+    });
+
+    it('stalePullRequest.getBaseBranch checks the default branch and the staleBaseBranches', function () {
+        var repositorySettings = new RepositorySettings({
+            maxDaysSinceUpdate: 30,
+            staleBaseBranches: ['release/*', {
+                branch: 'main',
+                maxDaysSinceUpdate: 14
+            }]
+        });
+        expect(stalePullRequest.getBaseBranch('master', 'master', repositorySettings)).toEqual({
+            maxDaysSinceUpdate: 30
+        });
+        expect(stalePullRequest.getBaseBranch('main', 'main', repositorySettings)).toEqual({
+            maxDaysSinceUpdate: 14
+        });
+        expect(stalePullRequest.getBaseBranch('release/1.50', 'main', repositorySettings)).toEqual({
+            maxDaysSinceUpdate: 30
+        });
+        expect(stalePullRequest.getBaseBranch('master', 'main', repositorySettings)).toBeUndefined();
+        expect(stalePullRequest.getBaseBranch('release', 'main', repositorySettings)).toBeUndefined();
+    });
+
     it('stalePullRequest._processPullRequest does not post non-stale pull request', function (done) {
         var repositorySettings = new RepositorySettings();
         var commentsUrl = 'https://url';
@@ -89,15 +288,15 @@ describe('stalePullRequest', function () {
         };
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
-            if (options.resolveWithFullResponse === true) {
-                return Promise.resolve({headers: {link: '<https://url?page=2>; rel="next",<https://url?page=3>; rel="last"'}});
-            } else if (options.url === commentsUrl + '?page=3') {
+            if (options.url === commitsUrl) {
+                return Promise.resolve({headers: {}, body: commitsData});
+            } else if (options.url === commentsUrl + '?sort=updated') {
+                return Promise.resolve({headers: {link: '<https://url?page=2>; rel="next"'}, body: []});
+            } else if (options.url === commentsUrl + '?page=2') {
                 var timestamp = new Date(Date.now());
-                return Promise.resolve([{
+                return Promise.resolve({headers: {}, body: [{
                     updated_at: timestamp
-                }]);
-            } else if (options.url === commitsUrl) {
-                return Promise.resolve(commitsData);
+                }]});
             }
             return Promise.reject(new Error('Unexpected Url: ' + options.url));
         });
@@ -130,19 +329,19 @@ describe('stalePullRequest', function () {
         timestamp.setDate(timestamp.getDate() - repositorySettings.maxDaysSinceUpdate);
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
-            if (options.resolveWithFullResponse === true) {
-                return Promise.resolve({headers: {link: '<https://url?page=2>; rel="next",<https://url?page=3>; rel="last"'}});
-            } else if (options.url === commentsUrl + '?page=3') {
-                return Promise.resolve([{
+            if (options.url === commitsUrl) {
+                var commitsDataOld = JSON.parse(JSON.stringify(commitsData));
+                commitsDataOld[0].commit.author.date = timestamp;
+                return Promise.resolve({headers: {}, body: commitsDataOld});
+            } else if (options.url === commentsUrl + '?sort=updated') {
+                return Promise.resolve({headers: {link: '<https://url?page=2>; rel="next"'}, body: []});
+            } else if (options.url === commentsUrl + '?page=2') {
+                return Promise.resolve({headers: {}, body: [{
                     updated_at: timestamp,
                     user: {
                         login: 'boomerjones'
                     }
-                }]);
-            } else if (options.url === commitsUrl) {
-                var commitsDataOld = JSON.parse(JSON.stringify(commitsData));
-                commitsDataOld[0].commit.author.date = timestamp;
-                return Promise.resolve(commitsDataOld);
+                }]});
             }
             return Promise.reject(new Error('Unexpected Url: ' + options.url));
         });
@@ -182,19 +381,19 @@ describe('stalePullRequest', function () {
         };
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
-            if (options.resolveWithFullResponse === true) {
-                return Promise.resolve({headers: {link: '<https://url?page=2>; rel="next",<https://url?page=3>; rel="last"'}});
-            } else if (options.url === commentsUrl + '?page=3') {
+            if (options.url === commitsUrl) {
+                return Promise.resolve({headers: {}, body: commitsData});
+            } else if (options.url === commentsUrl + '?sort=updated') {
+                return Promise.resolve({headers: {link: '<https://url?page=2>; rel="next"'}, body: []});
+            } else if (options.url === commentsUrl + '?page=2') {
                 var timestamp = new Date(Date.now());
                 timestamp.setDate(timestamp.getDate() - repositorySettings.maxDaysSinceUpdate);
-                return Promise.resolve([{
+                return Promise.resolve({headers: {}, body: [{
                     updated_at: timestamp,
                     user: {
                         login: 'boomerjones'
                     }
-                }]);
-            } else if (options.url === commitsUrl) {
-                return Promise.resolve(commitsData);
+                }]});
             }
             return Promise.reject(new Error('Unexpected Url: ' + options.url));
         });
@@ -221,19 +420,19 @@ describe('stalePullRequest', function () {
         };
 
         spyOn(requestPromise, 'get').and.callFake(function (options) {
-            if (options.resolveWithFullResponse === true) {
-                return Promise.resolve({headers: {link: '<https://url?page=2>; rel="next",<https://url?page=3>; rel="last"'}});
-            } else if (options.url === commentsUrl + '?page=3') {
+            if (options.url === commitsUrl) {
+                return Promise.resolve({headers: {}, body: commitsData});
+            } else if (options.url === commentsUrl + '?sort=updated') {
+                return Promise.resolve({headers: {link: '<https://url?page=2>; rel="next"'}, body: []});
+            } else if (options.url === commentsUrl + '?page=2') {
                 var timestamp = new Date(Date.now());
                 timestamp.setDate(timestamp.getDate() - repositorySettings.maxDaysSinceUpdate);
-                return Promise.resolve([{
+                return Promise.resolve({headers: {}, body: [{
                     updated_at: timestamp,
                     user: {
                         login: 'boomerjones'
                     }
-                }]);
-            } else if (options.url === commitsUrl) {
-                return Promise.resolve(commitsData);
+                }]});
             }
             return Promise.reject(new Error('Unexpected Url: ' + options.url));
         });
@@ -250,6 +449,567 @@ describe('stalePullRequest', function () {
             .catch(done.fail);
     });
 
+    function daysAgo(days) {
+        var date = new Date(Date.now());
+        date.setDate(date.getDate() - days);
+        return date;
+    }
+
+    function runStageTest(repositorySettings, pullRequest, comments, commitDate, activity) {
+        activity = activity || {};
+        var pages = {};
+        pages[pullRequest.url + '/reviews'] = activity.reviews;
+        pages[pullRequest.review_comments_url] = activity.reviewComments;
+        pages[pullRequest.issue_url + '/timeline'] = activity.events;
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (pages.hasOwnProperty(options.url)) {
+                return Promise.resolve({
+                    headers: {},
+                    body: pages[options.url] || []
+                });
+            } else if (options.url === pullRequest.comments_url + '?sort=updated') {
+                return Promise.resolve({
+                    headers: {},
+                    body: comments
+                });
+            } else if (options.url === pullRequest.commits_url) {
+                return Promise.resolve({
+                    headers: {},
+                    body: [{
+                        commit: {
+                            author: {
+                                date: commitDate
+                            }
+                        }
+                    }]
+                });
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+        spyOn(requestPromise, 'post').and.returnValue(Promise.resolve());
+        spyOn(requestPromise, 'patch').and.returnValue(Promise.resolve());
+        spyOn(applyLabelRules, 'updateLabels').and.returnValue(Promise.resolve());
+        return stalePullRequest._processPullRequest(pullRequest, repositorySettings);
+    }
+
+    function createStagePullRequest() {
+        return {
+            url: 'https://api.github.com/repos/AnalyticalGraphics/cesium/pulls/1',
+            issue_url: 'https://api.github.com/repos/AnalyticalGraphics/cesium/issues/1',
+            comments_url: 'https://url',
+            commits_url: 'https://commits',
+            review_comments_url: 'https://api.github.com/repos/AnalyticalGraphics/cesium/pulls/1/comments',
+            created_at: daysAgo(60),
+            user: {
+                login: 'boomerjones'
+            },
+            labels: [{
+                name: 'needs review'
+            }],
+            requested_reviewers: [{
+                login: 'reviewer'
+            }],
+            requested_teams: [],
+            assignees: [{
+                login: 'assignee'
+            }],
+            base: {
+                repo: {
+                    owner: {
+                        login: 'AnalyticalGraphics'
+                    }
+                }
+            }
+        };
+    }
+
+    function createStageComment(template, date) {
+        return {
+            body: 'Stale.\n' + findCommentWithMarker.createMarker(template),
+            updated_at: date,
+            user: {
+                login: 'cesium-concierge'
+            }
+        };
+    }
+
+    it('stalePullRequest.getStages uses the default stages', function () {
+        var repositorySettings = new RepositorySettings({
+            maxDaysSinceUpdate: 20
+        });
+        expect(stalePullRequest.getStages(repositorySettings)).toEqual([{
+            name: 'bump',
+            template: 'stalePullRequest',
+            days: 20,
+            label: undefined,
+            ping: false,
+            close: false
+        }, {
+            name: 'reminder',
+            template: 'stalePullRequestReminder',
+            days: 20,
+            label: 'stale',
+            ping: true,
+            close: false
+        }]);
+    });
+
+    it('stalePullRequest.getStages uses the maxDaysSinceUpdate of the base branch', function () {
+        var stages = stalePullRequest.getStages(new RepositorySettings(), 60);
+        expect(stages[0].days).toBe(60);
+        expect(stages[1].days).toBe(60);
+    });
+
+    it('stalePullRequest.getStages uses the configured stages', function () {
+        var repositorySettings = new RepositorySettings({
+            staleStages: [{
+                template: 'stalePullRequestWarning',
+                days: 7
+            }, {
+                name: 'close',
+                template: 'stalePullRequestClosed',
+                close: true
+            }]
+        });
+        expect(stalePullRequest.getStages(repositorySettings)).toEqual([{
+            name: 'stage1',
+            template: 'stalePullRequestWarning',
+            days: 7,
+            label: undefined,
+            ping: false,
+            close: false
+        }, {
+            name: 'close',
+            template: 'stalePullRequestClosed',
+            days: repositorySettings.maxDaysSinceUpdate,
+            label: undefined,
+            ping: false,
+            close: true
+        }]);
+    });
+
+    it('stalePullRequest._getCurrentStage finds the stage of the last comment', function () {
+        var stages = stalePullRequest.getStages(new RepositorySettings());
+        var commitDate = moment(daysAgo(40));
+        var bump = createStageComment('stalePullRequest', daysAgo(30));
+        var reminder = createStageComment('stalePullRequestReminder', daysAgo(10));
+        var other = {
+            body: 'Any news?',
+            updated_at: daysAgo(5)
+        };
+
+        expect(stalePullRequest._getCurrentStage(stages, [], commitDate).index).toBe(-1);
+        expect(stalePullRequest._getCurrentStage(stages, [bump], commitDate).index).toBe(0);
+        expect(stalePullRequest._getCurrentStage(stages, [bump, reminder], commitDate).index).toBe(1);
+        expect(stalePullRequest._getCurrentStage(stages, [bump, reminder], commitDate).date.isSame(reminder.updated_at)).toBe(true);
+        expect(stalePullRequest._getCurrentStage(stages, [bump, reminder, other], commitDate).index).toBe(1);
+        expect(stalePullRequest._getCurrentStage(stages, [bump, reminder, other], moment(other.updated_at)).index).toBe(-1);
+        expect(stalePullRequest._getCurrentStage(stages, [bump, reminder], moment(daysAgo(1))).index).toBe(-1);
+    });
+
+    it('stalePullRequest._getLastUpdate ignores concierge and stage comments', function () {
+        var stages = stalePullRequest.getStages(new RepositorySettings());
+        var pullRequest = createStagePullRequest();
+        var lastUpdate = stalePullRequest._getLastUpdate(pullRequest, stages, {
+            comments: [{
+                body: 'Any news?',
+                updated_at: daysAgo(20),
+                user: {
+                    login: 'BobDylan'
+                }
+            }, {
+                body: 'Thanks for the pull request!',
+                updated_at: daysAgo(10),
+                user: {
+                    login: 'cesium-concierge'
+                }
+            }, createStageComment('stalePullRequest', daysAgo(5))],
+            commits: []
+        });
+        expect(lastUpdate.isSame(daysAgo(20), 'day')).toBe(true);
+
+        lastUpdate = stalePullRequest._getLastUpdate(pullRequest, stages, {
+            comments: [],
+            commits: []
+        });
+        expect(lastUpdate.isSame(pullRequest.created_at)).toBe(true);
+    });
+
+    it('stalePullRequest._getComments reads every page of the comments', function (done) {
+        var commentsUrl = 'https://url?sort=updated';
+        var nextUrl = 'https://url?sort=updated&page=2';
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === commentsUrl) {
+                return Promise.resolve({
+                    headers: {
+                        link: '<' + nextUrl + '>; rel="next"'
+                    },
+                    body: [{
+                        body: '@cesium-concierge stop',
+                        user: {
+                            login: 'boomerjones'
+                        }
+                    }]
+                });
+            } else if (options.url === nextUrl) {
+                return Promise.resolve({
+                    headers: {},
+                    body: [{
+                        body: 'Any updates?',
+                        user: {
+                            login: 'OmarShehata'
+                        }
+                    }]
+                });
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+
+        stalePullRequest._getComments(commentsUrl, new RepositorySettings())
+            .then(function (comments) {
+                expect(comments.length).toBe(2);
+                expect(stalePullRequest._foundStopComment(comments)).toBe(true);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('stalePullRequest._getCommits reads every page of the commits', function (done) {
+        var commitsUrl = 'https://commits';
+        var nextUrl = commitsUrl + '?page=2';
+        spyOn(requestPromise, 'get').and.callFake(function (options) {
+            if (options.url === commitsUrl) {
+                return Promise.resolve({
+                    headers: {
+                        link: '<' + nextUrl + '>; rel="next"'
+                    },
+                    body: [{sha: '1'}]
+                });
+            } else if (options.url === nextUrl) {
+                return Promise.resolve({
+                    headers: {},
+                    body: [{sha: '2'}]
+                });
+            }
+            return Promise.reject(new Error('Unexpected Url: ' + options.url));
+        });
+
+        stalePullRequest._getCommits(commitsUrl, new RepositorySettings())
+            .then(function (commits) {
+                expect(commits).toEqual([{sha: '1'}, {sha: '2'}]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('stalePullRequest._getLastUpdate counts commits, reviews, review comments and events', function () {
+        var stages = stalePullRequest.getStages(new RepositorySettings());
+        var pullRequest = createStagePullRequest();
+        var activity = {
+            comments: [],
+            commits: [{
+                commit: {
+                    author: {
+                        date: daysAgo(50)
+                    },
+                    committer: {
+                        date: daysAgo(45)
+                    }
+                }
+            }],
+            reviews: [],
+            reviewComments: [],
+            events: []
+        };
+        expect(stalePullRequest._getLastUpdate(pullRequest, stages, activity).isSame(daysAgo(45), 'day')).toBe(true);
+
+        activity.reviews.push({
+            submitted_at: daysAgo(40),
+            user: {
+                login: 'reviewer'
+            }
+        });
+        expect(stalePullRequest._getLastUpdate(pullRequest, stages, activity).isSame(daysAgo(40), 'day')).toBe(true);
+
+        activity.reviewComments.push({
+            updated_at: daysAgo(35),
+            user: {
+                login: 'reviewer'
+            }
+        });
+        expect(stalePullRequest._getLastUpdate(pullRequest, stages, activity).isSame(daysAgo(35), 'day')).toBe(true);
+
+        activity.events.push({
+            event: 'head_ref_force_pushed',
+            created_at: daysAgo(30),
+            actor: {
+                login: 'boomerjones'
+            }
+        }, {
+            event: 'labeled',
+            created_at: daysAgo(25),
+            actor: {
+                login: 'reviewer'
+            },
+            label: {
+                name: 'stale'
+            }
+        }, {
+            event: 'review_requested',
+            created_at: daysAgo(20),
+            actor: {
+                login: 'cesium-concierge'
+            }
+        }, {
+            event: 'subscribed',
+            created_at: daysAgo(15),
+            actor: {
+                login: 'reviewer'
+            }
+        });
+        expect(stalePullRequest._getLastUpdate(pullRequest, stages, activity).isSame(daysAgo(30), 'day')).toBe(true);
+
+        activity.events.push({
+            event: 'unlabeled',
+            created_at: daysAgo(10),
+            actor: {
+                login: 'reviewer'
+            },
+            label: {
+                name: 'needs review'
+            }
+        });
+        expect(stalePullRequest._getLastUpdate(pullRequest, stages, activity).isSame(daysAgo(10), 'day')).toBe(true);
+    });
+
+    it('stalePullRequest._processPullRequest does not post if there is a recent review or force push', function (done) {
+        var repositorySettings = new RepositorySettings();
+        var days = repositorySettings.maxDaysSinceUpdate;
+        var pullRequest = createStagePullRequest();
+        pullRequest.created_at = daysAgo(days * 2);
+
+        runStageTest(repositorySettings, pullRequest, [], daysAgo(days * 2), {
+            reviews: [{
+                submitted_at: daysAgo(2),
+                user: {
+                    login: 'reviewer'
+                }
+            }],
+            events: [{
+                event: 'head_ref_force_pushed',
+                created_at: daysAgo(days + 1),
+                actor: {
+                    login: 'boomerjones'
+                }
+            }]
+        })
+            .then(function () {
+                expect(requestPromise.get).toHaveBeenCalledWith(jasmine.objectContaining({
+                    url: pullRequest.review_comments_url
+                }));
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('stalePullRequest._getPings gets the requested reviewers, teams and assignees', function () {
+        var pullRequest = createStagePullRequest();
+        pullRequest.requested_teams = [{
+            slug: 'cesium-team'
+        }];
+        pullRequest.assignees.push({
+            login: 'reviewer'
+        }, {
+            login: 'boomerjones'
+        });
+        expect(stalePullRequest._getPings(pullRequest)).toEqual(['reviewer', 'AnalyticalGraphics/cesium-team', 'assignee']);
+    });
+
+    it('stalePullRequest._processPullRequest labels and pings at the reminder stage', function (done) {
+        var repositorySettings = new RepositorySettings();
+        var pullRequest = createStagePullRequest();
+        var days = repositorySettings.maxDaysSinceUpdate;
+        var comments = [createStageComment('stalePullRequest', daysAgo(days))];
+
+        runStageTest(repositorySettings, pullRequest, comments, daysAgo(days * 2))
+            .then(function () {
+                var stages = stalePullRequest.getStages(repositorySettings);
+                expect(requestPromise.post).toHaveBeenCalledWith({
+                    url: pullRequest.comments_url,
+                    headers: repositorySettings.headers,
+                    body: {
+                        body: repositorySettings.stalePullRequestReminderTemplate({
+                            maxDaysSinceUpdate: days,
+                            userName: 'boomerjones',
+                            daysSinceUpdate: days * 2,
+                            stage: stages[1],
+                            nextStage: undefined,
+                            label: 'stale',
+                            pings: ['reviewer', 'assignee']
+                        })
+                    },
+                    json: true
+                });
+                expect(requestPromise.post.calls.argsFor(0)[0].body.body).toContain('@reviewer @assignee');
+                expect(applyLabelRules.updateLabels).toHaveBeenCalledWith({
+                    issueUrl: pullRequest.issue_url,
+                    labels: ['needs review'],
+                    managedLabels: ['stale'],
+                    matchingLabels: ['stale']
+                }, repositorySettings);
+                expect(requestPromise.patch).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('stalePullRequest._processPullRequest uses the maxDaysSinceUpdate of the base branch', function (done) {
+        var repositorySettings = new RepositorySettings({
+            maxDaysSinceUpdate: 30
+        });
+        var pullRequest = createStagePullRequest();
+
+        runStageTest(repositorySettings, pullRequest, [], daysAgo(10))
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                return stalePullRequest._processPullRequest(pullRequest, repositorySettings, 10);
+            })
+            .then(function () {
+                expect(requestPromise.post.calls.argsFor(0)[0].body.body).toEqual(repositorySettings.stalePullRequestTemplate({
+                    maxDaysSinceUpdate: 10,
+                    userName: 'boomerjones'
+                }));
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('stalePullRequest._processPullRequest repeats the last stage', function (done) {
+        var repositorySettings = new RepositorySettings();
+        var days = repositorySettings.maxDaysSinceUpdate;
+        var comments = [createStageComment('stalePullRequestReminder', daysAgo(days))];
+
+        runStageTest(repositorySettings, createStagePullRequest(), comments, daysAgo(days * 3))
+            .then(function () {
+                expect(requestPromise.post).toHaveBeenCalledTimes(1);
+                expect(requestPromise.post.calls.argsFor(0)[0].body.body).toContain(findCommentWithMarker.createMarker('stalePullRequestReminder'));
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('stalePullRequest._processPullRequest removes stage labels once the pull request is updated', function (done) {
+        var repositorySettings = new RepositorySettings();
+        var pullRequest = createStagePullRequest();
+        pullRequest.labels.push({
+            name: 'stale'
+        });
+        var comments = [createStageComment('stalePullRequestReminder', daysAgo(10))];
+
+        runStageTest(repositorySettings, pullRequest, comments, daysAgo(1))
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                expect(applyLabelRules.updateLabels).toHaveBeenCalledWith({
+                    issueUrl: pullRequest.issue_url,
+                    labels: ['needs review', 'stale'],
+                    managedLabels: ['stale'],
+                    matchingLabels: []
+                }, repositorySettings);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('stalePullRequest._processPullRequest warns and then closes the pull request', function (done) {
+        var repositorySettings = new RepositorySettings({
+            staleStages: [{
+                name: 'warning',
+                template: 'stalePullRequestWarning',
+                days: 30
+            }, {
+                name: 'close',
+                template: 'stalePullRequestClosed',
+                days: 7,
+                close: true
+            }]
+        });
+        var pullRequest = createStagePullRequest();
+        var comments = [createStageComment('stalePullRequestWarning', daysAgo(7))];
+
+        runStageTest(repositorySettings, pullRequest, comments, daysAgo(40))
+            .then(function () {
+                expect(requestPromise.post.calls.argsFor(0)[0].body.body).toContain(findCommentWithMarker.createMarker('stalePullRequestClosed'));
+                expect(requestPromise.patch).toHaveBeenCalledWith({
+                    url: pullRequest.url,
+                    headers: repositorySettings.headers,
+                    body: {
+                        state: 'closed'
+                    },
+                    json: true
+                });
+                expect(applyLabelRules.updateLabels).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('stalePullRequest._processPullRequest mentions the closing stage in the warning', function (done) {
+        var repositorySettings = new RepositorySettings({
+            staleStages: [{
+                template: 'stalePullRequestWarning'
+            }, {
+                template: 'stalePullRequestClosed',
+                days: 7,
+                close: true
+            }]
+        });
+        var days = repositorySettings.maxDaysSinceUpdate;
+
+        runStageTest(repositorySettings, createStagePullRequest(), [], daysAgo(days))
+            .then(function () {
+                expect(requestPromise.post.calls.argsFor(0)[0].body.body).toContain('close it in 7 days');
+                expect(requestPromise.patch).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('stalePullRequest._processPullRequest does not close a pull request twice', function (done) {
+        var repositorySettings = new RepositorySettings({
+            staleStages: [{
+                template: 'stalePullRequestClosed',
+                close: true
+            }]
+        });
+        var days = repositorySettings.maxDaysSinceUpdate;
+        var comments = [createStageComment('stalePullRequestClosed', daysAgo(days))];
+
+        runStageTest(repositorySettings, createStagePullRequest(), comments, daysAgo(days * 2))
+            .then(function () {
+                expect(requestPromise.post).not.toHaveBeenCalled();
+                expect(requestPromise.patch).not.toHaveBeenCalled();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('stalePullRequest._processPullRequest rejects if a stage has no template', function (done) {
+        var repositorySettings = new RepositorySettings({
+            staleStages: [{
+                template: 'missing'
+            }]
+        });
+        var days = repositorySettings.maxDaysSinceUpdate;
+
+        runStageTest(repositorySettings, createStagePullRequest(), [], daysAgo(days))
+            .then(done.fail)
+            .catch(function (error) {
+                expect(error.message).toContain('no template named missing');
+                done();
+            });
+    });
+
     it('stalePullRequest.foundStopComment works', function () {
         var conciergeUser = {login: 'cesium-concierge'};
         var otherUser = {login: 'BobDylan'};
@@ -261,6 +1021,8 @@ describe('stalePullRequest', function () {
 
         expect(stalePullRequest._foundStopComment([{ body: '@cesium-concierge stop', user: otherUser }])).toBe(true);
         expect(stalePullRequest._foundStopComment([{ body: '', user: conciergeUser }, { body: '@cesium-concierge stop', user: otherUser }])).toBe(true);
+        expect(stalePullRequest._foundStopComment([{ body: '@cesium-concierge stop', user: otherUser }, { body: '@cesium-concierge start', user: otherUser }])).toBe(false);
+        expect(stalePullRequest._foundStopComment([{ body: '@cesium-concierge start', user: otherUser }, { body: '@cesium-concierge stop', user: otherUser }])).toBe(true);
     });
 
 });
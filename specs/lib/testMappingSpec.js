@@ -0,0 +1,62 @@
+'use strict';
+
+var RepositorySettings = require('../../lib/RepositorySettings');
+var testMapping = require('../../lib/testMapping');
+
+describe('testMapping', function () {
+    var settings = {
+        mappings: [{
+            source: '^Source/Widgets/(.*)/(.*)\\.js$',
+            spec: ['Specs/Widgets/$1/$2Spec.js', 'Specs/Widgets/$2Spec.js']
+        }, {
+            source: '^Source/(.*)\\.js$',
+            spec: 'Specs/$1Spec.js'
+        }],
+        excludeFiles: ['Source/Shaders/**', 'Source/ThirdParty/**']
+    };
+
+    it('is off unless the repository has mappings', function () {
+        spyOn(console, 'log');
+        expect(testMapping.getOptions(new RepositorySettings())).toBeUndefined();
+        expect(testMapping.getOptions(new RepositorySettings({
+            testMapping: {
+                mappings: [{
+                    source: 'Source/**'
+                }, {
+                    source: '(',
+                    spec: 'Specs/$1'
+                }]
+            }
+        }))).toBeUndefined();
+        expect(console.log.calls.count()).toBe(2);
+    });
+
+    it('gets the specs of a source file from the first matching mapping', function () {
+        var options = testMapping.getOptions(new RepositorySettings({
+            testMapping: settings
+        }));
+        expect(testMapping.getSpecs('Source/Core/Cartesian3.js', options.mappings)).toEqual(['Specs/Core/Cartesian3Spec.js']);
+        expect(testMapping.getSpecs('Source/Widgets/Viewer/Viewer.js', options.mappings)).toEqual(['Specs/Widgets/Viewer/ViewerSpec.js', 'Specs/Widgets/ViewerSpec.js']);
+        expect(testMapping.getSpecs('Apps/Sandcastle/index.html', options.mappings)).toEqual([]);
+    });
+
+    it('finds the changed source files without a changed spec', function () {
+        var options = testMapping.getOptions(new RepositorySettings({
+            testMapping: settings
+        }));
+        var untestedFiles = testMapping.findUntestedFiles([
+            {filename: 'Source/Core/Cartesian3.js', status: 'modified'},
+            {filename: 'Specs/Core/Cartesian3Spec.js', status: 'modified'},
+            {filename: 'Source/Core/Matrix4.js', status: 'modified'},
+            {filename: 'Source/Widgets/Viewer/Viewer.js', status: 'modified'},
+            {filename: 'Specs/Widgets/ViewerSpec.js', status: 'added'},
+            {filename: 'Source/Scene/Fog.js', status: 'removed'},
+            {filename: 'Source/Shaders/GlobeFS.js', status: 'modified'},
+            {filename: 'CHANGES.md', status: 'modified'}
+        ], options);
+        expect(untestedFiles).toEqual([{
+            file: 'Source/Core/Matrix4.js',
+            specs: ['Specs/Core/Matrix4Spec.js']
+        }]);
+    });
+});